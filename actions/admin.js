@@ -0,0 +1,33 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { describeModelConfig } from "@/lib/ai/config";
+
+// Admins are listed by email in ADMIN_EMAILS (comma separated).
+async function requireAdmin() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const admins = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!admins.includes(user.email.toLowerCase())) {
+    throw new Error("Forbidden");
+  }
+
+  return user;
+}
+
+export async function getModelConfigOverview() {
+  await requireAdmin();
+  return await describeModelConfig();
+}
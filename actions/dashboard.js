@@ -2,57 +2,7 @@
 
 import { db } from "@/lib/prisma";
 import { auth } from "@clerk/nextjs/server";
-import { GoogleGenAI } from "@google/genai";
-
-const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
-const model = ai.models;
-
-export const generateAIInsights = async (industry) => {
-  const prompt = `
-          Analyze the current state of the ${industry} industry and provide insights in ONLY the following JSON format without any additional notes or explanations:
-          {
-            "salaryRanges": [
-              { "role": "string", "min": number, "max": number, "median": number, "location": "string" }
-            ],
-            "growthRate": number,
-            "demandLevel": "High" | "Medium" | "Low",
-            "topSkills": ["skill1", "skill2"],
-            "marketOutlook": "Positive" | "Neutral" | "Negative",
-            "keyTrends": ["trend1", "trend2"],
-            "recommendedSkills": ["skill1", "skill2"]
-          }
-          
-          IMPORTANT: Return ONLY the JSON. No additional text, notes, or markdown formatting.
-          Include at least 5 common roles for salary ranges.
-          Growth rate should be a percentage.
-          Include at least 5 skills and trends.
-        `;
-
-  // Gemini 2.5-flash implementation
-  const result = await model.generateContent({
-    model: "gemini-2.5-pro",
-    contents: prompt,
-  });
-
-  // Normalize response shapes
-  let text;
-  if (typeof result?.text === "string") {
-    text = result.text;
-  } else if (typeof result?.response?.text === "string") {
-    text = result.response.text;
-  } else if (
-    result?.response?.candidates?.[0]?.content?.parts &&
-    Array.isArray(result.response.candidates[0].content.parts)
-  ) {
-    text = result.response.candidates[0].content.parts.map((p) => p.text || "").join("");
-  } else {
-    console.warn("Unexpected response shape from GenAI SDK, printing raw response");
-    console.log(JSON.stringify(result, null, 2));
-    throw new Error("AI returned no text");
-  }
-  const cleanedText = text.replace(/```(?:json)?\n?/g, "").trim();
-  return JSON.parse(cleanedText);
-};
+import { generateAIInsights } from "@/lib/industry-insights";
 
 export async function getIndustryInsights() {
   const { userId } = await auth();
@@ -69,7 +19,9 @@ export async function getIndustryInsights() {
 
   // If no insights exist, generate them
   if (!user.industryInsight) {
-    const insights = await generateAIInsights(user.industry);
+    const insights = await generateAIInsights(user.industry, {
+      userId: user.id,
+    });
 
     const industryInsight = await db.industryInsight.create({
       data: {
@@ -2,10 +2,11 @@
 
 import { db } from "@/lib/prisma";
 import { auth } from "@clerk/nextjs/server";
-
-import { GoogleGenAI } from "@google/genai";
-const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
-const model = ai.models;
+import { generateJSON, generateText } from "@/lib/ai/provider";
+import { AI_FEATURES } from "@/lib/ai/features";
+import { AIOutputValidationError } from "@/lib/ai/errors";
+import { assertWithinQuota, findExceededQuota } from "@/lib/ai/usage";
+import { renderPrompt } from "@/lib/ai/prompts";
 
 export async function generateQuiz() {
   const { userId } = await auth();
@@ -14,6 +15,7 @@ export async function generateQuiz() {
   const user = await db.user.findUnique({
     where: { clerkUserId: userId },
     select: {
+      id: true,
       industry: true,
       skills: true,
     },
@@ -21,59 +23,37 @@ export async function generateQuiz() {
 
   if (!user) throw new Error("User not found");
 
-  const prompt = `
-    Generate 10 technical interview questions for a ${
-      user.industry
-    } professional${
-    user.skills?.length ? ` with expertise in ${user.skills.join(", ")}` : ""
-  }.
-
-    Each question should be multiple choice with 4 options.
-
-    Return the response in this JSON format only, no additional text:
-    {
-      "questions": [
-        {
-          "question": "string",
-          "options": ["string", "string", "string", "string"],
-          "correctAnswer": "string",
-          "explanation": "string"
-        }
-      ]
-    }
-  `;
+  await assertWithinQuota(user.id, AI_FEATURES.QUIZ);
+
+  const { promptVersion, ...template } = renderPrompt(AI_FEATURES.QUIZ, {
+    industry: user.industry,
+    skills: user.skills,
+  });
 
   try {
-    const result = await model.generateContent({
-      model: "gemini-2.5-pro",
-      contents: prompt,
+    const quiz = await generateJSON({
+      feature: AI_FEATURES.QUIZ,
+      userId: user.id,
+      promptVersion,
+      ...template,
     });
-    // Robust response extraction
-    let text;
-    if (typeof result?.text === "string") {
-      text = result.text;
-    } else if (typeof result?.response?.text === "string") {
-      text = result.response.text;
-    } else if (
-      result?.response?.candidates?.[0]?.content?.parts &&
-      Array.isArray(result.response.candidates[0].content.parts)
-    ) {
-      text = result.response.candidates[0].content.parts.map((p) => p.text || "").join("");
-    } else {
-      console.warn("Unexpected response shape from GenAI SDK, printing raw response");
-      console.log(JSON.stringify(result, null, 2));
-      throw new Error("AI returned no text");
-    }
-    const cleaned = text.replace(/```json|```/g, "").trim();
-    const quiz = JSON.parse(cleaned);
-    return quiz.questions;
+    return { questions: quiz.questions, promptVersion };
   } catch (error) {
     console.error("Error generating quiz:", error);
+    if (error instanceof AIOutputValidationError) {
+      throw new Error("The AI returned an invalid quiz. Please try again.");
+    }
     throw new Error("Failed to generate quiz questions");
   }
 }
 
-export async function saveQuizResult(questions, answers, score) {
+// `promptVersion` is the one generateQuiz returned with the questions.
+export async function saveQuizResult(
+  questions,
+  answers,
+  score,
+  promptVersion = null
+) {
   const { userId } = await auth();
   if (!userId) throw new Error("Unauthorized");
 
@@ -94,8 +74,14 @@ export async function saveQuizResult(questions, answers, score) {
   const wrongAnswers = questionResults.filter((q) => !q.isCorrect);
 
   let improvementTip = null;
-
-  if (wrongAnswers.length > 0) {
+  let tipPromptVersion = null;
+
+  // The tip is optional: skip it rather than fail the save when the user
+  // is out of quota.
+  if (
+    wrongAnswers.length > 0 &&
+    !(await findExceededQuota(user.id, AI_FEATURES.IMPROVEMENT_TIP))
+  ) {
     const wrongQuestionsFormatted = wrongAnswers
       .map(
         (q) =>
@@ -103,36 +89,16 @@ export async function saveQuizResult(questions, answers, score) {
       )
       .join("\n\n");
 
-    const prompt = `
-      The user got these interview questions wrong:
-
-      ${wrongQuestionsFormatted}
-
-      Give a short 1–2 sentence improvement tip.
-      Encourage the user. Do NOT restate the questions.
-    `;
-
     try {
-      const tipResult = await model.generateContent({
-        model: "gemini-2.5-pro",
-        contents: prompt,
+      const tip = renderPrompt(AI_FEATURES.IMPROVEMENT_TIP, {
+        wrongAnswers: wrongQuestionsFormatted,
+      });
+      improvementTip = await generateText({
+        feature: AI_FEATURES.IMPROVEMENT_TIP,
+        userId: user.id,
+        ...tip,
       });
-      let tipText;
-      if (typeof tipResult?.text === "string") {
-        tipText = tipResult.text;
-      } else if (typeof tipResult?.response?.text === "string") {
-        tipText = tipResult.response.text;
-      } else if (
-        tipResult?.response?.candidates?.[0]?.content?.parts &&
-        Array.isArray(tipResult.response.candidates[0].content.parts)
-      ) {
-        tipText = tipResult.response.candidates[0].content.parts.map((p) => p.text || "").join("");
-      } else {
-        console.warn("Unexpected response shape from GenAI SDK, printing raw response");
-        console.log(JSON.stringify(tipResult, null, 2));
-        throw new Error("AI returned no text");
-      }
-      improvementTip = tipText.trim();
+      tipPromptVersion = tip.promptVersion;
     } catch (err) {
       console.error("Error generating improvement tip:", err);
     }
@@ -146,6 +112,8 @@ export async function saveQuizResult(questions, answers, score) {
         questions: questionResults,
         category: "Technical",
         improvementTip,
+        promptVersion,
+        tipPromptVersion,
       },
     });
 
@@ -2,14 +2,84 @@
 
 import { db } from "@/lib/prisma";
 import { auth } from "@clerk/nextjs/server";
-import { GoogleGenAI } from "@google/genai";
 import { revalidatePath } from "next/cache";
+import { format } from "date-fns";
+import { generateJSON, generateText } from "@/lib/ai/provider";
+import { AI_FEATURES } from "@/lib/ai/features";
+import { AIOutputValidationError } from "@/lib/ai/errors";
+import { assertWithinQuota } from "@/lib/ai/usage";
+import { renderPrompt } from "@/lib/ai/prompts";
+import { resumeTailorText } from "@/lib/ai/prompts/resume-tailor";
+import {
+  partialResumeSchema,
+  promptVersionsSchema,
+  resumeDetailsSchema,
+  resumeSchema,
+  tailorJobSchema,
+} from "@/app/lib/schema";
+import { analyzeResume, keywordCoverage } from "@/app/lib/ats";
+import {
+  normalizeResumeData,
+  resumeDataFromRecord,
+  resumeToMarkdown,
+} from "@/app/lib/resume";
 
-// ✅ Updated Gemini SDK (new GenAI client)
-const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
-const model = ai.models;
+const RESUME_LIST_FIELDS = {
+  id: true,
+  name: true,
+  targetRole: true,
+  isDefault: true,
+  atsScore: true,
+  createdAt: true,
+  updatedAt: true,
+};
 
-export async function saveResume(content) {
+// The user must be loaded with `industryInsight` for keyword coverage.
+const atsFields = (data, user) => {
+  const { score, checks } = analyzeResume(data, {
+    topSkills: user.industryInsight?.topSkills,
+  });
+  return { atsScore: score, feedback: checks, atsCheckedAt: new Date() };
+};
+
+const WITH_TOP_SKILLS = { industryInsight: { select: { topSkills: true } } };
+
+// Fields of a new revision. `promptVersions` are those of the AI
+// suggestions accepted since the last save (see improveWithAI and
+// tailorResume), stored like the promptVersion of quizzes and cover letters.
+const revisionFields = ({ label, promptVersions = [] }) => {
+  const parsed = promptVersionsSchema.safeParse(promptVersions);
+  if (!parsed.success) throw new Error("Invalid prompt versions");
+  return {
+    label: label?.trim() || null,
+    promptVersions: [...new Set(parsed.data)],
+  };
+};
+
+// ---------------------------------------------------------
+// List resumes
+// ---------------------------------------------------------
+export async function getResumes() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return await db.resume.findMany({
+    where: { userId: user.id },
+    select: RESUME_LIST_FIELDS,
+    orderBy: [{ isDefault: "desc" }, { updatedAt: "desc" }],
+  });
+}
+
+// ---------------------------------------------------------
+// Get single resume (the default one when no id is given)
+// ---------------------------------------------------------
+export async function getResume(id) {
   const { userId } = await auth();
   if (!userId) throw new Error("Unauthorized");
 
@@ -19,29 +89,151 @@ export async function saveResume(content) {
 
   if (!user) throw new Error("User not found");
 
+  if (!id) {
+    return await db.resume.findFirst({
+      where: { userId: user.id },
+      orderBy: [{ isDefault: "desc" }, { updatedAt: "desc" }],
+    });
+  }
+
+  return await db.resume.findUnique({
+    where: { id, userId: user.id },
+  });
+}
+
+// ---------------------------------------------------------
+// Create resume
+// ---------------------------------------------------------
+// `initialData` (structured resume, e.g. from an uploaded file or a
+// tailored copy) is optional; without it the resume starts empty. It may be
+// incomplete, so only its shape is checked (partialResumeSchema). `label`
+// names its first revision, and `promptVersions` records the AI prompts
+// behind its content.
+export async function createResume(data, initialData = null, options = {}) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+    include: WITH_TOP_SKILLS,
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const { name, targetRole } = resumeDetailsSchema.parse(data);
+
+  const parsed = initialData && partialResumeSchema.safeParse(initialData);
+  if (parsed && !parsed.success) throw new Error("Invalid resume data");
+  const revision = revisionFields(options);
+
   try {
-    const resume = await db.resume.upsert({
-      where: {
+    // A user's first resume becomes their default.
+    const existing = await db.resume.count({ where: { userId: user.id } });
+
+    const resumeData = parsed && normalizeResumeData(parsed.data);
+    const content = resumeData ? resumeToMarkdown(resumeData) : "";
+
+    const resume = await db.resume.create({
+      data: {
         userId: user.id,
-      },
-      update: {
+        name,
+        targetRole: targetRole || null,
+        isDefault: existing === 0,
         content,
+        ...(resumeData && {
+          data: resumeData,
+          ...atsFields(resumeData, user),
+          revisions: {
+            create: { data: resumeData, content, ...revision },
+          },
+        }),
       },
-      create: {
+    });
+
+    revalidatePath("/resume");
+    return resume;
+  } catch (error) {
+    console.error("Error creating resume:", error);
+    throw new Error("Failed to create resume");
+  }
+}
+
+// ---------------------------------------------------------
+// Save resume
+// ---------------------------------------------------------
+// `data` is the structured resume (resumeSchema); the markdown in `content`
+// is rendered from it. Every save also records an immutable ResumeRevision,
+// optionally labelled and with the `promptVersions` of accepted AI
+// suggestions, and replaces the autosaved draft.
+//
+// With `baseVersion` (the Resume.version the edits started from) the save
+// only applies if nobody saved since. Otherwise nothing is written and
+// { conflict: true, resume } returns the newer resume.
+export async function saveResume(id, data, { baseVersion, ...options } = {}) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+    include: WITH_TOP_SKILLS,
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const parsed = resumeSchema.safeParse(data);
+  if (!parsed.success) {
+    throw new Error(parsed.error.issues[0]?.message || "Invalid resume data");
+  }
+  // Drops stale keys from sectionOrder (e.g. deleted custom sections)
+  const resumeData = normalizeResumeData(parsed.data);
+  const content = resumeToMarkdown(resumeData);
+  const revision = revisionFields(options);
+
+  try {
+    const resume = await db.resume.update({
+      where: {
+        id,
         userId: user.id,
+        ...(baseVersion !== undefined && { version: baseVersion }),
+      },
+      data: {
+        data: resumeData,
         content,
+        ...atsFields(resumeData, user),
+        version: { increment: 1 },
+        revisions: {
+          deleteMany: { isDraft: true },
+          create: { data: resumeData, content, ...revision },
+        },
       },
     });
 
     revalidatePath("/resume");
+    revalidatePath(`/resume/${id}`);
     return resume;
   } catch (error) {
+    // No row matched: either someone saved since `baseVersion` or the
+    // resume is gone.
+    if (error.code === "P2025" && baseVersion !== undefined) {
+      const latest = await db.resume.findUnique({
+        where: { id, userId: user.id },
+      });
+      if (latest) return { conflict: true, resume: latest };
+    }
     console.error("Error saving resume:", error);
     throw new Error("Failed to save resume");
   }
 }
 
-export async function getResume() {
+// ---------------------------------------------------------
+// Autosaved drafts
+// ---------------------------------------------------------
+// Keeps unsaved edits on the server as the resume's draft revision, so
+// they survive a closed tab on another device too. Data that doesn't
+// validate yet is left to the browser's local draft. Returns { savedAt }
+// (null when nothing was stored), or { conflict: true, resume } when the
+// resume was saved since `baseVersion`.
+export async function saveResumeDraft(id, data, baseVersion) {
   const { userId } = await auth();
   if (!userId) throw new Error("Unauthorized");
 
@@ -51,16 +243,344 @@ export async function getResume() {
 
   if (!user) throw new Error("User not found");
 
-  return await db.resume.findUnique({
-    where: {
+  const resume = await db.resume.findUnique({
+    where: { id, userId: user.id },
+  });
+
+  if (!resume) throw new Error("Resume not found");
+  if (resume.version !== baseVersion) return { conflict: true, resume };
+
+  const parsed = resumeSchema.safeParse(data);
+  if (!parsed.success) return { savedAt: null };
+  const resumeData = normalizeResumeData(parsed.data);
+
+  let draft;
+  try {
+    draft = await db.$transaction(async (tx) => {
+      // Rechecks the version while locking the row (updatedAt is written
+      // back unchanged), so a save can't commit between the check and the
+      // draft write.
+      const { count } = await tx.resume.updateMany({
+        where: { id, userId: user.id, version: baseVersion },
+        data: { updatedAt: resume.updatedAt },
+      });
+      if (count === 0) return null;
+
+      await tx.resumeRevision.deleteMany({ where: { resumeId: id, isDraft: true } });
+      return await tx.resumeRevision.create({
+        data: {
+          resumeId: id,
+          data: resumeData,
+          content: resumeToMarkdown(resumeData),
+          isDraft: true,
+          baseVersion,
+        },
+      });
+    });
+  } catch (error) {
+    console.error("Error saving resume draft:", error);
+    throw new Error("Failed to save draft");
+  }
+
+  if (draft) return { savedAt: draft.createdAt };
+
+  const latest = await db.resume.findUnique({
+    where: { id, userId: user.id },
+  });
+  if (!latest) throw new Error("Resume not found");
+  return { conflict: true, resume: latest };
+}
+
+export async function getResumeDraft(id) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return await db.resumeRevision.findFirst({
+    where: { resumeId: id, isDraft: true, resume: { userId: user.id } },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+export async function discardResumeDraft(id) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  await db.resumeRevision.deleteMany({
+    where: { resumeId: id, isDraft: true, resume: { userId: user.id } },
+  });
+}
+
+// ---------------------------------------------------------
+// Rename / retarget resume
+// ---------------------------------------------------------
+export async function updateResumeDetails(id, data) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const { name, targetRole } = resumeDetailsSchema.parse(data);
+
+  const resume = await db.resume.update({
+    where: { id, userId: user.id },
+    data: { name, targetRole: targetRole || null },
+    select: RESUME_LIST_FIELDS,
+  });
+
+  revalidatePath("/resume");
+  revalidatePath(`/resume/${id}`);
+  return resume;
+}
+
+// ---------------------------------------------------------
+// Duplicate resume
+// ---------------------------------------------------------
+export async function duplicateResume(id) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const source = await db.resume.findUnique({
+    where: { id, userId: user.id },
+  });
+
+  if (!source) throw new Error("Resume not found");
+
+  const copy = await db.resume.create({
+    data: {
       userId: user.id,
+      name: `${source.name} (copy)`,
+      targetRole: source.targetRole,
+      data: source.data ?? undefined,
+      content: source.content,
+      atsScore: source.atsScore,
+      feedback: source.feedback ?? undefined,
+      atsCheckedAt: source.atsCheckedAt,
+      isDefault: false,
+      ...(source.content && {
+        revisions: {
+          create: {
+            data: source.data ?? undefined,
+            content: source.content,
+            label: `Duplicated from ${source.name}`,
+          },
+        },
+      }),
+    },
+    select: RESUME_LIST_FIELDS,
+  });
+
+  revalidatePath("/resume");
+  return copy;
+}
+
+// ---------------------------------------------------------
+// Make a resume the default
+// ---------------------------------------------------------
+export async function setDefaultResume(id) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  await db.$transaction([
+    db.resume.updateMany({
+      where: { userId: user.id, isDefault: true, NOT: { id } },
+      data: { isDefault: false },
+    }),
+    db.resume.update({
+      where: { id, userId: user.id },
+      data: { isDefault: true },
+    }),
+  ]);
+
+  revalidatePath("/resume");
+}
+
+// ---------------------------------------------------------
+// Delete resume
+// ---------------------------------------------------------
+// Cover letters based on the resume keep their content; their resumeId is
+// cleared by the database. Deleting the default promotes the most recently
+// updated remaining resume.
+export async function deleteResume(id) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  // One transaction, so the user is never left without a default resume
+  const deleted = await db.$transaction(async (tx) => {
+    const resume = await tx.resume.delete({
+      where: { id, userId: user.id },
+    });
+
+    if (resume.isDefault) {
+      const next = await tx.resume.findFirst({
+        where: { userId: user.id },
+        orderBy: { updatedAt: "desc" },
+      });
+      if (next) {
+        await tx.resume.update({
+          where: { id: next.id },
+          data: { isDefault: true },
+        });
+      }
+    }
+
+    return resume;
+  });
+
+  revalidatePath("/resume");
+  return deleted;
+}
+
+// ---------------------------------------------------------
+// Revision history
+// ---------------------------------------------------------
+export async function getResumeRevisions(resumeId) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return await db.resumeRevision.findMany({
+    where: { resumeId, isDraft: false, resume: { userId: user.id } },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+// Restoring never rewrites history: the old content becomes the current
+// content and is recorded as a new revision. Any autosaved draft is dropped.
+export async function restoreResumeRevision(resumeId, revisionId) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+    include: WITH_TOP_SKILLS,
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const revision = await db.resumeRevision.findFirst({
+    where: { id: revisionId, resumeId, isDraft: false, resume: { userId: user.id } },
+  });
+
+  if (!revision) throw new Error("Revision not found");
+
+  const label = `Restored from ${revision.label || format(revision.createdAt, "PPp")}`;
+
+  // Revisions from before structured data are parsed, so the restored
+  // resume's data always matches its content.
+  const data = resumeDataFromRecord(revision);
+
+  const resume = await db.resume.update({
+    where: { id: resumeId, userId: user.id },
+    data: {
+      data,
+      content: revision.content,
+      ...atsFields(data, user),
+      version: { increment: 1 },
+      revisions: {
+        deleteMany: { isDraft: true },
+        create: { data, content: revision.content, label },
+      },
     },
   });
+
+  revalidatePath("/resume");
+  return resume;
+}
+
+// ---------------------------------------------------------
+// ATS score
+// ---------------------------------------------------------
+// Scores are recomputed on every save; this is for an explicit refresh,
+// e.g. after the industry's top skills changed.
+export async function scoreResume(id) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+    include: WITH_TOP_SKILLS,
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const resume = await db.resume.findUnique({
+    where: { id, userId: user.id },
+  });
+
+  if (!resume) throw new Error("Resume not found");
+
+  const updated = await db.resume.update({
+    where: { id },
+    data: atsFields(resumeDataFromRecord(resume), user),
+    select: { atsScore: true, feedback: true, atsCheckedAt: true },
+  });
+
+  revalidatePath("/resume");
+  return updated;
 }
 
-export async function improveWithAI({ current, type }) {
+const IMPROVABLE_TYPES = [
+  "summary",
+  "skills",
+  "bullet",
+  "experience",
+  "education",
+  "project",
+  "volunteer",
+];
+const MAX_INSTRUCTION_LENGTH = 200;
+
+// Returns { text, promptVersion }: a rewrite of `current` for the user to
+// accept or reject, and the prompt that wrote it, to pass to saveResume.
+// `type` is the section (or "bullet" for a single line of a description),
+// and `instruction` an optional request such as "shorter".
+export async function improveWithAI({ current, type, instruction = "" }) {
   const { userId } = await auth();
   if (!userId) throw new Error("Unauthorized");
+  if (!IMPROVABLE_TYPES.includes(type)) throw new Error("Invalid section type");
+  if (!current?.trim()) throw new Error("Nothing to improve");
+  if (instruction.length > MAX_INSTRUCTION_LENGTH) {
+    throw new Error(`Keep the instruction under ${MAX_INSTRUCTION_LENGTH} characters`);
+  }
 
   const user = await db.user.findUnique({
     where: { clerkUserId: userId },
@@ -71,51 +591,120 @@ export async function improveWithAI({ current, type }) {
 
   if (!user) throw new Error("User not found");
 
-  const prompt = `
-    As an expert resume writer, improve the following ${type} description for a ${user.industry} professional.
-    Make it more impactful, quantifiable, and aligned with industry standards.
-    Current content: "${current}"
+  await assertWithinQuota(user.id, AI_FEATURES.RESUME_IMPROVE);
 
-    Requirements:
-    1. Use action verbs
-    2. Include metrics and results where possible
-    3. Highlight relevant technical skills
-    4. Keep it concise but detailed
-    5. Focus on achievements over responsibilities
-    6. Use industry-specific keywords
-    
-    Format the response as a single paragraph without any additional text or explanations.
-  `;
+  const { prompt, promptVersion, redactions } = renderPrompt(AI_FEATURES.RESUME_IMPROVE, {
+    type,
+    industry: user.industry,
+    current,
+    instruction: instruction.trim(),
+  });
 
   try {
-    // ✅ New GenAI call using the SDK model wrapper
-    const result = await model.generateContent({
-  model: "gemini-2.5-pro",
-      contents: prompt,
+    const improvedContent = await generateText({
+      feature: AI_FEATURES.RESUME_IMPROVE,
+      userId: user.id,
+      prompt,
+      promptVersion,
+      redactions,
     });
 
-    // Normalize response shapes
-    let improvedContent;
-    if (typeof result?.text === "string") {
-      improvedContent = result.text.trim();
-    } else if (typeof result?.response?.text === "string") {
-      improvedContent = result.response.text.trim();
-    } else if (
-      result?.response?.candidates?.[0]?.content?.parts &&
-      Array.isArray(result.response.candidates[0].content.parts)
-    ) {
-      improvedContent = result.response.candidates[0].content.parts
-        .map((p) => p.text || "")
-        .join("")
-        .trim();
-    } else {
-      console.error("Unexpected GenAI response shape:", result);
-      throw new Error("AI returned no text");
-    }
-
-    return improvedContent;
+    // A single bullet is spliced back into its description by the caller
+    const text =
+      type === "bullet" ? improvedContent.replace(/^[-*•]\s+/, "") : improvedContent;
+    return { text, promptVersion };
   } catch (error) {
     console.error("Error improving content:", error);
     throw new Error("Failed to improve content");
   }
 }
+
+// ---------------------------------------------------------
+// Tailor to a job
+// ---------------------------------------------------------
+// Works on the resume as currently edited (`data`), saved or not. Returns
+// the job's keywords split by whether the resume mentions them, and
+// suggested rewrites for the user to accept or reject:
+// [{ key, section, index, label, original, proposed }], where `section` is
+// "summary", "experience" or "projects", and the `promptVersion` to pass to
+// saveResume or createResume when any are kept.
+export async function tailorResume(data, job) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const parsedJob = tailorJobSchema.safeParse(job);
+  if (!parsedJob.success) {
+    throw new Error(parsedJob.error.issues[0]?.message || "Invalid job details");
+  }
+  const { jobDescription, jobTitle, companyName } = parsedJob.data;
+
+  // Unsaved edits may not pass resumeSchema yet, so only the shape is checked
+  const parsedData = partialResumeSchema.safeParse(data);
+  if (!parsedData.success) {
+    throw new Error(parsedData.error.issues[0]?.message || "Invalid resume data");
+  }
+  const resumeData = normalizeResumeData(parsedData.data);
+
+  await assertWithinQuota(user.id, AI_FEATURES.RESUME_TAILOR);
+
+  const { promptVersion, ...template } = renderPrompt(AI_FEATURES.RESUME_TAILOR, {
+    jobTitle: jobTitle ?? "",
+    companyName: companyName ?? "",
+    jobDescription,
+    industry: user.industry,
+    resume: resumeTailorText(resumeData),
+  });
+
+  let tailored;
+  try {
+    tailored = await generateJSON({
+      feature: AI_FEATURES.RESUME_TAILOR,
+      userId: user.id,
+      promptVersion,
+      ...template,
+    });
+  } catch (error) {
+    console.error("Error tailoring resume:", error);
+    if (error instanceof AIOutputValidationError) {
+      throw new Error("The AI returned invalid suggestions. Please try again.");
+    }
+    throw new Error("Failed to tailor resume");
+  }
+
+  const suggestions = [];
+  if (tailored.summary.trim() && tailored.summary.trim() !== resumeData.summary.trim()) {
+    suggestions.push({
+      key: "summary",
+      section: "summary",
+      label: "Professional Summary",
+      original: resumeData.summary,
+      proposed: tailored.summary.trim(),
+    });
+  }
+  // Entries the model made up (or numbered wrong) are dropped.
+  for (const { section, index, description } of tailored.entries) {
+    const entry = resumeData[section][index];
+    if (!entry || description.trim() === entry.description.trim()) continue;
+    suggestions.push({
+      key: `${section}-${index}`,
+      section,
+      index,
+      label: `${entry.title} @ ${entry.organization}`,
+      original: entry.description,
+      proposed: description.trim(),
+    });
+  }
+
+  const keywords = [...new Set(tailored.keywords.map((k) => k.trim()))].filter(Boolean);
+  return {
+    keywords: keywordCoverage(resumeData, keywords),
+    suggestions,
+    promptVersion,
+  };
+}
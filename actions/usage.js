@@ -0,0 +1,23 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { getUsageSummary as summarizeUsage } from "@/lib/ai/usage";
+
+export async function getUsageSummary() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  try {
+    return await summarizeUsage(user.id);
+  } catch (error) {
+    console.error("Error fetching AI usage:", error);
+    throw new Error("Failed to fetch AI usage");
+  }
+}
@@ -3,7 +3,8 @@
 import { db } from "@/lib/prisma";
 import { auth } from "@clerk/nextjs/server";
 import { revalidatePath } from "next/cache";
-import { generateAIInsights } from "./dashboard";
+import { generateAIInsights } from "@/lib/industry-insights";
+import { profileSkillsSchema } from "@/app/lib/schema";
 
 export async function updateUser(data) {
   const { userId } = await auth();
@@ -28,7 +29,9 @@ export async function updateUser(data) {
 
         // If industry doesn't exist, create it with default values
         if (!industryInsight) {
-          const insights = await generateAIInsights(data.industry);
+          const insights = await generateAIInsights(data.industry, {
+            userId: user.id,
+          });
 
           industryInsight = await db.industryInsight.create({
             data: {
@@ -95,3 +98,44 @@ export async function getUserOnboardingStatus() {
     throw new Error("Failed to check onboarding status");
   }
 }
+
+// Adds skills (e.g. from an uploaded resume) to the profile, skipping ones
+// already listed in any letter case.
+export async function addProfileSkills(skills) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const parsed = profileSkillsSchema.safeParse(skills);
+  if (!parsed.success) {
+    throw new Error(parsed.error.issues[0]?.message || "Invalid skills");
+  }
+
+  const known = new Set(user.skills.map((skill) => skill.toLowerCase()));
+  const added = parsed.data.filter((skill) => {
+    const key = skill.toLowerCase();
+    if (!skill || known.has(key)) return false;
+    known.add(key);
+    return true;
+  });
+
+  if (!added.length) return { added };
+
+  try {
+    await db.user.update({
+      where: { id: user.id },
+      data: { skills: [...user.skills, ...added] },
+    });
+
+    revalidatePath("/");
+    return { added };
+  } catch (error) {
+    console.error("Error adding profile skills:", error);
+    throw new Error("Failed to update profile skills");
+  }
+}
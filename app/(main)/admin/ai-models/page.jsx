@@ -0,0 +1,76 @@
+import { getModelConfigOverview } from "@/actions/admin";
+import { Badge } from "@/components/ui/badge";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+
+const formatValue = (value) => {
+  if (value === undefined || value === null) return "—";
+  if (Array.isArray(value)) return value.length ? value.join(", ") : "—";
+  return String(value);
+};
+
+const FIELDS = [
+  ["model", "Model"],
+  ["fallbackModels", "Fallback models"],
+  ["temperature", "Temperature"],
+  ["maxOutputTokens", "Max output tokens"],
+];
+
+// Which layer the effective value of a field came from.
+const sourceOf = (entry, key) => {
+  if (entry.db?.[key] !== undefined) return "database";
+  if (entry.env?.[key] !== undefined) return "env";
+  return "default";
+};
+
+export default async function AIModelsPage() {
+  const overview = await getModelConfigOverview();
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-6xl font-bold gradient-title">AI Models</h1>
+        <p className="text-muted-foreground">
+          Effective model settings per feature. Override them with the
+          AI_MODEL_CONFIG environment variable or the FeatureModelSetting
+          table.
+        </p>
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-2">
+        {overview.map((entry) => (
+          <Card key={entry.feature}>
+            <CardHeader>
+              <CardTitle>{entry.feature}</CardTitle>
+              <CardDescription>
+                {entry.db
+                  ? "Database override active"
+                  : entry.env
+                  ? "Environment override active"
+                  : "Using defaults"}
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <dl className="space-y-2 text-sm">
+                {FIELDS.map(([key, label]) => (
+                  <div key={key} className="flex items-center justify-between gap-4">
+                    <dt className="text-muted-foreground">{label}</dt>
+                    <dd className="flex items-center gap-2 text-right">
+                      {formatValue(entry.effective[key])}
+                      <Badge variant="outline">{sourceOf(entry, key)}</Badge>
+                    </dd>
+                  </div>
+                ))}
+              </dl>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,8 @@
 import Link from "next/link";
-import { ArrowLeft } from "lucide-react";
+import { AlertTriangle, ArrowLeft } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { getCoverLetter } from "@/actions/cover-letter";
+import FileDownloadButton from "@/components/file-download-button";
 import CoverLetterPreview from "../_components/cover-letter-preview";
 
 export default async function EditCoverLetterPage({ params }) {
@@ -18,11 +19,52 @@ export default async function EditCoverLetterPage({ params }) {
           </Button>
         </Link>
 
-        <h1 className="text-6xl font-bold gradient-title mb-6">
-          {coverLetter?.jobTitle} at {coverLetter?.companyName}
-        </h1>
+        <div className="flex flex-col md:flex-row justify-between md:items-center gap-2 mb-6">
+          <h1 className="text-6xl font-bold gradient-title">
+            {coverLetter?.jobTitle} at {coverLetter?.companyName}
+          </h1>
+          {coverLetter && (
+            <FileDownloadButton
+              href={`/api/cover-letter/${coverLetter.id}/docx`}
+              fileName={`Cover Letter - ${coverLetter.jobTitle} at ${coverLetter.companyName}.docx`}
+            >
+              Download DOCX
+            </FileDownloadButton>
+          )}
+        </div>
+        {coverLetter?.resume && (
+          <p className="text-sm text-muted-foreground pb-4">
+            Based on resume{" "}
+            <Link
+              href={`/resume/${coverLetter.resume.id}`}
+              className="underline"
+            >
+              {coverLetter.resume.name}
+            </Link>
+            {coverLetter.jobDescription && (
+              <>
+                {" · "}
+                <Link
+                  href={`/resume/${coverLetter.resume.id}?tailor=${coverLetter.id}`}
+                  className="underline"
+                >
+                  Tailor this resume to the job
+                </Link>
+              </>
+            )}
+          </p>
+        )}
       </div>
 
+      {coverLetter?.status === "draft" && (
+        <div className="flex p-3 gap-2 items-center border-2 border-yellow-600 text-yellow-600 rounded mb-2">
+          <AlertTriangle className="h-5 w-5" />
+          <span className="text-sm">
+            Generation did not finish. This draft contains the partial letter.
+          </span>
+        </div>
+      )}
+
       <CoverLetterPreview content={coverLetter?.content} />
     </div>
   );
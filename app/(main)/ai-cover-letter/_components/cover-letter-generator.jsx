@@ -16,44 +16,88 @@ import {
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Textarea } from "@/components/ui/textarea";
-import { generateCoverLetter } from "@/actions/cover-letter";
-import useFetch from "@/hooks/use-fetch";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
 import { coverLetterSchema } from "@/app/lib/schema";
-import { useEffect } from "react";
 import { useRouter } from "next/navigation";
+import MDEditor from "@uiw/react-md-editor";
+
+// Radix Select items cannot have an empty value.
+const NO_RESUME = "none";
 
-export default function CoverLetterGenerator() {
+export default function CoverLetterGenerator({ resumes = [] }) {
   const router = useRouter();
+  const defaultResumeId = resumes.find((r) => r.isDefault)?.id;
 
   const {
     register,
     handleSubmit,
+    setValue,
     formState: { errors },
     reset,
   } = useForm({
     resolver: zodResolver(coverLetterSchema),
+    defaultValues: { resumeId: defaultResumeId },
   });
 
-  const {
-    loading: generating,
-    fn: generateLetterFn,
-    data: generatedLetter,
-  } = useFetch(generateCoverLetter);
-
-  // Update content when letter is generated
-  useEffect(() => {
-    if (generatedLetter) {
-      toast.success("Cover letter generated successfully!");
-      router.push(`/ai-cover-letter/${generatedLetter.id}`);
-      reset();
-    }
-  }, [generatedLetter]);
+  const [generating, setGenerating] = useState(false);
+  const [streamedContent, setStreamedContent] = useState("");
 
+  // The letter is streamed from the route handler and rendered as it
+  // arrives. The server saves it as a draft first, so an interrupted
+  // stream still leaves the partial letter at /ai-cover-letter/[id].
   const onSubmit = async (data) => {
+    setGenerating(true);
+    setStreamedContent("");
+    let coverLetterId = null;
+
     try {
-      await generateLetterFn(data);
+      const res = await fetch("/api/cover-letter/stream", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(data),
+      });
+
+      if (!res.ok) {
+        const { error } = await res.json().catch(() => ({}));
+        throw new Error(error || "Failed to generate cover letter");
+      }
+
+      coverLetterId = res.headers.get("X-Cover-Letter-Id");
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        const text = decoder.decode(value, { stream: true });
+        setStreamedContent((prev) => prev + text);
+      }
+
+      toast.success("Cover letter generated successfully!");
+      router.push(`/ai-cover-letter/${coverLetterId}`);
+      reset();
     } catch (error) {
-      toast.error(error.message || "Failed to generate cover letter");
+      if (coverLetterId) {
+        toast.error(
+          "Generation was interrupted. The partial letter was saved as a draft.",
+          {
+            action: {
+              label: "Open draft",
+              onClick: () => router.push(`/ai-cover-letter/${coverLetterId}`),
+            },
+          }
+        );
+      } else {
+        toast.error(error.message || "Failed to generate cover letter");
+      }
+    } finally {
+      setGenerating(false);
     }
   };
 
@@ -99,6 +143,34 @@ export default function CoverLetterGenerator() {
               </div>
             </div>
 
+            {resumes.length > 0 && (
+              <div className="space-y-2">
+                <Label htmlFor="resumeId">Based on Resume</Label>
+                <Select
+                  defaultValue={defaultResumeId ?? NO_RESUME}
+                  onValueChange={(value) =>
+                    setValue(
+                      "resumeId",
+                      value === NO_RESUME ? undefined : value
+                    )
+                  }
+                >
+                  <SelectTrigger id="resumeId">
+                    <SelectValue placeholder="Select a resume" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={NO_RESUME}>Don&apos;t use a resume</SelectItem>
+                    {resumes.map((resume) => (
+                      <SelectItem key={resume.id} value={resume.id}>
+                        {resume.name}
+                        {resume.targetRole && ` (${resume.targetRole})`}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+
             <div className="space-y-2">
               <Label htmlFor="jobDescription">Job Description</Label>
               <Textarea
@@ -129,6 +201,20 @@ export default function CoverLetterGenerator() {
           </form>
         </CardContent>
       </Card>
+
+      {streamedContent && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Preview</CardTitle>
+            <CardDescription>
+              {generating ? "Writing your cover letter..." : "Done"}
+            </CardDescription>
+          </CardHeader>
+          <CardContent data-color-mode="light">
+            <MDEditor.Markdown source={streamedContent} />
+          </CardContent>
+        </Card>
+      )}
     </div>
   );
 }
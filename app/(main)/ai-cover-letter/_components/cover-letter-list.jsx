@@ -12,6 +12,7 @@ import {
   CardTitle,
 } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
 import {
   AlertDialog,
   AlertDialogAction,
@@ -61,8 +62,11 @@ export default function CoverLetterList({ coverLetters }) {
                 <CardTitle className="text-xl gradient-title">
                   {letter.jobTitle} at {letter.companyName}
                 </CardTitle>
-                <CardDescription>
+                <CardDescription className="flex items-center gap-2">
                   Created {format(new Date(letter.createdAt), "PPP")}
+                  {letter.status === "draft" && (
+                    <Badge variant="outline">Draft</Badge>
+                  )}
                 </CardDescription>
               </div>
               <div className="flex space-x-2">
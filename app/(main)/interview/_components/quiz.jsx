@@ -28,6 +28,8 @@ export default function Quiz() {
     data: quizData,
   } = useFetch(generateQuiz);
 
+  const questions = quizData?.questions;
+
   const {
     loading: savingResult,
     fn: saveQuizResultFn,
@@ -36,10 +38,10 @@ export default function Quiz() {
   } = useFetch(saveQuizResult);
 
   useEffect(() => {
-    if (quizData) {
-      setAnswers(new Array(quizData.length).fill(null));
+    if (questions) {
+      setAnswers(new Array(questions.length).fill(null));
     }
-  }, [quizData]);
+  }, [questions]);
 
   const handleAnswer = (answer) => {
     const newAnswers = [...answers];
@@ -48,7 +50,7 @@ export default function Quiz() {
   };
 
   const handleNext = () => {
-    if (currentQuestion < quizData.length - 1) {
+    if (currentQuestion < questions.length - 1) {
       setCurrentQuestion(currentQuestion + 1);
       setShowExplanation(false);
     } else {
@@ -59,17 +61,22 @@ export default function Quiz() {
   const calculateScore = () => {
     let correct = 0;
     answers.forEach((answer, index) => {
-      if (answer === quizData[index].correctAnswer) {
+      if (answer === questions[index].correctAnswer) {
         correct++;
       }
     });
-    return (correct / quizData.length) * 100;
+    return (correct / questions.length) * 100;
   };
 
   const finishQuiz = async () => {
     const score = calculateScore();
     try {
-      await saveQuizResultFn(quizData, answers, score);
+      await saveQuizResultFn(
+        questions,
+        answers,
+        score,
+        quizData.promptVersion
+      );
       toast.success("Quiz completed!");
     } catch (error) {
       toast.error(error.message || "Failed to save quiz results");
@@ -97,7 +104,7 @@ export default function Quiz() {
     );
   }
 
-  if (!quizData) {
+  if (!questions) {
     return (
       <Card className="mx-2">
         <CardHeader>
@@ -118,13 +125,13 @@ export default function Quiz() {
     );
   }
 
-  const question = quizData[currentQuestion];
+  const question = questions[currentQuestion];
 
   return (
     <Card className="mx-2">
       <CardHeader>
         <CardTitle>
-          Question {currentQuestion + 1} of {quizData.length}
+          Question {currentQuestion + 1} of {questions.length}
         </CardTitle>
       </CardHeader>
       <CardContent className="space-y-4">
@@ -167,7 +174,7 @@ export default function Quiz() {
           {savingResult && (
             <BarLoader className="mt-4" width={"100%"} color="gray" />
           )}
-          {currentQuestion < quizData.length - 1
+          {currentQuestion < questions.length - 1
             ? "Next Question"
             : "Finish Quiz"}
         </Button>
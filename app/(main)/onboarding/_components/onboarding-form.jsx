@@ -4,7 +4,7 @@ import { useState, useEffect } from "react";
 import { useRouter } from "next/navigation";
 import { useForm } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
-import { Loader2 } from "lucide-react";
+import { FileUp, Loader2 } from "lucide-react";
 import { toast } from "sonner";
 import {
   Card,
@@ -29,6 +29,7 @@ import {
 import useFetch from "@/hooks/use-fetch";
 import { onboardingSchema } from "@/app/lib/schema";
 import { updateUser } from "@/actions/user";
+import ResumeUploadDialog from "@/components/resume-upload-dialog";
 
 const OnboardingForm = ({ industries }) => {
   const router = useRouter();
@@ -45,6 +46,7 @@ const OnboardingForm = ({ industries }) => {
     handleSubmit,
     formState: { errors },
     setValue,
+    getValues,
     watch,
   } = useForm({
     resolver: zodResolver(onboardingSchema),
@@ -65,6 +67,35 @@ const OnboardingForm = ({ industries }) => {
     }
   };
 
+  // Prefill skills and bio from an uploaded resume; typed values are kept.
+  const handleResumeUpload = ({ skills, summary }) => {
+    const current = getValues("skills") || "";
+    const listed = new Set(
+      current
+        .split(",")
+        .map((skill) => skill.trim().toLowerCase())
+        .filter(Boolean)
+    );
+    const newSkills = skills
+      .map((skill) => skill.trim())
+      .filter((skill) => {
+        const key = skill.toLowerCase();
+        if (!skill || listed.has(key)) return false;
+        listed.add(key);
+        return true;
+      });
+    if (newSkills.length) {
+      setValue(
+        "skills",
+        [current.trim(), newSkills.join(", ")].filter(Boolean).join(", ")
+      );
+    }
+    if (summary && !getValues("bio")) {
+      setValue("bio", summary.slice(0, 500));
+    }
+    toast.success("Profile prefilled from your resume");
+  };
+
   useEffect(() => {
     if (updateResult?.success && !updateLoading) {
       toast.success("Profile completed successfully!");
@@ -88,6 +119,22 @@ const OnboardingForm = ({ industries }) => {
           </CardDescription>
         </CardHeader>
         <CardContent>
+          <div className="flex items-center justify-between gap-2 rounded-lg border p-3 mb-6">
+            <p className="text-sm text-muted-foreground">
+              Have a resume? Upload it to fill in your skills and bio.
+            </p>
+            <ResumeUploadDialog
+              description="Your skills and summary are used to fill in the profile form. You can review everything before it is applied."
+              applyLabel="Fill In Profile"
+              onApply={handleResumeUpload}
+              trigger={
+                <Button type="button" variant="outline" size="sm">
+                  <FileUp className="h-4 w-4" />
+                  Upload
+                </Button>
+              }
+            />
+          </div>
           <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
             <div className="space-y-2">
               <Label htmlFor="industry">Industry</Label>
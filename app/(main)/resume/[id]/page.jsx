@@ -0,0 +1,39 @@
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import { ArrowLeft } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { getResume, getResumeDraft } from "@/actions/resume";
+import { getCoverLetter } from "@/actions/cover-letter";
+import ResumeBuilder from "../_components/resume-builder";
+
+// ?tailor=<coverLetterId> opens the builder's "Tailor to Job" dialog with
+// that cover letter's job details.
+export default async function EditResumePage({ params, searchParams }) {
+  const { id } = await params;
+  const { tailor } = await searchParams;
+  const resume = await getResume(id);
+
+  if (!resume) notFound();
+
+  const draft = await getResumeDraft(id);
+
+  const coverLetter = tailor ? await getCoverLetter(tailor) : null;
+  const tailorJob = coverLetter && {
+    jobTitle: coverLetter.jobTitle,
+    companyName: coverLetter.companyName,
+    jobDescription: coverLetter.jobDescription ?? "",
+  };
+
+  return (
+    <div className="container mx-auto py-6">
+      <Link href="/resume">
+        <Button variant="link" className="gap-2 pl-0">
+          <ArrowLeft className="h-4 w-4" />
+          Back to Resumes
+        </Button>
+      </Link>
+
+      <ResumeBuilder resume={resume} draft={draft} tailorJob={tailorJob} />
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+"use client";
+
+import { useState } from "react";
+import { formatDistanceToNow } from "date-fns";
+import {
+  AlertTriangle,
+  CheckCircle2,
+  Loader2,
+  RefreshCw,
+  XCircle,
+} from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Progress } from "@/components/ui/progress";
+import { scoreResume } from "@/actions/resume";
+import { ATS_STATUS } from "@/app/lib/ats";
+
+const STATUS_ICONS = {
+  [ATS_STATUS.PASS]: <CheckCircle2 className="h-5 w-5 text-green-500 flex-shrink-0" />,
+  [ATS_STATUS.WARN]: <AlertTriangle className="h-5 w-5 text-yellow-500 flex-shrink-0" />,
+  [ATS_STATUS.FAIL]: <XCircle className="h-5 w-5 text-red-500 flex-shrink-0" />,
+};
+
+// ATS score and itemized feedback stored on the resume. `ats` holds the
+// Resume's atsScore, feedback and atsCheckedAt; `onChange` receives the
+// recomputed values.
+export default function AtsReport({ resumeId, ats, isDirty, onChange }) {
+  const [loading, setLoading] = useState(false);
+
+  const handleRecompute = async () => {
+    setLoading(true);
+    try {
+      onChange(await scoreResume(resumeId));
+    } catch (error) {
+      toast.error(error.message || "Failed to score resume");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const checks = ats.feedback ?? [];
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between gap-4 space-y-0">
+        <div className="space-y-1">
+          <CardTitle>ATS Compatibility</CardTitle>
+          <CardDescription>
+            {ats.atsCheckedAt
+              ? `Checked ${formatDistanceToNow(new Date(ats.atsCheckedAt), {
+                  addSuffix: true,
+                })}. Scores the last saved version.`
+              : "Not checked yet. Save the resume or recompute to score it."}
+            {isDirty && " You have unsaved changes."}
+          </CardDescription>
+        </div>
+        <Button
+          variant="outline"
+          onClick={handleRecompute}
+          disabled={loading}
+        >
+          {loading ? (
+            <Loader2 className="h-4 w-4 animate-spin" />
+          ) : (
+            <RefreshCw className="h-4 w-4" />
+          )}
+          Recompute
+        </Button>
+      </CardHeader>
+      {ats.atsScore != null && (
+        <CardContent className="space-y-6">
+          <div className="space-y-2">
+            <div className="flex items-baseline justify-between">
+              <span className="text-4xl font-bold">
+                {Math.round(ats.atsScore)}
+              </span>
+              <span className="text-sm text-muted-foreground">out of 100</span>
+            </div>
+            <Progress value={ats.atsScore} />
+          </div>
+
+          <div className="space-y-3">
+            {checks.map((check) => (
+              <div key={check.id} className="flex gap-3 rounded-lg border p-3">
+                {STATUS_ICONS[check.status]}
+                <div className="flex-1 space-y-1">
+                  <div className="flex justify-between gap-2">
+                    <p className="font-medium">{check.label}</p>
+                    <span className="text-sm text-muted-foreground">
+                      {check.score}/{check.max}
+                    </span>
+                  </div>
+                  {check.messages.map((message) => (
+                    <p key={message} className="text-sm text-muted-foreground">
+                      {message}
+                    </p>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </CardContent>
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,60 @@
+"use client";
+
+import { PlusCircle, Trash2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { Card, CardContent } from "@/components/ui/card";
+
+// Sections with a user-chosen title and free markdown content (bullets,
+// **bold**, links). New sections go to the end of the section order.
+export function CustomSectionsForm({ sections, errors, onChange }) {
+  const update = (index, changes) =>
+    onChange(
+      sections.map((section, i) => (i === index ? { ...section, ...changes } : section))
+    );
+
+  const handleAdd = () =>
+    onChange([...sections, { id: crypto.randomUUID(), title: "", content: "" }]);
+
+  return (
+    <div className="space-y-4">
+      {sections.map((section, index) => (
+        <Card key={section.id}>
+          <CardContent className="space-y-2 pt-6">
+            <div className="flex gap-2">
+              <Input
+                value={section.title}
+                onChange={(e) => update(index, { title: e.target.value })}
+                placeholder="Section title, e.g. Interests"
+                maxLength={60}
+              />
+              <Button
+                variant="outline"
+                size="icon"
+                type="button"
+                title="Delete section"
+                onClick={() => onChange(sections.filter((_, i) => i !== index))}
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+            {errors?.[index]?.title && (
+              <p className="text-sm text-red-500">{errors[index].title.message}</p>
+            )}
+            <Textarea
+              value={section.content}
+              onChange={(e) => update(index, { content: e.target.value })}
+              className="h-24"
+              placeholder="Content (markdown: - bullets, **bold**, [links](https://...))"
+            />
+          </CardContent>
+        </Card>
+      ))}
+      <Button type="button" className="w-full" variant="outline" onClick={handleAdd}>
+        <PlusCircle className="h-4 w-4 mr-2" />
+        Add Custom Section
+      </Button>
+    </div>
+  );
+}
@@ -1,10 +1,10 @@
 // app/resume/_components/entry-form.jsx
 "use client";
 
-import { useEffect, useState } from "react";
+import { useState } from "react";
 import { useForm } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
-import { format, parse } from "date-fns";
+import { format, isValid, parse } from "date-fns";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Textarea } from "@/components/ui/textarea";
@@ -16,10 +16,19 @@ import {
   CardTitle,
 } from "@/components/ui/card";
 import { entrySchema } from "@/app/lib/schema";
-import { Sparkles, PlusCircle, X, Pencil, Save, Loader2 } from "lucide-react";
-import { improveWithAI } from "@/actions/resume";
-import { toast } from "sonner";
-import useFetch from "@/hooks/use-fetch";
+import { sortEntriesByDate } from "@/app/lib/resume";
+import { lintEntry } from "@/app/lib/resume-lint";
+import { LintFindings } from "./lint-findings";
+import ImproveWithAI from "./improve-with-ai";
+import {
+  PlusCircle,
+  X,
+  Pencil,
+  Save,
+  ArrowUp,
+  ArrowDown,
+  GripVertical,
+} from "lucide-react";
 
 const formatDisplayDate = (dateString) => {
   if (!dateString) return "";
@@ -27,8 +36,54 @@ const formatDisplayDate = (dateString) => {
   return format(date, "MMM yyyy");
 };
 
-export function EntryForm({ type, entries, onChange }) {
-  const [isAdding, setIsAdding] = useState(false);
+// The month input's value for a stored "MMM yyyy" date; "" when the date
+// was entered some other way (e.g. read from an uploaded resume).
+const toMonthValue = (displayDate) => {
+  if (!displayDate) return "";
+  const date = parse(displayDate, "MMM yyyy", new Date());
+  return isValid(date) ? format(date, "yyyy-MM") : "";
+};
+
+// Shown under a date input when the stored date could not be loaded into it
+function UnreadableDate({ value }) {
+  if (!value || toMonthValue(value)) return null;
+  return (
+    <p className="text-xs text-muted-foreground">
+      Was &quot;{value}&quot;; pick the month again.
+    </p>
+  );
+}
+
+const EMPTY_ENTRY = {
+  title: "",
+  organization: "",
+  startDate: "",
+  endDate: "",
+  description: "",
+  current: false,
+};
+
+// Entries can be added, edited in place, deleted and reordered (drag and
+// drop, or the arrow buttons from the keyboard). With `autoSort` on they
+// are kept newest first instead, and manual reordering is disabled. The
+// entry being written is linted as the user types (`section` picks the
+// rules, e.g. tense checks only apply to experience and volunteering).
+// `onPromptVersions` receives the prompt versions of the AI suggestions
+// accepted into an entry when it is added or updated.
+export function EntryForm({
+  type,
+  section,
+  entries,
+  onChange,
+  autoSort = false,
+  onAutoSortChange,
+  onPromptVersions,
+}) {
+  // null when the form is closed, -1 while adding, else the edited index
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [dragIndex, setDragIndex] = useState(null);
+  // Of the AI suggestions accepted while the form is open
+  const [promptVersions, setPromptVersions] = useState([]);
 
   const {
     register,
@@ -39,17 +94,44 @@ export function EntryForm({ type, entries, onChange }) {
     setValue,
   } = useForm({
     resolver: zodResolver(entrySchema),
-    defaultValues: {
-      title: "",
-      organization: "",
-      startDate: "",
-      endDate: "",
-      description: "",
-      current: false,
-    },
+    defaultValues: EMPTY_ENTRY,
   });
 
   const current = watch("current");
+  const editedEntry = editingIndex >= 0 ? entries[editingIndex] : null;
+  // Moving or deleting entries while the form is open would shift the
+  // entry it saves to, so both wait until it is closed.
+  const isEditing = editingIndex !== null;
+
+  const draft = watch();
+  const findings =
+    editingIndex === null
+      ? []
+      : lintEntry(
+          {
+            ...draft,
+            startDate: draft.startDate && formatDisplayDate(draft.startDate),
+            endDate: draft.endDate && formatDisplayDate(draft.endDate),
+          },
+          { section }
+        );
+
+  const handleFix = ({ changes }) => {
+    for (const [name, value] of Object.entries(changes)) {
+      setValue(name, name.endsWith("Date") ? toMonthValue(value) : value, {
+        shouldValidate: true,
+      });
+    }
+  };
+
+  const update = (newEntries) =>
+    onChange(autoSort ? sortEntriesByDate(newEntries) : newEntries);
+
+  const closeForm = () => {
+    reset(EMPTY_ENTRY);
+    setEditingIndex(null);
+    setPromptVersions([]);
+  };
 
   const handleAdd = handleValidation((data) => {
     const formattedEntry = {
@@ -58,212 +140,286 @@ export function EntryForm({ type, entries, onChange }) {
       endDate: data.current ? "" : formatDisplayDate(data.endDate),
     };
 
-    onChange([...entries, formattedEntry]);
-
-    reset();
-    setIsAdding(false);
+    update(
+      editingIndex >= 0
+        ? entries.map((entry, i) => (i === editingIndex ? formattedEntry : entry))
+        : [...entries, formattedEntry]
+    );
+    if (promptVersions.length) onPromptVersions?.(promptVersions);
+    closeForm();
   });
 
+  const handleEdit = (index) => {
+    const entry = entries[index];
+    reset({
+      ...EMPTY_ENTRY,
+      ...entry,
+      startDate: toMonthValue(entry.startDate),
+      endDate: toMonthValue(entry.endDate),
+    });
+    setEditingIndex(index);
+  };
+
   const handleDelete = (index) => {
     const newEntries = entries.filter((_, i) => i !== index);
     onChange(newEntries);
   };
 
-  const {
-    loading: isImproving,
-    fn: improveWithAIFn,
-    data: improvedContent,
-    error: improveError,
-  } = useFetch(improveWithAI);
-
-  // Add this effect to handle the improvement result
-  useEffect(() => {
-    if (improvedContent && !isImproving) {
-      setValue("description", improvedContent);
-      toast.success("Description improved successfully!");
-    }
-    if (improveError) {
-      toast.error(improveError.message || "Failed to improve description");
-    }
-  }, [improvedContent, improveError, isImproving, setValue]);
-
-  // Replace handleImproveDescription with this
-  const handleImproveDescription = async () => {
-    const description = watch("description");
-    if (!description) {
-      toast.error("Please enter a description first");
-      return;
-    }
+  const move = (from, to) => {
+    if (to < 0 || to >= entries.length || from === to) return;
+    const newEntries = [...entries];
+    const [entry] = newEntries.splice(from, 1);
+    newEntries.splice(to, 0, entry);
+    onChange(newEntries);
+  };
 
-    await improveWithAIFn({
-      current: description,
-      type: type.toLowerCase(), // 'experience', 'education', or 'project'
-    });
+  const handleAutoSort = (e) => {
+    onAutoSortChange(e.target.checked);
+    if (e.target.checked) onChange(sortEntriesByDate(entries));
   };
 
-  return (
-    <div className="space-y-4">
-      <div className="space-y-4">
-        {entries.map((item, index) => (
-          <Card key={index}>
-            <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-              <CardTitle className="text-sm font-medium">
-                {item.title} @ {item.organization}
-              </CardTitle>
-              <Button
-                variant="outline"
-                size="icon"
-                type="button"
-                onClick={() => handleDelete(index)}
-              >
-                <X className="h-4 w-4" />
-              </Button>
-            </CardHeader>
-            <CardContent>
-              <p className="text-sm text-muted-foreground">
-                {item.current
-                  ? `${item.startDate} - Present`
-                  : `${item.startDate} - ${item.endDate}`}
+  const entryForm = (
+    <Card>
+      <CardHeader>
+        <CardTitle>
+          {editedEntry ? "Edit" : "Add"} {type}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <Input
+              placeholder="Title/Position"
+              {...register("title")}
+              error={errors.title}
+            />
+            {errors.title && (
+              <p className="text-sm text-red-500">{errors.title.message}</p>
+            )}
+          </div>
+          <div className="space-y-2">
+            <Input
+              placeholder="Organization/Company"
+              {...register("organization")}
+              error={errors.organization}
+            />
+            {errors.organization && (
+              <p className="text-sm text-red-500">
+                {errors.organization.message}
               </p>
-              <p className="mt-2 text-sm whitespace-pre-wrap">
-                {item.description}
+            )}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <Input
+              type="month"
+              {...register("startDate")}
+              error={errors.startDate}
+            />
+            {errors.startDate && (
+              <p className="text-sm text-red-500">
+                {errors.startDate.message}
               </p>
-            </CardContent>
-          </Card>
-        ))}
-      </div>
+            )}
+            <UnreadableDate value={editedEntry?.startDate} />
+          </div>
+          <div className="space-y-2">
+            <Input
+              type="month"
+              {...register("endDate")}
+              disabled={current}
+              error={errors.endDate}
+            />
+            {errors.endDate && (
+              <p className="text-sm text-red-500">
+                {errors.endDate.message}
+              </p>
+            )}
+            <UnreadableDate value={editedEntry?.endDate} />
+          </div>
+        </div>
 
-      {isAdding && (
-        <Card>
-          <CardHeader>
-            <CardTitle>Add {type}</CardTitle>
-          </CardHeader>
-          <CardContent className="space-y-4">
-            <div className="grid grid-cols-2 gap-4">
-              <div className="space-y-2">
-                <Input
-                  placeholder="Title/Position"
-                  {...register("title")}
-                  error={errors.title}
-                />
-                {errors.title && (
-                  <p className="text-sm text-red-500">{errors.title.message}</p>
-                )}
-              </div>
-              <div className="space-y-2">
-                <Input
-                  placeholder="Organization/Company"
-                  {...register("organization")}
-                  error={errors.organization}
-                />
-                {errors.organization && (
-                  <p className="text-sm text-red-500">
-                    {errors.organization.message}
-                  </p>
-                )}
-              </div>
-            </div>
+        <div className="flex items-center space-x-2">
+          <input
+            type="checkbox"
+            id="current"
+            {...register("current")}
+            onChange={(e) => {
+              setValue("current", e.target.checked);
+              if (e.target.checked) {
+                setValue("endDate", "");
+              }
+            }}
+          />
+          <label htmlFor="current">Current {type}</label>
+        </div>
 
-            <div className="grid grid-cols-2 gap-4">
-              <div className="space-y-2">
-                <Input
-                  type="month"
-                  {...register("startDate")}
-                  error={errors.startDate}
-                />
-                {errors.startDate && (
-                  <p className="text-sm text-red-500">
-                    {errors.startDate.message}
-                  </p>
-                )}
-              </div>
-              <div className="space-y-2">
-                <Input
-                  type="month"
-                  {...register("endDate")}
-                  disabled={current}
-                  error={errors.endDate}
-                />
-                {errors.endDate && (
-                  <p className="text-sm text-red-500">
-                    {errors.endDate.message}
-                  </p>
-                )}
-              </div>
-            </div>
+        <div className="space-y-2">
+          <Textarea
+            placeholder={`Description of your ${type.toLowerCase()}`}
+            className="h-32"
+            {...register("description")}
+            error={errors.description}
+          />
+          {errors.description && (
+            <p className="text-sm text-red-500">
+              {errors.description.message}
+            </p>
+          )}
+        </div>
+        {findings.length > 0 && (
+          <LintFindings findings={findings} onFix={handleFix} showLocation={false} />
+        )}
+        <ImproveWithAI
+          type={type.toLowerCase()}
+          value={watch("description")}
+          onAccept={(description, promptVersion) => {
+            setValue("description", description, { shouldValidate: true });
+            setPromptVersions((versions) => [...versions, promptVersion]);
+          }}
+          bullets
+        />
+      </CardContent>
+      <CardFooter className="flex justify-end space-x-2">
+        <Button
+          type="button"
+          variant="outline"
+          onClick={closeForm}
+        >
+          Cancel
+        </Button>
+        <Button type="button" onClick={handleAdd}>
+          {editedEntry ? (
+            <>
+              <Save className="h-4 w-4 mr-2" />
+              Save Entry
+            </>
+          ) : (
+            <>
+              <PlusCircle className="h-4 w-4 mr-2" />
+              Add Entry
+            </>
+          )}
+        </Button>
+      </CardFooter>
+    </Card>
+  );
 
-            <div className="flex items-center space-x-2">
-              <input
-                type="checkbox"
-                id="current"
-                {...register("current")}
-                onChange={(e) => {
-                  setValue("current", e.target.checked);
-                  if (e.target.checked) {
-                    setValue("endDate", "");
-                  }
-                }}
-              />
-              <label htmlFor="current">Current {type}</label>
-            </div>
+  return (
+    <div className="space-y-4">
+      {onAutoSortChange && entries.length > 1 && (
+        <div className="flex items-center space-x-2">
+          <input
+            type="checkbox"
+            id={`sort-${type}`}
+            checked={autoSort}
+            disabled={isEditing}
+            onChange={handleAutoSort}
+          />
+          <label htmlFor={`sort-${type}`} className="text-sm">
+            Keep sorted newest first
+          </label>
+        </div>
+      )}
 
-            <div className="space-y-2">
-              <Textarea
-                placeholder={`Description of your ${type.toLowerCase()}`}
-                className="h-32"
-                {...register("description")}
-                error={errors.description}
-              />
-              {errors.description && (
-                <p className="text-sm text-red-500">
-                  {errors.description.message}
-                </p>
-              )}
-            </div>
-            <Button
-              type="button"
-              variant="ghost"
-              size="sm"
-              onClick={handleImproveDescription}
-              disabled={isImproving || !watch("description")}
-            >
-              {isImproving ? (
-                <>
-                  <Loader2 className="h-4 w-4 mr-2 animate-spin" />
-                  Improving...
-                </>
-              ) : (
-                <>
-                  <Sparkles className="h-4 w-4 mr-2" />
-                  Improve with AI
-                </>
-              )}
-            </Button>
-          </CardContent>
-          <CardFooter className="flex justify-end space-x-2">
-            <Button
-              type="button"
-              variant="outline"
-              onClick={() => {
-                reset();
-                setIsAdding(false);
+      <div className="space-y-4">
+        {entries.map((item, index) =>
+          index === editingIndex ? (
+            <div key={index}>{entryForm}</div>
+          ) : (
+            <Card
+              key={index}
+              draggable={!autoSort && !isEditing}
+              onDragStart={() => setDragIndex(index)}
+              onDragOver={(e) => dragIndex !== null && e.preventDefault()}
+              onDrop={() => {
+                move(dragIndex, index);
+                setDragIndex(null);
               }}
+              onDragEnd={() => setDragIndex(null)}
+              className={dragIndex === index ? "opacity-50" : undefined}
             >
-              Cancel
-            </Button>
-            <Button type="button" onClick={handleAdd}>
-              <PlusCircle className="h-4 w-4 mr-2" />
-              Add Entry
-            </Button>
-          </CardFooter>
-        </Card>
-      )}
+              <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+                <div className="flex items-center gap-2">
+                  {!autoSort && !isEditing && (
+                    <GripVertical className="h-4 w-4 cursor-grab text-muted-foreground" />
+                  )}
+                  <CardTitle className="text-sm font-medium">
+                    {item.title} @ {item.organization}
+                  </CardTitle>
+                </div>
+                <div className="flex space-x-1">
+                  {!autoSort && (
+                    <>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        type="button"
+                        title="Move up"
+                        disabled={isEditing || index === 0}
+                        onClick={() => move(index, index - 1)}
+                      >
+                        <ArrowUp className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        type="button"
+                        title="Move down"
+                        disabled={isEditing || index === entries.length - 1}
+                        onClick={() => move(index, index + 1)}
+                      >
+                        <ArrowDown className="h-4 w-4" />
+                      </Button>
+                    </>
+                  )}
+                  <Button
+                    variant="outline"
+                    size="icon"
+                    type="button"
+                    title="Edit"
+                    disabled={isEditing}
+                    onClick={() => handleEdit(index)}
+                  >
+                    <Pencil className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    variant="outline"
+                    size="icon"
+                    type="button"
+                    title="Delete"
+                    disabled={isEditing}
+                    onClick={() => handleDelete(index)}
+                  >
+                    <X className="h-4 w-4" />
+                  </Button>
+                </div>
+              </CardHeader>
+              <CardContent>
+                <p className="text-sm text-muted-foreground">
+                  {item.current
+                    ? `${item.startDate} - Present`
+                    : `${item.startDate} - ${item.endDate}`}
+                </p>
+                <p className="mt-2 text-sm whitespace-pre-wrap">
+                  {item.description}
+                </p>
+              </CardContent>
+            </Card>
+          )
+        )}
+      </div>
+
+      {editingIndex === -1 && entryForm}
 
-      {!isAdding && (
+      {editingIndex === null && (
         <Button
+          type="button"
           className="w-full"
           variant="outline"
-          onClick={() => setIsAdding(true)}
+          onClick={() => setEditingIndex(-1)}
         >
           <PlusCircle className="h-4 w-4 mr-2" />
           Add {type}
@@ -0,0 +1,213 @@
+"use client";
+
+import { useState } from "react";
+import { Check, Loader2, RefreshCw, Sparkles, X } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { improveWithAI } from "@/actions/resume";
+import useFetch from "@/hooks/use-fetch";
+import WordDiff from "./word-diff";
+
+const PRESET_INSTRUCTIONS = ["Shorter", "More technical", "Add metrics"];
+
+// A list marker at the start of a line ("- ", "* ", "• ", "1. "), kept
+// when a single bullet is rewritten.
+const BULLET_PREFIX = /^\s*(?:[-*•]|\d+[.)])\s+/;
+
+const splitBullet = (line) => {
+  const prefix = line.match(BULLET_PREFIX)?.[0] ?? "";
+  return { prefix, text: line.slice(prefix.length) };
+};
+
+// "Improve with AI" for a text field. The suggestion is shown as a diff
+// against the text it was made from and only replaces the field when
+// accepted; it can be regenerated with an instruction ("Shorter", ...).
+// With `bullets`, a single line of the text can be improved on its own.
+// `onAccept` receives the new text and the version of the prompt that
+// wrote the suggestion.
+export default function ImproveWithAI({ type, value, onAccept, bullets = false }) {
+  // { original, line }: the text sent, and its line index for a bullet
+  const [target, setTarget] = useState(null);
+  const [instruction, setInstruction] = useState("");
+
+  const {
+    loading: isImproving,
+    fn: improveFn,
+    data: result,
+    setData: setResult,
+  } = useFetch(improveWithAI);
+  const suggestion = result?.text;
+
+  const lines = (value ?? "")
+    .split("\n")
+    .map((line, index) => ({ index, text: splitBullet(line).text.trim() }))
+    .filter((line) => line.text);
+
+  const request = (next, requestedInstruction = "") =>
+    improveFn({
+      current: next.original,
+      type: next.line === null ? type : "bullet",
+      instruction: requestedInstruction,
+    });
+
+  const start = (line) => {
+    const next = {
+      original:
+        line === null ? value : splitBullet(value.split("\n")[line]).text,
+      line,
+    };
+    setTarget(next);
+    setResult(undefined);
+    setInstruction("");
+    request(next);
+  };
+
+  const close = () => {
+    setTarget(null);
+    setResult(undefined);
+  };
+
+  // The suggestion was made from `target.original`; if the field (or the
+  // bullet) was edited since, accepting it would drop those edits.
+  const handleAccept = () => {
+    if (target.line === null) {
+      if (value !== target.original) {
+        toast.error("This field has changed since the suggestion was made. Try again.");
+        return;
+      }
+      onAccept(suggestion, result.promptVersion);
+    } else {
+      const current = value.split("\n");
+      const { prefix, text } = splitBullet(current[target.line] ?? "");
+      if (text !== target.original) {
+        toast.error("That bullet has changed since the suggestion was made. Try again.");
+        return;
+      }
+      current[target.line] = prefix + suggestion;
+      onAccept(current.join("\n"), result.promptVersion);
+    }
+    close();
+  };
+
+  const handleInstructionKeyDown = (e) => {
+    // Inside the resume form, Enter would submit it
+    if (e.key !== "Enter") return;
+    e.preventDefault();
+    if (instruction.trim() && !isImproving) request(target, instruction);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <Button
+          type="button"
+          variant="ghost"
+          size="sm"
+          onClick={() => start(null)}
+          disabled={isImproving || !value?.trim()}
+        >
+          <Sparkles className="h-4 w-4 mr-2" />
+          Improve with AI
+        </Button>
+        {bullets && lines.length > 1 && (
+          <Select
+            value={target?.line != null ? String(target.line) : ""}
+            onValueChange={(line) => start(Number(line))}
+            disabled={isImproving}
+          >
+            <SelectTrigger className="h-9 w-64">
+              <SelectValue placeholder="Improve one bullet..." />
+            </SelectTrigger>
+            <SelectContent>
+              {lines.map((line) => (
+                <SelectItem key={line.index} value={String(line.index)}>
+                  <span className="block max-w-80 truncate">{line.text}</span>
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        )}
+      </div>
+
+      {target && (
+        <div className="space-y-3 rounded-lg border p-3">
+          <p className="text-sm font-medium">
+            {target.line === null ? "Suggested rewrite" : "Suggested rewrite of the bullet"}
+          </p>
+          {isImproving ? (
+            <p className="flex items-center text-sm text-muted-foreground">
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              Writing a suggestion...
+            </p>
+          ) : suggestion ? (
+            <WordDiff before={target.original} after={suggestion} />
+          ) : (
+            <p className="text-sm text-muted-foreground">
+              No suggestion yet. Try regenerating.
+            </p>
+          )}
+
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="text-sm text-muted-foreground">Regenerate:</span>
+            {PRESET_INSTRUCTIONS.map((preset) => (
+              <Button
+                key={preset}
+                type="button"
+                variant="outline"
+                size="sm"
+                disabled={isImproving}
+                onClick={() => request(target, preset)}
+              >
+                {preset}
+              </Button>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <Input
+              value={instruction}
+              maxLength={200}
+              onChange={(e) => setInstruction(e.target.value)}
+              onKeyDown={handleInstructionKeyDown}
+              placeholder="Or describe the change, e.g. mention the team size"
+            />
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              className="h-9"
+              disabled={isImproving || !instruction.trim()}
+              onClick={() => request(target, instruction)}
+            >
+              <RefreshCw className="h-4 w-4" />
+              Regenerate
+            </Button>
+          </div>
+
+          <div className="flex justify-end gap-2">
+            <Button type="button" variant="outline" size="sm" onClick={close}>
+              <X className="h-4 w-4" />
+              Reject
+            </Button>
+            <Button
+              type="button"
+              size="sm"
+              disabled={isImproving || !suggestion}
+              onClick={handleAccept}
+            >
+              <Check className="h-4 w-4" />
+              Accept
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,192 @@
+"use client";
+
+import { useState } from "react";
+import { Controller, useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { format, parse } from "date-fns";
+import { PlusCircle, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Card,
+  CardContent,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+
+const formatDisplayDate = (dateString) => {
+  if (!dateString) return "";
+  const date = parse(dateString, "yyyy-MM", new Date());
+  return format(date, "MMM yyyy");
+};
+
+// Add/remove list for the simpler resume sections (certifications,
+// languages, awards, publications). `fields` describes the inputs:
+// { name, placeholder, input: "text" | "url" | "month" | "textarea" |
+// "select", options?, wide? }; month values are stored as "MMM yyyy" like
+// EntryForm's dates. `describe(item)` gives the card's title and subtitle.
+export function ItemListForm({ type, schema, fields, describe, items, onChange }) {
+  const [isAdding, setIsAdding] = useState(false);
+  const emptyItem = Object.fromEntries(fields.map(({ name }) => [name, ""]));
+
+  const {
+    control,
+    register,
+    handleSubmit: handleValidation,
+    formState: { errors },
+    reset,
+  } = useForm({
+    resolver: zodResolver(schema),
+    defaultValues: emptyItem,
+  });
+
+  const handleAdd = handleValidation((data) => {
+    const item = { ...emptyItem, ...data };
+    for (const field of fields) {
+      if (field.input === "month") item[field.name] = formatDisplayDate(item[field.name]);
+    }
+    onChange([...items, item]);
+    reset(emptyItem);
+    setIsAdding(false);
+  });
+
+  const handleDelete = (index) => {
+    onChange(items.filter((_, i) => i !== index));
+  };
+
+  const renderInput = (field) => {
+    if (field.input === "textarea") {
+      return (
+        <Textarea
+          placeholder={field.placeholder}
+          className="h-24"
+          {...register(field.name)}
+        />
+      );
+    }
+    if (field.input === "select") {
+      return (
+        <Controller
+          name={field.name}
+          control={control}
+          render={({ field: { value, onChange: onValueChange } }) => (
+            <Select value={value} onValueChange={onValueChange}>
+              <SelectTrigger>
+                <SelectValue placeholder={field.placeholder} />
+              </SelectTrigger>
+              <SelectContent>
+                {field.options.map((option) => (
+                  <SelectItem key={option} value={option}>
+                    {option}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+        />
+      );
+    }
+    return (
+      <Input
+        type={field.input}
+        placeholder={field.placeholder}
+        {...register(field.name)}
+      />
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-4">
+        {items.map((item, index) => {
+          const { title, subtitle } = describe(item);
+          return (
+            <Card key={index}>
+              <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+                <div>
+                  <CardTitle className="text-sm font-medium">{title}</CardTitle>
+                  {subtitle && (
+                    <p className="text-sm text-muted-foreground">{subtitle}</p>
+                  )}
+                </div>
+                <Button
+                  variant="outline"
+                  size="icon"
+                  type="button"
+                  onClick={() => handleDelete(index)}
+                >
+                  <X className="h-4 w-4" />
+                </Button>
+              </CardHeader>
+              {item.description && (
+                <CardContent>
+                  <p className="text-sm whitespace-pre-wrap">{item.description}</p>
+                </CardContent>
+              )}
+            </Card>
+          );
+        })}
+      </div>
+
+      {isAdding && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Add {type}</CardTitle>
+          </CardHeader>
+          <CardContent className="grid grid-cols-2 gap-4">
+            {fields.map((field) => (
+              <div
+                key={field.name}
+                className={`space-y-2 ${field.wide ? "col-span-2" : ""}`}
+              >
+                {renderInput(field)}
+                {errors[field.name] && (
+                  <p className="text-sm text-red-500">
+                    {errors[field.name].message}
+                  </p>
+                )}
+              </div>
+            ))}
+          </CardContent>
+          <CardFooter className="flex justify-end space-x-2">
+            <Button
+              type="button"
+              variant="outline"
+              onClick={() => {
+                reset(emptyItem);
+                setIsAdding(false);
+              }}
+            >
+              Cancel
+            </Button>
+            <Button type="button" onClick={handleAdd}>
+              <PlusCircle className="h-4 w-4 mr-2" />
+              Add {type}
+            </Button>
+          </CardFooter>
+        </Card>
+      )}
+
+      {!isAdding && (
+        <Button
+          type="button"
+          className="w-full"
+          variant="outline"
+          onClick={() => setIsAdding(true)}
+        >
+          <PlusCircle className="h-4 w-4 mr-2" />
+          Add {type}
+        </Button>
+      )}
+    </div>
+  );
+}
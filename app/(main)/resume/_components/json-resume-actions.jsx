@@ -0,0 +1,136 @@
+"use client";
+
+import { useRef, useState } from "react";
+import { FileDown, FileUp } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { fromJsonResume, toJsonResume } from "@/app/lib/json-resume";
+
+const downloadJSON = (json, fileName) => {
+  const blob = new Blob([JSON.stringify(json, null, 2)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+function UnmappedList({ fields }) {
+  return (
+    <ul className="text-sm list-disc pl-5 max-h-48 overflow-y-auto">
+      {fields.map((field) => (
+        <li key={field}>
+          <code>{field}</code>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Import from / export to JSON Resume (jsonresume.org). Imports replace the
+// form through `onImport` only after the user has seen what was left out.
+export default function JsonResumeActions({ getData, onImport, fileName }) {
+  const fileInput = useRef(null);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [exportReport, setExportReport] = useState(null);
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    try {
+      setPendingImport({ fileName: file.name, ...fromJsonResume(await file.text()) });
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const applyImport = () => {
+    onImport(pendingImport.data);
+    setPendingImport(null);
+    toast.success("Resume imported. Review it and save to keep it.");
+  };
+
+  const handleExport = () => {
+    const { json, unmapped } = toJsonResume(getData());
+    downloadJSON(json, fileName);
+    if (unmapped.length) setExportReport(unmapped);
+  };
+
+  return (
+    <>
+      <input
+        ref={fileInput}
+        type="file"
+        accept="application/json,.json"
+        className="hidden"
+        onChange={handleFile}
+      />
+      <Button variant="outline" onClick={() => fileInput.current?.click()}>
+        <FileUp className="h-4 w-4" />
+        Import JSON
+      </Button>
+      <Button variant="outline" onClick={handleExport}>
+        <FileDown className="h-4 w-4" />
+        Export JSON
+      </Button>
+
+      <Dialog open={!!pendingImport} onOpenChange={() => setPendingImport(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Import {pendingImport?.fileName}?</DialogTitle>
+            <DialogDescription>
+              This replaces the contents of the form. Nothing is saved until
+              you click Save.
+            </DialogDescription>
+          </DialogHeader>
+          {pendingImport?.unmapped.length > 0 ? (
+            <div className="space-y-2">
+              <p className="text-sm">
+                These fields have no place in the resume builder and will not
+                be imported:
+              </p>
+              <UnmappedList fields={pendingImport.unmapped} />
+            </div>
+          ) : (
+            <p className="text-sm">Every field in the file can be imported.</p>
+          )}
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setPendingImport(null)}>
+              Cancel
+            </Button>
+            <Button onClick={applyImport}>Import</Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!exportReport} onOpenChange={() => setExportReport(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Exported with omissions</DialogTitle>
+            <DialogDescription>
+              These fields could not be expressed in JSON Resume and were left
+              out of the file:
+            </DialogDescription>
+          </DialogHeader>
+          <UnmappedList fields={exportReport ?? []} />
+          <DialogFooter>
+            <Button onClick={() => setExportReport(null)}>OK</Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+}
@@ -0,0 +1,81 @@
+"use client";
+
+import { AlertTriangle, CheckCircle2, Info, Wand2, XCircle } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Accordion,
+  AccordionContent,
+  AccordionItem,
+  AccordionTrigger,
+} from "@/components/ui/accordion";
+import { LINT_SEVERITY } from "@/app/lib/resume-lint";
+
+const SEVERITY_ICONS = {
+  [LINT_SEVERITY.ERROR]: <XCircle className="h-4 w-4 text-red-500 flex-shrink-0" />,
+  [LINT_SEVERITY.WARNING]: <AlertTriangle className="h-4 w-4 text-yellow-500 flex-shrink-0" />,
+  [LINT_SEVERITY.INFO]: <Info className="h-4 w-4 text-blue-500 flex-shrink-0" />,
+};
+
+// Lint findings with their quick fixes. `onFix(fix)` applies one.
+export function LintFindings({ findings, onFix, showLocation = true }) {
+  return (
+    <ul className="space-y-2">
+      {findings.map((finding) => (
+        <li key={finding.id} className="flex items-start gap-2 text-sm">
+          <span className="mt-0.5">{SEVERITY_ICONS[finding.severity]}</span>
+          <div className="flex-1">
+            {showLocation && finding.location && (
+              <span className="font-medium">{finding.location}: </span>
+            )}
+            {finding.message}
+          </div>
+          {finding.fix && (
+            <Button
+              type="button"
+              size="sm"
+              variant="outline"
+              onClick={() => onFix(finding.fix)}
+            >
+              <Wand2 className="h-3 w-3" />
+              {finding.fix.label}
+            </Button>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+const countOf = (findings, severity) =>
+  findings.filter((finding) => finding.severity === severity).length;
+
+// Collapsible summary of the whole resume's findings for the builder.
+export default function LintPanel({ findings, onFix }) {
+  const counts = [
+    [countOf(findings, LINT_SEVERITY.ERROR), "error"],
+    [countOf(findings, LINT_SEVERITY.WARNING), "warning"],
+    [countOf(findings, LINT_SEVERITY.INFO), "suggestion"],
+  ]
+    .filter(([count]) => count)
+    .map(([count, noun]) => `${count} ${noun}${count === 1 ? "" : "s"}`);
+
+  if (!findings.length) {
+    return (
+      <p className="flex items-center gap-2 text-sm text-muted-foreground">
+        <CheckCircle2 className="h-4 w-4 text-green-500" />
+        Writing checks found nothing to fix.
+      </p>
+    );
+  }
+
+  return (
+    <Accordion type="single" collapsible className="border rounded-lg px-4">
+      <AccordionItem value="lint" className="border-b-0">
+        <AccordionTrigger>Writing checks: {counts.join(", ")}</AccordionTrigger>
+        <AccordionContent>
+          <LintFindings findings={findings} onFix={onFix} />
+        </AccordionContent>
+      </AccordionItem>
+    </Accordion>
+  );
+}
@@ -0,0 +1,190 @@
+"use client";
+
+import { useState } from "react";
+import { Download, Loader2 } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { resumePdfOptionsSchema } from "@/app/lib/schema";
+
+const TEMPLATES = [
+  { value: "classic", label: "Classic" },
+  { value: "modern", label: "Modern" },
+  { value: "compact", label: "Compact" },
+  { value: "two-column", label: "Two Column" },
+];
+
+const PAGE_SIZES = [
+  { value: "A4", label: "A4" },
+  { value: "LETTER", label: "US Letter" },
+];
+
+const FONTS = [
+  { value: "sans", label: "Sans-serif (Helvetica)" },
+  { value: "serif", label: "Serif (Times)" },
+  { value: "mono", label: "Monospace (Courier)" },
+];
+
+function OptionSelect({ id, label, value, options, onChange }) {
+  return (
+    <div className="space-y-2">
+      <Label htmlFor={id}>{label}</Label>
+      <Select value={value} onValueChange={onChange}>
+        <SelectTrigger id={id}>
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          {options.map((option) => (
+            <SelectItem key={option.value} value={option.value}>
+              {option.label}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+    </div>
+  );
+}
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Downloads the saved resume as a PDF rendered on the server
+// (/api/resume/[id]/pdf) with the chosen template and page options.
+export default function PdfDownloadDialog({ resumeId, fileName, isDirty }) {
+  const [open, setOpen] = useState(false);
+  const [options, setOptions] = useState(() => resumePdfOptionsSchema.parse({}));
+  const [isGenerating, setIsGenerating] = useState(false);
+
+  const setOption = (name) => (value) =>
+    setOptions((current) => ({ ...current, [name]: value }));
+
+  const handleDownload = async () => {
+    const parsed = resumePdfOptionsSchema.safeParse(options);
+    if (!parsed.success) {
+      toast.error("Margins must be 5-40 mm and the font size 8-14 pt");
+      return;
+    }
+
+    setIsGenerating(true);
+    try {
+      const query = new URLSearchParams(parsed.data);
+      const response = await fetch(`/api/resume/${resumeId}/pdf?${query}`);
+      if (!response.ok) {
+        const body = await response.json().catch(() => null);
+        throw new Error(body?.error || "Failed to generate PDF");
+      }
+      downloadBlob(await response.blob(), fileName);
+      setOpen(false);
+    } catch (error) {
+      toast.error(error.message || "Failed to generate PDF");
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button>
+          <Download className="h-4 w-4" />
+          Download PDF
+        </Button>
+      </DialogTrigger>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Download PDF</DialogTitle>
+          <DialogDescription>
+            The PDF contains real, selectable text that applicant tracking
+            systems can read.
+            {isDirty &&
+              " It is made from the last saved version; save first to include your latest changes."}
+          </DialogDescription>
+        </DialogHeader>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <OptionSelect
+            id="pdf-template"
+            label="Template"
+            value={options.template}
+            options={TEMPLATES}
+            onChange={setOption("template")}
+          />
+          <OptionSelect
+            id="pdf-page-size"
+            label="Page Size"
+            value={options.pageSize}
+            options={PAGE_SIZES}
+            onChange={setOption("pageSize")}
+          />
+          <OptionSelect
+            id="pdf-font"
+            label="Font"
+            value={options.font}
+            options={FONTS}
+            onChange={setOption("font")}
+          />
+          <div className="space-y-2">
+            <Label htmlFor="pdf-font-size">Font Size (pt)</Label>
+            <Input
+              id="pdf-font-size"
+              type="number"
+              min="8"
+              max="14"
+              step="0.5"
+              value={options.fontSize}
+              onChange={(e) => setOption("fontSize")(e.target.value)}
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="pdf-margin">Margins (mm)</Label>
+            <Input
+              id="pdf-margin"
+              type="number"
+              min="5"
+              max="40"
+              value={options.margin}
+              onChange={(e) => setOption("margin")(e.target.value)}
+            />
+          </div>
+        </div>
+        <DialogFooter>
+          <Button onClick={handleDownload} disabled={isGenerating}>
+            {isGenerating ? (
+              <>
+                <Loader2 className="h-4 w-4 animate-spin" />
+                Generating PDF...
+              </>
+            ) : (
+              <>
+                <Download className="h-4 w-4" />
+                Download
+              </>
+            )}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -1,129 +1,171 @@
 "use client";
 
-import { useState, useEffect, useMemo } from "react";
+import { useState, useEffect, useMemo, useRef } from "react";
 import { useForm, Controller } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
-import {
-  AlertTriangle,
-  Download,
-  Edit,
-  Loader2,
-  Monitor,
-  Save,
-} from "lucide-react";
+import { format } from "date-fns";
+import { FileUp, History, Loader2, Pencil, Save } from "lucide-react";
 import { toast } from "sonner";
 import MDEditor from "@uiw/react-md-editor";
 import { Button } from "@/components/ui/button";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Textarea } from "@/components/ui/textarea";
 import { Input } from "@/components/ui/input";
-import { saveResume } from "@/actions/resume";
+import {
+  discardResumeDraft,
+  saveResume,
+  updateResumeDetails,
+} from "@/actions/resume";
 import { EntryForm } from "./entry-form";
+import { ItemListForm } from "./item-list-form";
+import { CustomSectionsForm } from "./custom-sections-form";
+import { SectionOrderForm } from "./section-order-form";
+import ResumeDetailsDialog from "./resume-details-dialog";
+import ResumeHistory from "./resume-history";
+import JsonResumeActions from "./json-resume-actions";
+import AtsReport from "./ats-report";
+import LintPanel from "./lint-findings";
+import ImproveWithAI from "./improve-with-ai";
+import TailorDialog from "./tailor-dialog";
+import PdfDownloadDialog from "./pdf-download-dialog";
+import SaveConflictDialog from "./save-conflict-dialog";
+import TextExportMenu from "./text-export-menu";
+import ResumeUploadDialog from "@/components/resume-upload-dialog";
+import FileDownloadButton from "@/components/file-download-button";
+import { useRouter } from "next/navigation";
 import useFetch from "@/hooks/use-fetch";
+import useResumeAutosave, { readLocalDraft } from "@/hooks/use-resume-autosave";
 import { useUser } from "@clerk/nextjs";
-import { entriesToMarkdown } from "@/app/lib/helper";
-import { resumeSchema } from "@/app/lib/schema";
-import html2pdf from "html2pdf.js/dist/html2pdf.min.js";
+import {
+  awardSchema,
+  certificationSchema,
+  languageSchema,
+  publicationSchema,
+  resumeSchema,
+} from "@/app/lib/schema";
+import {
+  LANGUAGE_PROFICIENCIES,
+  normalizeResumeData,
+  resumeDataFromRecord,
+  resumeToMarkdown,
+  sameResumeData,
+} from "@/app/lib/resume";
+import { mergeParsedResume } from "@/app/lib/resume-parser";
+import { lintResume } from "@/app/lib/resume-lint";
 
-export default function ResumeBuilder({ initialContent }) {
-  const [activeTab, setActiveTab] = useState("edit");
-  const [previewContent, setPreviewContent] = useState(initialContent);
+const withDate = (...parts) => parts.filter(Boolean).join(" · ");
+
+// Inputs and card text for the ItemListForm sections
+const LIST_SECTIONS = [
+  {
+    name: "certifications",
+    title: "Certifications",
+    type: "Certification",
+    schema: certificationSchema,
+    fields: [
+      { name: "name", placeholder: "Certification name", input: "text" },
+      { name: "issuer", placeholder: "Issuer", input: "text" },
+      { name: "date", input: "month" },
+      { name: "url", placeholder: "Credential URL (optional)", input: "url" },
+    ],
+    describe: (item) => ({ title: item.name, subtitle: withDate(item.issuer, item.date) }),
+  },
+  {
+    name: "languages",
+    title: "Languages",
+    type: "Language",
+    schema: languageSchema,
+    fields: [
+      { name: "language", placeholder: "Language", input: "text" },
+      {
+        name: "proficiency",
+        placeholder: "Proficiency",
+        input: "select",
+        options: LANGUAGE_PROFICIENCIES,
+      },
+    ],
+    describe: (item) => ({ title: item.language, subtitle: item.proficiency }),
+  },
+  {
+    name: "awards",
+    title: "Awards",
+    type: "Award",
+    schema: awardSchema,
+    fields: [
+      { name: "title", placeholder: "Award", input: "text" },
+      { name: "issuer", placeholder: "Awarded by", input: "text" },
+      { name: "date", input: "month" },
+      { name: "description", placeholder: "What it was for (optional)", input: "textarea", wide: true },
+    ],
+    describe: (item) => ({ title: item.title, subtitle: withDate(item.issuer, item.date) }),
+  },
+  {
+    name: "publications",
+    title: "Publications",
+    type: "Publication",
+    schema: publicationSchema,
+    fields: [
+      { name: "title", placeholder: "Title", input: "text" },
+      { name: "publisher", placeholder: "Publisher or venue", input: "text" },
+      { name: "date", input: "month" },
+      { name: "url", placeholder: "URL (optional)", input: "url" },
+      { name: "description", placeholder: "Summary (optional)", input: "textarea", wide: true },
+    ],
+    describe: (item) => ({
+      title: item.title,
+      subtitle: withDate(item.publisher, item.date),
+    }),
+  },
+];
+
+const atsOf = ({ atsScore, feedback, atsCheckedAt }) => ({
+  atsScore,
+  feedback,
+  atsCheckedAt,
+});
+
+// Unsaved edits are autosaved (see useResumeAutosave) and offered back on
+// the next visit; `draft` is the server's draft revision, if any. Saves
+// name the version they were edited from, so edits from a stale tab end
+// in SaveConflictDialog instead of overwriting newer content.
+export default function ResumeBuilder({ resume, draft, tailorJob }) {
+  const router = useRouter();
+  const [activeTab, setActiveTab] = useState(resume.content ? "preview" : "edit");
   const { user } = useUser();
-  const [resumeMode, setResumeMode] = useState("preview");
-
-  // --- Markdown to form parser ---
-  const parseMarkdownToForm = (markdown) => {
-    if (!markdown) return {};
-    const result = {
-      contactInfo: {},
-      summary: "",
-      skills: "",
-      experience: [],
-      education: [],
-      projects: [],
-    };
-    // Contact Info (centered block)
-    const contactMatch = markdown.match(/## <div align="center">(.+?)<\/div>[\s\S]*?<div align="center">([\s\S]+?)<\/div>/);
-    if (contactMatch) {
-      const name = contactMatch[1].trim();
-      const contactLine = contactMatch[2].replace(/\n/g, "").trim();
-      result.contactInfo = { email: "", mobile: "", linkedin: "", twitter: "" };
-      if (name) result.contactInfo.name = name;
-      if (contactLine.includes("📧")) {
-        const m = contactLine.match(/📧\s*([^|]+)/);
-        if (m) result.contactInfo.email = m[1].trim();
-      }
-      if (contactLine.includes("📱")) {
-        const m = contactLine.match(/📱\s*([^|]+)/);
-        if (m) result.contactInfo.mobile = m[1].trim();
-      }
-      if (contactLine.includes("LinkedIn")) {
-        const m = contactLine.match(/\[LinkedIn\]\(([^)]+)\)/);
-        if (m) result.contactInfo.linkedin = m[1].trim();
-      }
-      if (contactLine.includes("Twitter")) {
-        const m = contactLine.match(/\[Twitter\]\(([^)]+)\)/);
-        if (m) result.contactInfo.twitter = m[1].trim();
-      }
-    }
-    // Summary
-    const summaryMatch = markdown.match(/## Professional Summary\s+([\s\S]+?)(?:\n## |$)/);
-    if (summaryMatch) result.summary = summaryMatch[1].trim();
-    // Skills
-    const skillsMatch = markdown.match(/## Skills\s+([\s\S]+?)(?:\n## |$)/);
-    if (skillsMatch) result.skills = skillsMatch[1].trim();
-    // Experience, Education, Projects (parse as entries)
-    const parseEntries = (section) => {
-      const secMatch = markdown.match(new RegExp(`## ${section}([\s\S]+?)(?:\n## |$)`, "m"));
-      if (!secMatch) return [];
-      const block = secMatch[1];
-      // Each entry: ### title @ org\nDate\n\nDescription
-      const entryRegex = /### (.+?) @ (.+?)\n([\w\s\-]+)\n+([\s\S]+?)(?=(?:\n### |$))/g;
-      const entries = [];
-      let m;
-      while ((m = entryRegex.exec(block))) {
-        const [_, title, organization, dateRange, description] = m;
-        let startDate = "", endDate = "", current = false;
-        if (dateRange.includes("Present")) {
-          [startDate] = dateRange.split("-");
-          startDate = startDate.trim();
-          endDate = "";
-          current = true;
-        } else if (dateRange.includes("-")) {
-          [startDate, endDate] = dateRange.split("-").map((s) => s.trim());
-          current = false;
-        }
-        entries.push({
-          title: title.trim(),
-          organization: organization.trim(),
-          startDate,
-          endDate,
-          current,
-          description: description.trim(),
-        });
-      }
-      return entries;
-    };
-    result.experience = parseEntries("Work Experience");
-    result.education = parseEntries("Education");
-    result.projects = parseEntries("Projects");
-    return result;
-  };
+  const [versionLabel, setVersionLabel] = useState("");
 
-  // Memoize parsed values for useForm defaultValues
-  const parsedDefaults = useMemo(() => parseMarkdownToForm(initialContent), [initialContent]);
+  // Resumes saved before structured data existed are parsed from their
+  // markdown once here; the next save stores them as data.
+  const initialData = useMemo(() => resumeDataFromRecord(resume), [resume]);
 
   const {
     control,
     register,
     handleSubmit,
     watch,
-    formState: { errors },
+    reset,
+    getValues,
+    setValue,
+    formState: { errors, isDirty },
   } = useForm({
     resolver: zodResolver(resumeSchema),
-    defaultValues: parsedDefaults,
+    defaultValues: initialData,
   });
 
+  const [ats, setAts] = useState(() => atsOf(resume));
+  // Resume.version the form was loaded from or last saved as
+  const [baseVersion, setBaseVersion] = useState(resume.version);
+  // The newer resume, while a save conflict is unresolved
+  const [conflict, setConflict] = useState(null);
+  // Unsaved draft from an earlier visit: { data, baseVersion, savedAt }
+  const [recovered, setRecovered] = useState(null);
+  // Prompt versions of the AI suggestions accepted since the last save,
+  // recorded on the next saved revision
+  const [promptVersions, setPromptVersions] = useState([]);
+  const keepPromptVersions = (versions) =>
+    setPromptVersions((current) => [...new Set([...current, ...versions])]);
+  const draftsChecked = useRef(false);
+
   const {
     loading: isSaving,
     fn: saveResumeFn,
@@ -131,103 +173,230 @@ export default function ResumeBuilder({ initialContent }) {
     error: saveError,
   } = useFetch(saveResume);
 
-  // Watch form fields for preview updates
+  // Markdown is rendered from the form, never edited directly
   const formValues = watch();
+  const previewContent = resumeToMarkdown(formValues);
+  const lintFindings = lintResume(formValues);
+
+  const handleFix = (fix) =>
+    setValue(fix.field, fix.value, { shouldDirty: true, shouldValidate: true });
 
+  const {
+    status: autosaveStatus,
+    savedAt: draftSavedAt,
+    clear: clearDraft,
+  } = useResumeAutosave({
+    resumeId: resume.id,
+    data: formValues,
+    baseVersion,
+    isDirty,
+    enabled: !conflict,
+    onConflict: setConflict,
+  });
+
+  // Offer the newest draft (this browser's or the server's) once, unless
+  // it matches the saved resume.
   useEffect(() => {
-    if (initialContent) setActiveTab("preview");
-  }, [initialContent]);
+    if (draftsChecked.current) return;
+    draftsChecked.current = true;
+
+    const local = readLocalDraft(resume.id);
+    const [newest] = [
+      local && { ...local, savedAt: new Date(local.savedAt) },
+      draft && {
+        data: draft.data,
+        baseVersion: draft.baseVersion,
+        savedAt: new Date(draft.createdAt),
+      },
+    ]
+      .filter(Boolean)
+      .sort((a, b) => b.savedAt - a.savedAt);
+
+    if (newest && !sameResumeData(newest.data, initialData)) {
+      setRecovered(newest);
+    }
+  }, [resume.id, draft, initialData]);
 
-  // Update preview content when form values change
+  // Default the name on new resumes to the account name
   useEffect(() => {
-    if (activeTab === "edit") {
-      const newContent = getCombinedContent();
-      setPreviewContent(newContent ? newContent : initialContent);
+    if (user?.fullName && !getValues("contactInfo.name")) {
+      setValue("contactInfo.name", user.fullName);
     }
-  }, [formValues, activeTab]);
+  }, [user, getValues, setValue]);
 
   // Handle save result
   useEffect(() => {
     if (saveResult && !isSaving) {
+      if (saveResult.conflict) {
+        setConflict(saveResult.resume);
+        return;
+      }
       toast.success("Resume saved successfully!");
+      setVersionLabel("");
+      setPromptVersions([]);
+      // Saving rescores the resume; the form becomes the saved baseline.
+      setAts(atsOf(saveResult));
+      setBaseVersion(saveResult.version);
+      clearDraft();
+      reset(getValues());
     }
     if (saveError) {
       toast.error(saveError.message || "Failed to save resume");
     }
-  }, [saveResult, saveError, isSaving]);
-
-  const getContactMarkdown = () => {
-    const { contactInfo } = formValues;
-    const parts = [];
-    if (contactInfo.email) parts.push(`📧 ${contactInfo.email}`);
-    if (contactInfo.mobile) parts.push(`📱 ${contactInfo.mobile}`);
-    if (contactInfo.linkedin)
-      parts.push(`💼 [LinkedIn](${contactInfo.linkedin})`);
-    if (contactInfo.twitter) parts.push(`🐦 [Twitter](${contactInfo.twitter})`);
-
-    return parts.length > 0
-      ? `## <div align="center">${user.fullName}</div>
-        \n\n<div align="center">\n\n${parts.join(" | ")}\n\n</div>`
-      : "";
+  }, [saveResult, saveError, isSaving, reset, getValues, clearDraft]);
+
+  const handleDetailsSubmit = async (values) => {
+    try {
+      await updateResumeDetails(resume.id, values);
+      toast.success("Resume details updated!");
+      router.refresh();
+    } catch (error) {
+      toast.error(error.message || "Failed to update resume details");
+      throw error;
+    }
   };
 
-  const getCombinedContent = () => {
-    const { summary, skills, experience, education, projects } = formValues;
-    return [
-      getContactMarkdown(),
-      summary && `## Professional Summary\n\n${summary}`,
-      skills && `## Skills\n\n${skills}`,
-      entriesToMarkdown(experience, "Work Experience"),
-      entriesToMarkdown(education, "Education"),
-      entriesToMarkdown(projects, "Projects"),
-    ]
-      .filter(Boolean)
-      .join("\n\n");
+  // A restored version replaces the form (and so the rendered markdown).
+  const handleRestore = (restored) => {
+    reset(resumeDataFromRecord(restored));
+    setAts(atsOf(restored));
+    setBaseVersion(restored.version);
+    setPromptVersions([]);
+    clearDraft();
+    setActiveTab("preview");
   };
 
-  const [isGenerating, setIsGenerating] = useState(false);
+  // A recovered draft stays unsaved (dirty) until Save. It keeps the
+  // version it was edited from, so a draft older than the saved resume
+  // goes through the conflict dialog instead of overwriting it.
+  const handleRecoverDraft = () => {
+    const version = recovered.baseVersion ?? resume.version;
+    reset(normalizeResumeData(recovered.data), { keepDefaultValues: true });
+    setBaseVersion(version);
+    setRecovered(null);
+    setActiveTab("edit");
+    if (version < resume.version) setConflict(resume);
+  };
 
-  const generatePDF = async () => {
-    setIsGenerating(true);
+  const handleDiscardDraft = async () => {
+    setRecovered(null);
+    clearDraft();
     try {
-      const element = document.getElementById("resume-pdf");
-      const opt = {
-        margin: [15, 15],
-        filename: "resume.pdf",
-        image: { type: "jpeg", quality: 0.98 },
-        html2canvas: { scale: 2 },
-        jsPDF: { unit: "mm", format: "a4", orientation: "portrait" },
-      };
-
-      await html2pdf().set(opt).from(element).save();
+      await discardResumeDraft(resume.id);
     } catch (error) {
-      console.error("PDF generation error:", error);
-    } finally {
-      setIsGenerating(false);
+      toast.error(error.message || "Failed to discard draft");
     }
   };
 
+  // Imported and tailored content stays unsaved (dirty) until Save.
+  const handleImport = (data) => {
+    reset(normalizeResumeData(data), { keepDefaultValues: true });
+    setActiveTab("edit");
+  };
+
+  const handleUpload = (selection) => {
+    reset(mergeParsedResume(getValues(), selection), {
+      keepDefaultValues: true,
+    });
+    setActiveTab("edit");
+    toast.success("Resume imported. Review it and save to keep it.");
+  };
+
+  // Props for the entry sections' "Keep sorted newest first" toggle
+  const sortProps = (key) => ({
+    autoSort: formValues.sortByDate.includes(key),
+    onAutoSortChange: (enabled) =>
+      setValue(
+        "sortByDate",
+        enabled
+          ? [...getValues("sortByDate"), key]
+          : getValues("sortByDate").filter((k) => k !== key),
+        { shouldDirty: true }
+      ),
+  });
+
+  const handleTailor = (data, promptVersion) => {
+    reset(data, { keepDefaultValues: true });
+    keepPromptVersions([promptVersion]);
+    setActiveTab("edit");
+  };
+
+  const save = (data, version = baseVersion) =>
+    saveResumeFn(resume.id, data, {
+      label: versionLabel,
+      baseVersion: version,
+      promptVersions,
+    });
+
   const onSubmit = async (data) => {
-    try {
-      const formattedContent = previewContent
-        .replace(/\n/g, "\n") // Normalize newlines
-        .replace(/\n\s*\n/g, "\n\n") // Normalize multiple newlines to double newlines
-        .trim();
+    await save(data);
+  };
 
-      console.log(previewContent, formattedContent);
-      await saveResumeFn(previewContent);
-    } catch (error) {
-      console.error("Save error:", error);
-    }
+  const handleUseLatest = () => {
+    reset(resumeDataFromRecord(conflict));
+    setAts(atsOf(conflict));
+    setBaseVersion(conflict.version);
+    setConflict(null);
+    setPromptVersions([]);
+    clearDraft();
+    toast.success("Loaded the newer version.");
+  };
+
+  // Saves over the newer version; it stays in the history.
+  const handleKeepMine = () => {
+    const version = conflict.version;
+    setBaseVersion(version);
+    setConflict(null);
+    handleSubmit((data) => save(data, version))();
   };
 
+  const autosaveLabel = !isDirty
+    ? null
+    : {
+        local: "Draft saved in this browser",
+        "local-only": "Draft saved in this browser only",
+        server: draftSavedAt && `Draft saved at ${format(draftSavedAt, "p")}`,
+      }[autosaveStatus] || "Unsaved changes";
+
   return (
     <div data-color-mode="light" className="space-y-4">
       <div className="flex flex-col md:flex-row justify-between items-center gap-2">
-        <h1 className="font-bold gradient-title text-5xl md:text-6xl">
-          Resume Builder
-        </h1>
-        <div className="space-x-2">
+        <div>
+          <div className="flex items-center gap-2">
+            <h1 className="font-bold gradient-title text-5xl md:text-6xl">
+              {resume.name}
+            </h1>
+            <ResumeDetailsDialog
+              title="Edit Resume Details"
+              submitLabel="Save"
+              defaultValues={{
+                name: resume.name,
+                targetRole: resume.targetRole ?? "",
+              }}
+              onSubmit={handleDetailsSubmit}
+              trigger={
+                <Button variant="ghost" size="icon" title="Rename">
+                  <Pencil className="h-4 w-4" />
+                </Button>
+              }
+            />
+          </div>
+          {resume.targetRole && (
+            <p className="text-muted-foreground">
+              Targeting {resume.targetRole}
+            </p>
+          )}
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          {autosaveLabel && (
+            <span className="text-sm text-muted-foreground">{autosaveLabel}</span>
+          )}
+          <Input
+            className="w-56"
+            value={versionLabel}
+            onChange={(e) => setVersionLabel(e.target.value)}
+            placeholder="Version label (optional)"
+          />
           <Button
             variant="destructive"
             onClick={handleSubmit(onSubmit)}
@@ -245,34 +414,103 @@ export default function ResumeBuilder({ initialContent }) {
               </>
             )}
           </Button>
-          <Button onClick={generatePDF} disabled={isGenerating}>
-            {isGenerating ? (
-              <>
-                <Loader2 className="h-4 w-4 animate-spin" />
-                Generating PDF...
-              </>
-            ) : (
-              <>
-                <Download className="h-4 w-4" />
-                Download PDF
-              </>
-            )}
-          </Button>
+          <ResumeHistory resumeId={resume.id} onRestore={handleRestore} />
+          <JsonResumeActions
+            getData={getValues}
+            onImport={handleImport}
+            fileName={`${resume.name}.json`}
+          />
+          <TailorDialog
+            resumeName={resume.name}
+            getData={getValues}
+            onApply={handleTailor}
+            initialJob={tailorJob}
+          />
+          <ResumeUploadDialog
+            description="Add the contents of an existing PDF or Word resume to this one. You can review everything before it is applied."
+            applyLabel="Add to Resume"
+            profileOption
+            onApply={handleUpload}
+            trigger={
+              <Button variant="outline">
+                <FileUp className="h-4 w-4" />
+                Upload PDF/DOCX
+              </Button>
+            }
+          />
+          <PdfDownloadDialog
+            resumeId={resume.id}
+            fileName={`${resume.name}.pdf`}
+            isDirty={isDirty}
+          />
+          <FileDownloadButton
+            href={`/api/resume/${resume.id}/docx`}
+            fileName={`${resume.name}.docx`}
+            title={
+              isDirty
+                ? "Made from the last saved version; save first to include your latest changes"
+                : "Editable Word document"
+            }
+          >
+            Download DOCX
+          </FileDownloadButton>
+          <TextExportMenu getData={getValues} baseName={resume.name} />
         </div>
       </div>
 
+      {recovered && (
+        <div className="flex flex-col md:flex-row md:items-center justify-between gap-2 rounded-lg border border-yellow-500/50 bg-yellow-500/10 p-3 text-sm">
+          <p className="flex gap-2">
+            <History className="h-4 w-4 shrink-0 text-yellow-600" />
+            <span>
+              You have unsaved changes from {format(recovered.savedAt, "PPp")}.
+              {recovered.baseVersion < resume.version &&
+                " They were started before the latest save; after restoring them you can choose which version to keep."}
+            </span>
+          </p>
+          <div className="flex gap-2">
+            <Button size="sm" variant="outline" onClick={handleDiscardDraft}>
+              Discard
+            </Button>
+            <Button size="sm" onClick={handleRecoverDraft}>
+              Restore
+            </Button>
+          </div>
+        </div>
+      )}
+
+      <SaveConflictDialog
+        latest={conflict}
+        getData={getValues}
+        onUseLatest={handleUseLatest}
+        onKeepMine={handleKeepMine}
+      />
+
       <Tabs value={activeTab} onValueChange={setActiveTab}>
         <TabsList>
           <TabsTrigger value="edit">Form</TabsTrigger>
-          <TabsTrigger value="preview">Markdown</TabsTrigger>
+          <TabsTrigger value="preview">Preview</TabsTrigger>
+          <TabsTrigger value="ats">
+            ATS Score
+            {ats.atsScore != null && ` (${Math.round(ats.atsScore)})`}
+          </TabsTrigger>
         </TabsList>
 
         <TabsContent value="edit">
           <form onSubmit={handleSubmit(onSubmit)} className="space-y-8">
+            <LintPanel findings={lintFindings} onFix={handleFix} />
+
             {/* Contact Information */}
             <div className="space-y-4">
               <h3 className="text-lg font-medium">Contact Information</h3>
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4 p-4 border rounded-lg bg-muted/50">
+                <div className="space-y-2 md:col-span-2">
+                  <label className="text-sm font-medium">Full Name</label>
+                  <Input
+                    {...register("contactInfo.name")}
+                    placeholder="Jane Doe"
+                  />
+                </div>
                 <div className="space-y-2">
                   <label className="text-sm font-medium">Email</label>
                   <Input
@@ -349,6 +587,14 @@ export default function ResumeBuilder({ initialContent }) {
               {errors.summary && (
                 <p className="text-sm text-red-500">{errors.summary.message}</p>
               )}
+              <ImproveWithAI
+                type="summary"
+                value={formValues.summary}
+                onAccept={(text, promptVersion) => {
+                  setValue("summary", text, { shouldDirty: true, shouldValidate: true });
+                  keepPromptVersions([promptVersion]);
+                }}
+              />
             </div>
 
             {/* Skills */}
@@ -369,6 +615,14 @@ export default function ResumeBuilder({ initialContent }) {
               {errors.skills && (
                 <p className="text-sm text-red-500">{errors.skills.message}</p>
               )}
+              <ImproveWithAI
+                type="skills"
+                value={formValues.skills}
+                onAccept={(text, promptVersion) => {
+                  setValue("skills", text, { shouldDirty: true, shouldValidate: true });
+                  keepPromptVersions([promptVersion]);
+                }}
+              />
             </div>
 
             {/* Experience */}
@@ -382,6 +636,9 @@ export default function ResumeBuilder({ initialContent }) {
                     type="Experience"
                     entries={field.value}
                     onChange={field.onChange}
+                    section="experience"
+                    onPromptVersions={keepPromptVersions}
+                    {...sortProps("experience")}
                   />
                 )}
               />
@@ -403,6 +660,9 @@ export default function ResumeBuilder({ initialContent }) {
                     type="Education"
                     entries={field.value}
                     onChange={field.onChange}
+                    section="education"
+                    onPromptVersions={keepPromptVersions}
+                    {...sortProps("education")}
                   />
                 )}
               />
@@ -424,6 +684,9 @@ export default function ResumeBuilder({ initialContent }) {
                     type="Project"
                     entries={field.value}
                     onChange={field.onChange}
+                    section="projects"
+                    onPromptVersions={keepPromptVersions}
+                    {...sortProps("projects")}
                   />
                 )}
               />
@@ -433,61 +696,95 @@ export default function ResumeBuilder({ initialContent }) {
                 </p>
               )}
             </div>
-          </form>
-        </TabsContent>
 
-        <TabsContent value="preview">
-          {activeTab === "preview" && (
-            <Button
-              variant="link"
-              type="button"
-              className="mb-2"
-              onClick={() =>
-                setResumeMode(resumeMode === "preview" ? "edit" : "preview")
-              }
-            >
-              {resumeMode === "preview" ? (
-                <>
-                  <Edit className="h-4 w-4" />
-                  Edit Resume
-                </>
-              ) : (
-                <>
-                  <Monitor className="h-4 w-4" />
-                  Show Preview
-                </>
-              )}
-            </Button>
-          )}
+            {/* Volunteer */}
+            <div className="space-y-4">
+              <h3 className="text-lg font-medium">Volunteer Experience</h3>
+              <Controller
+                name="volunteer"
+                control={control}
+                render={({ field }) => (
+                  <EntryForm
+                    type="Volunteer"
+                    entries={field.value}
+                    onChange={field.onChange}
+                    section="volunteer"
+                    onPromptVersions={keepPromptVersions}
+                    {...sortProps("volunteer")}
+                  />
+                )}
+              />
+            </div>
+
+            {/* Certifications, languages, awards, publications */}
+            {LIST_SECTIONS.map((section) => (
+              <div key={section.name} className="space-y-4">
+                <h3 className="text-lg font-medium">{section.title}</h3>
+                <Controller
+                  name={section.name}
+                  control={control}
+                  render={({ field }) => (
+                    <ItemListForm
+                      type={section.type}
+                      schema={section.schema}
+                      fields={section.fields}
+                      describe={section.describe}
+                      items={field.value}
+                      onChange={field.onChange}
+                    />
+                  )}
+                />
+              </div>
+            ))}
 
-          {activeTab === "preview" && resumeMode !== "preview" && (
-            <div className="flex p-3 gap-2 items-center border-2 border-yellow-600 text-yellow-600 rounded mb-2">
-              <AlertTriangle className="h-5 w-5" />
-              <span className="text-sm">
-                You will lose editied markdown if you update the form data.
-              </span>
+            {/* Custom sections */}
+            <div className="space-y-4">
+              <h3 className="text-lg font-medium">Custom Sections</h3>
+              <Controller
+                name="customSections"
+                control={control}
+                render={({ field }) => (
+                  <CustomSectionsForm
+                    sections={field.value}
+                    errors={errors.customSections}
+                    onChange={field.onChange}
+                  />
+                )}
+              />
             </div>
-          )}
-          <div className="border rounded-lg">
-            <MDEditor
-              value={previewContent}
-              onChange={setPreviewContent}
-              height={800}
-              preview={resumeMode}
-            />
-          </div>
-          <div className="hidden">
-            <div id="resume-pdf">
-              <MDEditor.Markdown
-                source={previewContent}
-                style={{
-                  background: "white",
-                  color: "black",
-                }}
+
+            {/* Section order */}
+            <div className="space-y-4">
+              <h3 className="text-lg font-medium">Section Order</h3>
+              <Controller
+                name="sectionOrder"
+                control={control}
+                render={({ field }) => (
+                  <SectionOrderForm
+                    order={field.value}
+                    customSections={formValues.customSections}
+                    onChange={field.onChange}
+                  />
+                )}
               />
             </div>
+          </form>
+        </TabsContent>
+
+        <TabsContent value="preview">
+          <div className="border rounded-lg p-4">
+            <MDEditor.Markdown source={previewContent} />
           </div>
         </TabsContent>
+
+        <TabsContent value="ats">
+          <AtsReport
+            resumeId={resume.id}
+            ats={ats}
+            isDirty={isDirty}
+            onChange={setAts}
+          />
+        </TabsContent>
       </Tabs>
     </div>
   );
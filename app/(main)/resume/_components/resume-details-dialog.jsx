@@ -0,0 +1,100 @@
+"use client";
+
+import { useState } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { Loader2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { resumeDetailsSchema } from "@/app/lib/schema";
+
+// Name and target role of a resume, used both when creating one and when
+// renaming it from the builder. `onSubmit` may throw to keep the dialog open.
+export default function ResumeDetailsDialog({
+  trigger,
+  title,
+  description,
+  submitLabel,
+  defaultValues = { name: "", targetRole: "" },
+  onSubmit,
+}) {
+  const [open, setOpen] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: zodResolver(resumeDetailsSchema),
+    defaultValues,
+  });
+
+  const handleOpenChange = (next) => {
+    if (next) reset(defaultValues);
+    setOpen(next);
+  };
+
+  const submit = async (values) => {
+    try {
+      await onSubmit(values);
+      setOpen(false);
+    } catch {
+      // The caller reports the error; keep the dialog open for a retry.
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogTrigger asChild>{trigger}</DialogTrigger>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>{title}</DialogTitle>
+          {description && <DialogDescription>{description}</DialogDescription>}
+        </DialogHeader>
+        <form onSubmit={handleSubmit(submit)} className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="resume-name">Name</Label>
+            <Input
+              id="resume-name"
+              placeholder="e.g. Backend Engineer"
+              {...register("name")}
+            />
+            {errors.name && (
+              <p className="text-sm text-red-500">{errors.name.message}</p>
+            )}
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="resume-target-role">Target Role (optional)</Label>
+            <Input
+              id="resume-target-role"
+              placeholder="e.g. Senior Backend Engineer"
+              {...register("targetRole")}
+            />
+            {errors.targetRole && (
+              <p className="text-sm text-red-500">
+                {errors.targetRole.message}
+              </p>
+            )}
+          </div>
+          <DialogFooter>
+            <Button type="submit" disabled={isSubmitting}>
+              {isSubmitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              {submitLabel}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,266 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import { format } from "date-fns";
+import { History, Loader2, RotateCcw } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "@/components/ui/dialog";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from "@/components/ui/alert-dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { getResumeRevisions, restoreResumeRevision } from "@/actions/resume";
+import { diffLines, diffSections } from "@/app/lib/diff";
+
+const revisionTitle = (revision) =>
+  `${revision.label ? `${revision.label} · ` : ""}${format(
+    new Date(revision.createdAt),
+    "PPp"
+  )}`;
+
+const LINE_STYLES = {
+  added: "bg-green-500/15 text-green-700 dark:text-green-400",
+  removed: "bg-red-500/15 text-red-700 dark:text-red-400 line-through",
+  equal: "text-muted-foreground",
+};
+
+const LINE_PREFIX = { added: "+", removed: "-", equal: " " };
+
+function LineDiff({ lines }) {
+  if (!lines.some((line) => line.type !== "equal")) {
+    return <p className="text-sm text-muted-foreground">No differences.</p>;
+  }
+
+  return (
+    <pre className="text-xs whitespace-pre-wrap font-mono rounded border">
+      {lines.map((line, i) => (
+        <div key={i} className={`px-2 ${LINE_STYLES[line.type]}`}>
+          {LINE_PREFIX[line.type]} {line.value}
+        </div>
+      ))}
+    </pre>
+  );
+}
+
+const SECTION_BADGES = {
+  added: "Added",
+  removed: "Removed",
+  changed: "Changed",
+  unchanged: "Unchanged",
+};
+
+function SectionDiff({ sections }) {
+  return (
+    <div className="space-y-4">
+      {sections.map((section) => (
+        <div key={section.title} className="space-y-2">
+          <div className="flex items-center gap-2">
+            <h4 className="font-medium">{section.title}</h4>
+            <Badge variant={section.status === "unchanged" ? "outline" : "secondary"}>
+              {SECTION_BADGES[section.status]}
+            </Badge>
+          </div>
+          {section.status !== "unchanged" && <LineDiff lines={section.lines} />}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Saved versions of a resume: compare any two and restore one. `onRestore`
+// receives the restored resume so the builder can reload its form.
+export default function ResumeHistory({ resumeId, onRestore }) {
+  const [open, setOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [restoringId, setRestoringId] = useState(null);
+  const [revisions, setRevisions] = useState([]);
+  const [fromId, setFromId] = useState(null);
+  const [toId, setToId] = useState(null);
+  const [mode, setMode] = useState("sections");
+
+  const loadRevisions = async () => {
+    setLoading(true);
+    try {
+      const data = await getResumeRevisions(resumeId);
+      setRevisions(data);
+      setToId(data[0]?.id ?? null);
+      setFromId(data[1]?.id ?? data[0]?.id ?? null);
+    } catch (error) {
+      toast.error(error.message || "Failed to load history");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpenChange = (next) => {
+    setOpen(next);
+    if (next) loadRevisions();
+  };
+
+  const handleRestore = async (revision) => {
+    setRestoringId(revision.id);
+    try {
+      const resume = await restoreResumeRevision(resumeId, revision.id);
+      onRestore(resume);
+      toast.success("Version restored!");
+      setOpen(false);
+    } catch (error) {
+      toast.error(error.message || "Failed to restore version");
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const from = revisions.find((r) => r.id === fromId);
+  const to = revisions.find((r) => r.id === toId);
+
+  const diff = useMemo(() => {
+    if (!from || !to) return null;
+    return mode === "sections"
+      ? diffSections(from.content, to.content)
+      : diffLines(from.content, to.content);
+  }, [from, to, mode]);
+
+  const revisionSelect = (value, onChange) => (
+    <Select value={value ?? undefined} onValueChange={onChange}>
+      <SelectTrigger className="w-[280px]">
+        <SelectValue placeholder="Select a version" />
+      </SelectTrigger>
+      <SelectContent>
+        {revisions.map((revision) => (
+          <SelectItem key={revision.id} value={revision.id}>
+            {revisionTitle(revision)}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogTrigger asChild>
+        <Button variant="outline">
+          <History className="h-4 w-4" />
+          History
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-5xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Version History</DialogTitle>
+          <DialogDescription>
+            Every save is kept. Compare two versions or restore an older one.
+          </DialogDescription>
+        </DialogHeader>
+
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin" />
+          </div>
+        ) : !revisions.length ? (
+          <p className="text-sm text-muted-foreground">
+            No saved versions yet. Save the resume to start its history.
+          </p>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-[260px_1fr] gap-6">
+            <ul className="space-y-2">
+              {revisions.map((revision, index) => (
+                <li
+                  key={revision.id}
+                  className="flex items-center justify-between gap-2 p-2 border rounded"
+                >
+                  <div className="text-sm">
+                    <div className="font-medium">
+                      {revision.label || (index === 0 ? "Current" : "Saved")}
+                    </div>
+                    <div className="text-muted-foreground">
+                      {format(new Date(revision.createdAt), "PPp")}
+                    </div>
+                  </div>
+                  {index > 0 && (
+                    <AlertDialog>
+                      <AlertDialogTrigger asChild>
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          title="Restore"
+                          disabled={!!restoringId}
+                        >
+                          {restoringId === revision.id ? (
+                            <Loader2 className="h-4 w-4 animate-spin" />
+                          ) : (
+                            <RotateCcw className="h-4 w-4" />
+                          )}
+                        </Button>
+                      </AlertDialogTrigger>
+                      <AlertDialogContent>
+                        <AlertDialogHeader>
+                          <AlertDialogTitle>Restore this version?</AlertDialogTitle>
+                          <AlertDialogDescription>
+                            It becomes the current version and is added to the
+                            history. Unsaved changes in the editor will be
+                            replaced.
+                          </AlertDialogDescription>
+                        </AlertDialogHeader>
+                        <AlertDialogFooter>
+                          <AlertDialogCancel>Cancel</AlertDialogCancel>
+                          <AlertDialogAction onClick={() => handleRestore(revision)}>
+                            Restore
+                          </AlertDialogAction>
+                        </AlertDialogFooter>
+                      </AlertDialogContent>
+                    </AlertDialog>
+                  )}
+                </li>
+              ))}
+            </ul>
+
+            <div className="space-y-4 min-w-0">
+              <div className="flex flex-wrap items-center gap-2 text-sm">
+                Compare
+                {revisionSelect(fromId, setFromId)}
+                with
+                {revisionSelect(toId, setToId)}
+              </div>
+              <Tabs value={mode} onValueChange={setMode}>
+                <TabsList>
+                  <TabsTrigger value="sections">By section</TabsTrigger>
+                  <TabsTrigger value="lines">By line</TabsTrigger>
+                </TabsList>
+              </Tabs>
+              {diff &&
+                (mode === "sections" ? (
+                  <SectionDiff sections={diff} />
+                ) : (
+                  <LineDiff lines={diff} />
+                ))}
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,224 @@
+"use client";
+
+import { useRouter } from "next/navigation";
+import { format } from "date-fns";
+import { Copy, Edit2, FileUp, Plus, Star, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import {
+  Card,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from "@/components/ui/alert-dialog";
+import {
+  createResume,
+  deleteResume,
+  duplicateResume,
+  setDefaultResume,
+} from "@/actions/resume";
+import ResumeDetailsDialog from "./resume-details-dialog";
+import ResumeUploadDialog from "@/components/resume-upload-dialog";
+import { emptyResumeData } from "@/app/lib/resume";
+import { mergeParsedResume } from "@/app/lib/resume-parser";
+
+export default function ResumeList({ resumes }) {
+  const router = useRouter();
+
+  const handleCreate = async (values) => {
+    try {
+      const resume = await createResume(values);
+      toast.success("Resume created!");
+      router.push(`/resume/${resume.id}`);
+    } catch (error) {
+      toast.error(error.message || "Failed to create resume");
+      throw error;
+    }
+  };
+
+  // Uploads become a new resume named after the file.
+  const handleUpload = async ({ fileName, ...selection }) => {
+    try {
+      const resume = await createResume(
+        {
+          name:
+            fileName.replace(/\.[^.]+$/, "").trim().slice(0, 80) ||
+            "Uploaded Resume",
+        },
+        mergeParsedResume(emptyResumeData(), selection),
+        { label: `Uploaded from ${fileName}` }
+      );
+      toast.success("Resume imported!");
+      router.push(`/resume/${resume.id}`);
+    } catch (error) {
+      toast.error(error.message || "Failed to import resume");
+      throw error;
+    }
+  };
+
+  const handleDuplicate = async (id) => {
+    try {
+      await duplicateResume(id);
+      toast.success("Resume duplicated!");
+      router.refresh();
+    } catch (error) {
+      toast.error(error.message || "Failed to duplicate resume");
+    }
+  };
+
+  const handleSetDefault = async (id) => {
+    try {
+      await setDefaultResume(id);
+      toast.success("Default resume updated!");
+      router.refresh();
+    } catch (error) {
+      toast.error(error.message || "Failed to update default resume");
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteResume(id);
+      toast.success("Resume deleted successfully!");
+      router.refresh();
+    } catch (error) {
+      toast.error(error.message || "Failed to delete resume");
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col md:flex-row gap-2 items-center justify-between mb-5">
+        <h1 className="font-bold gradient-title text-5xl md:text-6xl">
+          My Resumes
+        </h1>
+        <div className="flex gap-2">
+          <ResumeUploadDialog
+            applyLabel="Create Resume"
+            profileOption
+            onApply={handleUpload}
+            trigger={
+              <Button variant="outline">
+                <FileUp className="h-4 w-4 mr-2" />
+                Upload Resume
+              </Button>
+            }
+          />
+          <ResumeDetailsDialog
+            title="New Resume"
+            description="Keep a separate resume for each kind of role you apply for."
+            submitLabel="Create"
+            onSubmit={handleCreate}
+            trigger={
+              <Button>
+                <Plus className="h-4 w-4 mr-2" />
+                Create New
+              </Button>
+            }
+          />
+        </div>
+      </div>
+
+      {!resumes?.length && (
+        <Card>
+          <CardHeader>
+            <CardTitle>No Resumes Yet</CardTitle>
+            <CardDescription>
+              Create your first resume to get started
+            </CardDescription>
+          </CardHeader>
+        </Card>
+      )}
+
+      {resumes?.map((resume) => (
+        <Card key={resume.id} className="group relative">
+          <CardHeader>
+            <div className="flex items-start justify-between">
+              <div>
+                <CardTitle className="text-xl gradient-title">
+                  {resume.name}
+                </CardTitle>
+                <CardDescription className="flex items-center gap-2">
+                  {resume.targetRole && <span>{resume.targetRole} ·</span>}
+                  Updated {format(new Date(resume.updatedAt), "PPP")}
+                  {resume.isDefault && <Badge variant="outline">Default</Badge>}
+                  {resume.atsScore != null && (
+                    <Badge variant="secondary">
+                      ATS {Math.round(resume.atsScore)}
+                    </Badge>
+                  )}
+                </CardDescription>
+              </div>
+              <div className="flex space-x-2">
+                <Button
+                  variant="outline"
+                  size="icon"
+                  title="Edit"
+                  onClick={() => router.push(`/resume/${resume.id}`)}
+                >
+                  <Edit2 className="h-4 w-4" />
+                </Button>
+                <Button
+                  variant="outline"
+                  size="icon"
+                  title="Duplicate"
+                  onClick={() => handleDuplicate(resume.id)}
+                >
+                  <Copy className="h-4 w-4" />
+                </Button>
+                {!resume.isDefault && (
+                  <Button
+                    variant="outline"
+                    size="icon"
+                    title="Make default"
+                    onClick={() => handleSetDefault(resume.id)}
+                  >
+                    <Star className="h-4 w-4" />
+                  </Button>
+                )}
+                <AlertDialog>
+                  <AlertDialogTrigger asChild>
+                    <Button variant="outline" size="icon" title="Delete">
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </AlertDialogTrigger>
+                  <AlertDialogContent>
+                    <AlertDialogHeader>
+                      <AlertDialogTitle>Delete Resume?</AlertDialogTitle>
+                      <AlertDialogDescription>
+                        This action cannot be undone. This will permanently
+                        delete your resume &quot;{resume.name}&quot;. Cover
+                        letters based on it are kept.
+                      </AlertDialogDescription>
+                    </AlertDialogHeader>
+                    <AlertDialogFooter>
+                      <AlertDialogCancel>Cancel</AlertDialogCancel>
+                      <AlertDialogAction
+                        onClick={() => handleDelete(resume.id)}
+                        className="bg-destructive text-destructive-foreground hover:bg-destructive/90"
+                      >
+                        Delete
+                      </AlertDialogAction>
+                    </AlertDialogFooter>
+                  </AlertDialogContent>
+                </AlertDialog>
+              </div>
+            </div>
+          </CardHeader>
+        </Card>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+"use client";
+
+import { useMemo } from "react";
+import { format } from "date-fns";
+import { buttonVariants } from "@/components/ui/button";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+import { resumeDataFromRecord, resumeToMarkdown } from "@/app/lib/resume";
+import { diffSections } from "@/app/lib/diff";
+
+// Shown when another tab or device saved the resume after these edits
+// started (`latest` is that newer resume). The user either takes the
+// newer version, dropping their edits, or overwrites it with theirs.
+export default function SaveConflictDialog({ latest, getData, onUseLatest, onKeepMine }) {
+  const changed = useMemo(
+    () =>
+      latest
+        ? diffSections(
+            resumeToMarkdown(resumeDataFromRecord(latest)),
+            resumeToMarkdown(getData())
+          )
+            .filter((section) => section.status !== "unchanged")
+            .map((section) => section.title)
+        : [],
+    [latest, getData]
+  );
+
+  return (
+    <AlertDialog open={!!latest}>
+      <AlertDialogContent>
+        <AlertDialogHeader>
+          <AlertDialogTitle>This resume was changed elsewhere</AlertDialogTitle>
+          <AlertDialogDescription>
+            {latest &&
+              `It was saved in another tab or device at ${format(
+                new Date(latest.updatedAt),
+                "PPp"
+              )}, after you started editing here. Your changes here are not saved yet.`}
+          </AlertDialogDescription>
+        </AlertDialogHeader>
+        {changed.length > 0 && (
+          <p className="text-sm">
+            <span className="font-medium">Sections that differ:</span>{" "}
+            {changed.join(", ")}
+          </p>
+        )}
+        <AlertDialogFooter>
+          <AlertDialogAction
+            className={`${buttonVariants({ variant: "outline" })} mt-2 sm:mt-0`}
+            onClick={onUseLatest}
+          >
+            Use Their Version
+          </AlertDialogAction>
+          <AlertDialogAction onClick={onKeepMine}>
+            Overwrite With Mine
+          </AlertDialogAction>
+        </AlertDialogFooter>
+      </AlertDialogContent>
+    </AlertDialog>
+  );
+}
@@ -0,0 +1,60 @@
+"use client";
+
+import { ArrowDown, ArrowUp } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  completeSectionOrder,
+  customSectionKey,
+  RESUME_SECTIONS,
+} from "@/app/lib/resume";
+
+// Order of the sections below the contact header in the preview and every
+// export. Empty sections are listed too but left out when rendering.
+export function SectionOrderForm({ order, customSections, onChange }) {
+  const keys = completeSectionOrder(order, customSections);
+
+  const titleOf = (key) =>
+    RESUME_SECTIONS.find((section) => section.key === key)?.title ??
+    (customSections.find((section) => customSectionKey(section) === key)?.title ||
+      "Untitled section");
+
+  const move = (index, offset) => {
+    const next = [...keys];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    onChange(next);
+  };
+
+  return (
+    <ol className="divide-y border rounded-lg">
+      {keys.map((key, index) => (
+        <li key={key} className="flex items-center justify-between px-4 py-2">
+          <span className="text-sm">
+            {index + 1}. {titleOf(key)}
+          </span>
+          <div className="flex gap-1">
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              title="Move up"
+              disabled={index === 0}
+              onClick={() => move(index, -1)}
+            >
+              <ArrowUp className="h-4 w-4" />
+            </Button>
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              title="Move down"
+              disabled={index === keys.length - 1}
+              onClick={() => move(index, 1)}
+            >
+              <ArrowDown className="h-4 w-4" />
+            </Button>
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+}
@@ -0,0 +1,322 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import { useRouter } from "next/navigation";
+import { Check, Loader2, Target, X } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { createResume, tailorResume } from "@/actions/resume";
+import { keywordCoverage } from "@/app/lib/ats";
+import WordDiff from "./word-diff";
+
+const EMPTY_JOB = { jobTitle: "", companyName: "", jobDescription: "" };
+
+// Resume data with the accepted suggestions applied.
+function applySuggestions(data, suggestions, accepted) {
+  const result = {
+    ...data,
+    experience: [...data.experience],
+    projects: [...data.projects],
+  };
+  for (const suggestion of suggestions) {
+    if (!accepted[suggestion.key]) continue;
+    if (suggestion.section === "summary") {
+      result.summary = suggestion.proposed;
+    } else {
+      const { section, index, proposed } = suggestion;
+      result[section][index] = { ...result[section][index], description: proposed };
+    }
+  }
+  return result;
+}
+
+function KeywordList({ title, keywords, variant }) {
+  if (!keywords.length) return null;
+  return (
+    <div className="space-y-1">
+      <p className="text-sm font-medium">{title}</p>
+      <div className="flex flex-wrap gap-1">
+        {keywords.map((keyword) => (
+          <Badge key={keyword} variant={variant}>
+            {keyword}
+          </Badge>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// "Tailor to job": compares the resume with a job description and
+// proposes rewrites of the summary and entry descriptions. Accepted
+// suggestions are applied to the form (`onApply`, with the prompt version
+// that wrote them) or saved as a new resume variant. `initialJob` (e.g.
+// from a cover letter) opens the dialog prefilled.
+export default function TailorDialog({ resumeName, getData, onApply, initialJob }) {
+  const router = useRouter();
+  const [open, setOpen] = useState(!!initialJob);
+  const [job, setJob] = useState({ ...EMPTY_JOB, ...initialJob });
+  const [isTailoring, setIsTailoring] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [result, setResult] = useState(null);
+  const [accepted, setAccepted] = useState({});
+  const [variantName, setVariantName] = useState("");
+
+  const setJobField = (field) => (e) =>
+    setJob((current) => ({ ...current, [field]: e.target.value }));
+
+  const handleTailor = async () => {
+    setIsTailoring(true);
+    try {
+      const tailored = await tailorResume(getData(), job);
+      setResult(tailored);
+      setAccepted({});
+      setVariantName(
+        `${resumeName} - ${job.companyName || job.jobTitle || "Tailored"}`.slice(0, 80)
+      );
+    } catch (error) {
+      toast.error(error.message || "Failed to tailor resume");
+    } finally {
+      setIsTailoring(false);
+    }
+  };
+
+  const tailoredData = useMemo(
+    () => result && applySuggestions(getData(), result.suggestions, accepted),
+    [result, accepted, getData]
+  );
+
+  // Coverage if the accepted suggestions are kept
+  const coverageAfter = useMemo(() => {
+    if (!result) return null;
+    const keywords = [...result.keywords.matched, ...result.keywords.missing];
+    return keywordCoverage(tailoredData, keywords);
+  }, [result, tailoredData]);
+
+  const setAll = (value) =>
+    setAccepted(
+      Object.fromEntries(result.suggestions.map(({ key }) => [key, value]))
+    );
+
+  const handleApply = () => {
+    onApply(tailoredData, result.promptVersion);
+    setOpen(false);
+    toast.success("Suggestions applied. Review them and save to keep them.");
+  };
+
+  const handleSaveVariant = async () => {
+    setIsSaving(true);
+    try {
+      const role = job.jobTitle.trim();
+      const resume = await createResume(
+        { name: variantName, targetRole: role },
+        tailoredData,
+        {
+          label: `Tailored for ${[role, job.companyName.trim()]
+            .filter(Boolean)
+            .join(" at ") || "a job description"}`,
+          promptVersions: [result.promptVersion],
+        }
+      );
+      toast.success("Tailored resume saved!");
+      router.push(`/resume/${resume.id}`);
+    } catch (error) {
+      toast.error(error.message || "Failed to save tailored resume");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const total = result
+    ? result.keywords.matched.length + result.keywords.missing.length
+    : 0;
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline">
+          <Target className="h-4 w-4" />
+          Tailor to Job
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Tailor to Job</DialogTitle>
+          <DialogDescription>
+            Compare this resume with a job description and get rewrites of
+            your summary and descriptions. Nothing changes until you apply or
+            save the suggestions you accept.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="tailor-job-title">Job Title (optional)</Label>
+              <Input
+                id="tailor-job-title"
+                value={job.jobTitle}
+                onChange={setJobField("jobTitle")}
+                placeholder="e.g. Senior Backend Engineer"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="tailor-company">Company (optional)</Label>
+              <Input
+                id="tailor-company"
+                value={job.companyName}
+                onChange={setJobField("companyName")}
+                placeholder="e.g. Acme"
+              />
+            </div>
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="tailor-job-description">Job Description</Label>
+            <Textarea
+              id="tailor-job-description"
+              className="h-32"
+              value={job.jobDescription}
+              onChange={setJobField("jobDescription")}
+              placeholder="Paste the job description here"
+            />
+          </div>
+          <Button
+            onClick={handleTailor}
+            disabled={!job.jobDescription.trim() || isTailoring}
+          >
+            {isTailoring ? (
+              <>
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                Analyzing...
+              </>
+            ) : result ? (
+              "Analyze Again"
+            ) : (
+              "Analyze"
+            )}
+          </Button>
+        </div>
+
+        {result && (
+          <div className="space-y-6 border-t pt-4">
+            <div className="space-y-3">
+              <h3 className="font-medium">
+                Keywords: {result.keywords.matched.length} of {total} found
+                {coverageAfter.matched.length !== result.keywords.matched.length &&
+                  ` (${coverageAfter.matched.length} with accepted suggestions)`}
+              </h3>
+              <KeywordList
+                title="In your resume"
+                keywords={result.keywords.matched}
+                variant="secondary"
+              />
+              <KeywordList
+                title="Missing"
+                keywords={result.keywords.missing}
+                variant="destructive"
+              />
+              {result.keywords.missing.length > 0 && (
+                <p className="text-sm text-muted-foreground">
+                  Only add missing keywords you actually have experience with.
+                </p>
+              )}
+            </div>
+
+            <div className="space-y-3">
+              <div className="flex items-center justify-between">
+                <h3 className="font-medium">
+                  Suggestions ({result.suggestions.length})
+                </h3>
+                {result.suggestions.length > 0 && (
+                  <div className="flex gap-2">
+                    <Button size="sm" variant="ghost" onClick={() => setAll(true)}>
+                      Accept all
+                    </Button>
+                    <Button size="sm" variant="ghost" onClick={() => setAll(false)}>
+                      Reject all
+                    </Button>
+                  </div>
+                )}
+              </div>
+              {!result.suggestions.length && (
+                <p className="text-sm text-muted-foreground">
+                  No rewrites suggested; your resume already fits this job.
+                </p>
+              )}
+              {result.suggestions.map((suggestion) => {
+                const isAccepted = !!accepted[suggestion.key];
+                return (
+                  <div key={suggestion.key} className="space-y-2 rounded-lg border p-3">
+                    <div className="flex items-center justify-between gap-2">
+                      <p className="text-sm font-medium">{suggestion.label}</p>
+                      <div className="flex gap-1">
+                        <Button
+                          size="sm"
+                          variant={isAccepted ? "default" : "outline"}
+                          onClick={() =>
+                            setAccepted((a) => ({ ...a, [suggestion.key]: true }))
+                          }
+                        >
+                          <Check className="h-4 w-4" />
+                          Accept
+                        </Button>
+                        <Button
+                          size="sm"
+                          variant={isAccepted ? "outline" : "secondary"}
+                          onClick={() =>
+                            setAccepted((a) => ({ ...a, [suggestion.key]: false }))
+                          }
+                        >
+                          <X className="h-4 w-4" />
+                          Reject
+                        </Button>
+                      </div>
+                    </div>
+                    <WordDiff before={suggestion.original} after={suggestion.proposed} />
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="tailor-variant-name">New resume name</Label>
+              <Input
+                id="tailor-variant-name"
+                value={variantName}
+                maxLength={80}
+                onChange={(e) => setVariantName(e.target.value)}
+              />
+            </div>
+          </div>
+        )}
+
+        {result && (
+          <DialogFooter>
+            <Button variant="outline" onClick={handleApply}>
+              Apply to This Resume
+            </Button>
+            <Button
+              onClick={handleSaveVariant}
+              disabled={!variantName.trim() || isSaving}
+            >
+              {isSaving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Save as New Resume
+            </Button>
+          </DialogFooter>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,64 @@
+"use client";
+
+import { ChevronDown, FileText } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { resumeToLatex, resumeToPlainText } from "@/app/lib/resume-export";
+
+const downloadText = (text, fileName, type) => {
+  const blob = new Blob([text], { type: `${type};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Plain-text (for pasting into application portals) and LaTeX exports of
+// the current form contents, including unsaved changes.
+export default function TextExportMenu({ getData, baseName }) {
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(resumeToPlainText(getData()));
+      toast.success("Plain text copied to clipboard");
+    } catch {
+      toast.error("Could not copy to the clipboard");
+    }
+  };
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="outline">
+          <FileText className="h-4 w-4" />
+          Text & LaTeX
+          <ChevronDown className="h-4 w-4" />
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        <DropdownMenuItem onClick={handleCopy}>Copy plain text</DropdownMenuItem>
+        <DropdownMenuItem
+          onClick={() =>
+            downloadText(resumeToPlainText(getData()), `${baseName}.txt`, "text/plain")
+          }
+        >
+          Download plain text (.txt)
+        </DropdownMenuItem>
+        <DropdownMenuItem
+          onClick={() =>
+            downloadText(resumeToLatex(getData()), `${baseName}.tex`, "application/x-tex")
+          }
+        >
+          Download LaTeX (.tex)
+        </DropdownMenuItem>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
@@ -0,0 +1,20 @@
+import { diffWords } from "@/app/lib/diff";
+
+const WORD_STYLES = {
+  added: "bg-green-500/15 text-green-700 dark:text-green-400",
+  removed: "bg-red-500/15 text-red-700 dark:text-red-400 line-through",
+  equal: "",
+};
+
+// Inline word-level diff between two versions of a paragraph or bullets.
+export default function WordDiff({ before, after }) {
+  return (
+    <p className="text-sm whitespace-pre-wrap rounded border p-2">
+      {diffWords(before, after).map((part, i) => (
+        <span key={i} className={WORD_STYLES[part.type]}>
+          {part.value}
+        </span>
+      ))}
+    </p>
+  );
+}
@@ -1,12 +1,12 @@
-import { getResume } from "@/actions/resume";
-import ResumeBuilder from "./_components/resume-builder";
+import { getResumes } from "@/actions/resume";
+import ResumeList from "./_components/resume-list";
 
 export default async function ResumePage() {
-  const resume = await getResume();
+  const resumes = await getResumes();
 
   return (
     <div className="container mx-auto py-6">
-      <ResumeBuilder initialContent={resume?.content} />
+      <ResumeList resumes={resumes} />
     </div>
   );
 }
@@ -0,0 +1,41 @@
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Progress } from "@/components/ui/progress";
+
+const UsageRow = ({ label, used, limit }) => {
+  const unlimited = limit === null || limit === undefined;
+  const percent = unlimited || limit === 0 ? 0 : Math.min(100, (used / limit) * 100);
+
+  return (
+    <div className="space-y-1">
+      <div className="flex justify-between text-sm">
+        <span className="text-muted-foreground">{label}</span>
+        <span className={!unlimited && used >= limit ? "text-red-500" : ""}>
+          {used} / {unlimited ? "unlimited" : limit}
+        </span>
+      </div>
+      {!unlimited && <Progress value={percent} />}
+    </div>
+  );
+};
+
+export default function UsageCard({ title, usage, footer }) {
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <CardTitle className="text-sm font-medium">{title}</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <UsageRow label="Today" used={usage.today} limit={usage.limits?.daily} />
+        <UsageRow
+          label="This month"
+          used={usage.month}
+          limit={usage.limits?.monthly}
+        />
+        <p className="text-xs text-muted-foreground">
+          {usage.tokens.toLocaleString()} tokens this month
+        </p>
+        {footer && <p className="text-xs text-muted-foreground">{footer}</p>}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,33 @@
+import { getUsageSummary } from "@/actions/usage";
+import UsageCard from "./_components/usage-card";
+
+export default async function UsagePage() {
+  const summary = await getUsageSummary();
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-6xl font-bold gradient-title">AI Usage</h1>
+        <p className="text-muted-foreground">
+          Daily limits reset at midnight UTC, monthly limits on the 1st.
+        </p>
+      </div>
+
+      <UsageCard
+        title="All AI features"
+        usage={summary.total}
+        footer={
+          summary.failed > 0
+            ? `${summary.failed} failed generation(s) this month did not count toward your limits.`
+            : null
+        }
+      />
+
+      <div className="grid gap-4 md:grid-cols-2">
+        {summary.features.map((usage) => (
+          <UsageCard key={usage.feature} title={usage.label} usage={usage} />
+        ))}
+      </div>
+    </div>
+  );
+}
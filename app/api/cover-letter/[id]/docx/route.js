@@ -0,0 +1,41 @@
+import { NextResponse } from "next/server";
+import { auth } from "@clerk/nextjs/server";
+import { db } from "@/lib/prisma";
+import { DOCX_CONTENT_TYPE, markdownToDocx } from "@/lib/docx";
+
+// Exports a cover letter's markdown as an editable Word document.
+export async function GET(req, { params }) {
+  const { userId } = await auth();
+  if (!userId) {
+    return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) {
+    return NextResponse.json({ error: "User not found" }, { status: 404 });
+  }
+
+  const { id } = await params;
+  const coverLetter = await db.coverLetter.findUnique({
+    where: { id, userId: user.id },
+  });
+
+  if (!coverLetter) {
+    return NextResponse.json({ error: "Cover letter not found" }, { status: 404 });
+  }
+
+  const title = `Cover Letter - ${coverLetter.jobTitle} at ${coverLetter.companyName}`;
+  const docx = await markdownToDocx(coverLetter.content, { title });
+  const fileName = `${title.replace(/[^\w -]+/g, "").trim() || "cover-letter"}.docx`;
+
+  return new Response(docx, {
+    headers: {
+      "Content-Type": DOCX_CONTENT_TYPE,
+      "Content-Disposition": `attachment; filename="${fileName}"`,
+      "Cache-Control": "private, no-store",
+    },
+  });
+}
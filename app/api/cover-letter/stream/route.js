@@ -0,0 +1,141 @@
+import { NextResponse } from "next/server";
+import { auth } from "@clerk/nextjs/server";
+import { db } from "@/lib/prisma";
+import { streamText } from "@/lib/ai/provider";
+import { AI_FEATURES } from "@/lib/ai/features";
+import { AIPromptInjectionError, AIQuotaExceededError } from "@/lib/ai/errors";
+import { assertWithinQuota } from "@/lib/ai/usage";
+import { renderPrompt } from "@/lib/ai/prompts";
+import { coverLetterVariables } from "@/lib/ai/prompts/cover-letter";
+import { coverLetterSchema } from "@/app/lib/schema";
+
+// Partial content is written back at most this often while streaming, so a
+// crashed or interrupted generation still leaves a usable draft.
+const SAVE_INTERVAL_MS = 3000;
+
+// Streams a cover letter as plain markdown text. The CoverLetter row is
+// created up front as a "draft" (its id is sent in X-Cover-Letter-Id) and
+// flipped to "completed" once the model finishes.
+export async function POST(req) {
+  const { userId } = await auth();
+  if (!userId) {
+    return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) {
+    return NextResponse.json({ error: "User not found" }, { status: 404 });
+  }
+
+  const parsed = coverLetterSchema.safeParse(await req.json().catch(() => null));
+  if (!parsed.success) {
+    return NextResponse.json({ error: "Invalid job details" }, { status: 400 });
+  }
+  const data = parsed.data;
+
+  const resume = data.resumeId
+    ? await db.resume.findUnique({
+        where: { id: data.resumeId, userId: user.id },
+      })
+    : null;
+
+  if (data.resumeId && !resume) {
+    return NextResponse.json({ error: "Resume not found" }, { status: 404 });
+  }
+
+  try {
+    await assertWithinQuota(user.id, AI_FEATURES.COVER_LETTER);
+  } catch (error) {
+    if (error instanceof AIQuotaExceededError) {
+      return NextResponse.json({ error: error.message }, { status: 429 });
+    }
+    throw error;
+  }
+
+  let rendered;
+  try {
+    rendered = renderPrompt(
+      AI_FEATURES.COVER_LETTER,
+      coverLetterVariables(user, data, resume)
+    );
+  } catch (error) {
+    if (error instanceof AIPromptInjectionError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+    throw error;
+  }
+  const { prompt, promptVersion, redactions } = rendered;
+
+  const coverLetter = await db.coverLetter.create({
+    data: {
+      content: "",
+      jobDescription: data.jobDescription,
+      companyName: data.companyName,
+      jobTitle: data.jobTitle,
+      status: "draft",
+      promptVersion,
+      resumeId: resume?.id ?? null,
+      userId: user.id,
+    },
+  });
+
+  const chunks = streamText({
+    feature: AI_FEATURES.COVER_LETTER,
+    userId: user.id,
+    prompt,
+    promptVersion,
+    redactions,
+  });
+
+  let content = "";
+  let lastSavedAt = Date.now();
+  const saveDraft = (fields = {}) =>
+    db.coverLetter.update({
+      where: { id: coverLetter.id },
+      data: { content: content.trim(), ...fields },
+    });
+
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await chunks.next();
+
+        if (done) {
+          await saveDraft({ status: "completed" });
+          controller.close();
+          return;
+        }
+
+        content += value;
+        controller.enqueue(encoder.encode(value));
+
+        if (Date.now() - lastSavedAt > SAVE_INTERVAL_MS) {
+          lastSavedAt = Date.now();
+          await saveDraft();
+        }
+      } catch (error) {
+        console.error("Error streaming cover letter:", error);
+        await saveDraft().catch(() => {});
+        controller.error(error);
+      }
+    },
+
+    // The client went away: keep what we have as a draft.
+    async cancel() {
+      await chunks.return();
+      await saveDraft().catch(() => {});
+    },
+  });
+
+  return new Response(body, {
+    headers: {
+      "Content-Type": "text/markdown; charset=utf-8",
+      "Cache-Control": "no-cache",
+      "X-Cover-Letter-Id": coverLetter.id,
+    },
+  });
+}
@@ -0,0 +1,43 @@
+import { NextResponse } from "next/server";
+import { auth } from "@clerk/nextjs/server";
+import { db } from "@/lib/prisma";
+import { DOCX_CONTENT_TYPE, resumeToDocx } from "@/lib/docx";
+import { resumeDataFromRecord } from "@/app/lib/resume";
+
+// Exports the saved resume as an editable Word document.
+export async function GET(req, { params }) {
+  const { userId } = await auth();
+  if (!userId) {
+    return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) {
+    return NextResponse.json({ error: "User not found" }, { status: 404 });
+  }
+
+  const { id } = await params;
+  const resume = await db.resume.findUnique({
+    where: { id, userId: user.id },
+  });
+
+  if (!resume) {
+    return NextResponse.json({ error: "Resume not found" }, { status: 404 });
+  }
+
+  const docx = await resumeToDocx(resumeDataFromRecord(resume), {
+    title: resume.name,
+  });
+  const fileName = `${resume.name.replace(/[^\w -]+/g, "").trim() || "resume"}.docx`;
+
+  return new Response(docx, {
+    headers: {
+      "Content-Type": DOCX_CONTENT_TYPE,
+      "Content-Disposition": `attachment; filename="${fileName}"`,
+      "Cache-Control": "private, no-store",
+    },
+  });
+}
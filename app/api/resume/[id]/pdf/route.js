@@ -0,0 +1,51 @@
+import { NextResponse } from "next/server";
+import { auth } from "@clerk/nextjs/server";
+import { db } from "@/lib/prisma";
+import { renderResumePdf } from "@/lib/resume-pdf";
+import { resumeDataFromRecord } from "@/app/lib/resume";
+import { resumePdfOptionsSchema } from "@/app/lib/schema";
+
+// Renders the saved resume as a text PDF. Options come from the query
+// string (see resumePdfOptionsSchema), e.g.
+// /api/resume/<id>/pdf?template=modern&pageSize=LETTER&margin=12&font=serif
+export async function GET(req, { params }) {
+  const { userId } = await auth();
+  if (!userId) {
+    return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) {
+    return NextResponse.json({ error: "User not found" }, { status: 404 });
+  }
+
+  const { id } = await params;
+  const resume = await db.resume.findUnique({
+    where: { id, userId: user.id },
+  });
+
+  if (!resume) {
+    return NextResponse.json({ error: "Resume not found" }, { status: 404 });
+  }
+
+  const options = resumePdfOptionsSchema.safeParse(
+    Object.fromEntries(req.nextUrl.searchParams)
+  );
+  if (!options.success) {
+    return NextResponse.json({ error: "Invalid PDF options" }, { status: 400 });
+  }
+
+  const pdf = await renderResumePdf(resumeDataFromRecord(resume), options.data);
+  const fileName = `${resume.name.replace(/[^\w -]+/g, "").trim() || "resume"}.pdf`;
+
+  return new Response(pdf, {
+    headers: {
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${fileName}"`,
+      "Cache-Control": "private, no-store",
+    },
+  });
+}
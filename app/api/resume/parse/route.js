@@ -0,0 +1,90 @@
+import { NextResponse } from "next/server";
+import { auth } from "@clerk/nextjs/server";
+import { db } from "@/lib/prisma";
+import { generateJSON } from "@/lib/ai/provider";
+import { AI_FEATURES } from "@/lib/ai/features";
+import { AIPromptInjectionError, AIQuotaExceededError } from "@/lib/ai/errors";
+import { assertWithinQuota } from "@/lib/ai/usage";
+import { renderPrompt } from "@/lib/ai/prompts";
+import { extractResumeText, ResumeFileError } from "@/lib/resume-text";
+import { parseResumeText } from "@/app/lib/resume-parser";
+
+// Longer text is cut before it goes to the model; two-page resumes are
+// well under this.
+const MAX_AI_CHARS = 20000;
+
+// Reads an uploaded PDF/DOCX resume (multipart field "file") and returns
+// the parsed fields for the user to review. Nothing is saved here. With
+// useAI=true the model does the parsing; the heuristic parser is the
+// fallback when the model fails or the user is out of quota.
+export async function POST(req) {
+  const { userId } = await auth();
+  if (!userId) {
+    return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) {
+    return NextResponse.json({ error: "User not found" }, { status: 404 });
+  }
+
+  const form = await req.formData().catch(() => null);
+  const file = form?.get("file");
+  if (!file || typeof file === "string") {
+    return NextResponse.json({ error: "No file uploaded" }, { status: 400 });
+  }
+
+  let text;
+  try {
+    text = await extractResumeText(file);
+  } catch (error) {
+    if (error instanceof ResumeFileError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+    throw error;
+  }
+
+  const { warnings, ...parsed } = parseResumeText(text);
+
+  if (form.get("useAI") !== "true") {
+    return NextResponse.json({ ...parsed, warnings, parsedWith: "heuristic" });
+  }
+
+  try {
+    await assertWithinQuota(user.id, AI_FEATURES.RESUME_PARSE);
+
+    const { promptVersion, ...template } = renderPrompt(
+      AI_FEATURES.RESUME_PARSE,
+      { text: text.slice(0, MAX_AI_CHARS) }
+    );
+    const data = await generateJSON({
+      feature: AI_FEATURES.RESUME_PARSE,
+      userId: user.id,
+      promptVersion,
+      ...template,
+    });
+    return NextResponse.json({
+      ...data,
+      warnings:
+        text.length > MAX_AI_CHARS
+          ? ["The file is long, so only its beginning was parsed."]
+          : [],
+      parsedWith: "ai",
+    });
+  } catch (error) {
+    console.error("Error parsing resume with AI:", error);
+    const reason =
+      error instanceof AIQuotaExceededError ||
+      error instanceof AIPromptInjectionError
+        ? error.message
+        : "AI parsing failed.";
+    return NextResponse.json({
+      ...parsed,
+      warnings: [`${reason} Showing the basic parser's result.`, ...warnings],
+      parsedWith: "heuristic",
+    });
+  }
+}
@@ -0,0 +1,296 @@
+import { isValid, parse } from "date-fns";
+import { contactToMarkdown, normalizeResumeData, resumeSections } from "./resume";
+
+// Deterministic ATS (applicant tracking system) compatibility checks. Each
+// check earns up to `max` points; the score is the share of points earned
+// over the checks that apply, 0-100. The result is stored on the Resume
+// (`atsScore`, `feedback`) so the list and builder can show it.
+
+export const ATS_STATUS = { PASS: "pass", WARN: "warn", FAIL: "fail" };
+
+// Bullets outside this range are hard to scan or too thin to say much.
+const BULLET_WORDS = { min: 8, max: 35 };
+// Share of experience bullets that should carry a number.
+const QUANTIFIED_TARGET = 0.5;
+
+const EMOJI = /\p{Extended_Pictographic}/u;
+const HTML_TAG = /<\/?[a-z][^>]*>/i;
+
+const statusFor = (score, max) =>
+  score >= max ? ATS_STATUS.PASS : score >= max / 2 ? ATS_STATUS.WARN : ATS_STATUS.FAIL;
+
+const entryLabel = (entry) =>
+  [entry.title, entry.organization].filter(Boolean).join(" @ ") || "Untitled entry";
+
+const bulletsOf = (description = "") =>
+  description
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => line.replace(/^[-*•]\s*/, ""));
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Whole-word, case-insensitive; "C++" and "Node.js" are matched literally.
+const mentions = (text, keyword) =>
+  new RegExp(`(^|[^\\w+#.])${escapeRegExp(keyword)}(?![\\w+#])`, "i").test(text);
+
+const DATE_FORMATS = ["MMM yyyy", "MMMM yyyy", "MM/yyyy", "yyyy"];
+const parseResumeDate = (value) => {
+  for (const pattern of DATE_FORMATS) {
+    const date = parse(value.trim(), pattern, new Date());
+    if (isValid(date)) return { date, pattern };
+  }
+  return null;
+};
+
+// ---------------------------------------------------------
+// Checks
+// ---------------------------------------------------------
+function checkSections(data) {
+  const required = [
+    ["contact details", !!(data.contactInfo.email || data.contactInfo.mobile)],
+    ["a professional summary", !!data.summary.trim()],
+    ["a skills section", !!data.skills.trim()],
+    ["work experience", data.experience.length > 0],
+    ["education", data.education.length > 0],
+  ];
+  const missing = required.filter(([, present]) => !present).map(([name]) => name);
+  const max = 15;
+  const score = Math.round((max * (required.length - missing.length)) / required.length);
+
+  return {
+    id: "sections",
+    label: "Standard sections",
+    score,
+    max,
+    messages: missing.length
+      ? [`Add ${missing.join(", ")}. ATS parsers look for these sections by name.`]
+      : ["All standard sections are present."],
+  };
+}
+
+function checkContact({ contactInfo }) {
+  const fields = [
+    ["full name", contactInfo.name],
+    ["email", contactInfo.email],
+    ["phone number", contactInfo.mobile],
+    ["LinkedIn URL", contactInfo.linkedin],
+  ];
+  const messages = fields
+    .filter(([, value]) => !value?.trim())
+    .map(([name]) => `Add your ${name}.`);
+
+  if (contactInfo.linkedin && !/linkedin\.com\//i.test(contactInfo.linkedin)) {
+    messages.push("The LinkedIn URL doesn't look like a linkedin.com profile link.");
+  }
+
+  const max = 15;
+  const score = Math.max(0, Math.round(max - (messages.length * max) / fields.length));
+  return {
+    id: "contact",
+    label: "Contact details",
+    score,
+    max,
+    messages: messages.length ? messages : ["Name, email, phone and LinkedIn are all filled in."],
+  };
+}
+
+// Splits `keywords` into the ones the resume mentions (summary, skills,
+// experience, project and volunteer titles and descriptions, certifications
+// and custom sections) and the ones it doesn't.
+export function keywordCoverage(resumeData, keywords) {
+  const data = normalizeResumeData(resumeData);
+  const text = [
+    data.summary,
+    data.skills,
+    ...["experience", "projects", "volunteer"].flatMap((key) =>
+      data[key].flatMap((entry) => [entry.title, entry.description])
+    ),
+    ...data.certifications.map((item) => item.name),
+    ...data.customSections.map((section) => section.content),
+  ].join("\n");
+
+  const matched = [];
+  const missing = [];
+  for (const keyword of keywords) {
+    (mentions(text, keyword) ? matched : missing).push(keyword);
+  }
+  return { matched, missing };
+}
+
+function checkKeywords(data, topSkills) {
+  if (!topSkills?.length) return null;
+
+  const { matched, missing } = keywordCoverage(data, topSkills);
+  const covered = matched.length;
+  const max = 20;
+  return {
+    id: "keywords",
+    label: "Industry keywords",
+    score: Math.round((max * covered) / topSkills.length),
+    max,
+    messages: [
+      `Mentions ${covered} of ${topSkills.length} top skills for your industry.`,
+      ...(missing.length
+        ? [`Missing: ${missing.join(", ")}. Add the ones you actually have, in your own words.`]
+        : []),
+    ],
+  };
+}
+
+function checkBullets(data) {
+  const bullets = ["experience", "projects"].flatMap((key) =>
+    data[key].flatMap((entry) =>
+      bulletsOf(entry.description).map((text) => ({ entry, text }))
+    )
+  );
+  if (!bullets.length) return null;
+
+  const tooLong = bullets.filter(({ text }) => countWords(text) > BULLET_WORDS.max);
+  const tooShort = bullets.filter(({ text }) => countWords(text) < BULLET_WORDS.min);
+  const max = 15;
+  const good = bullets.length - tooLong.length - tooShort.length;
+
+  const describe = (list) =>
+    [...new Set(list.map(({ entry }) => entryLabel(entry)))].join("; ");
+
+  return {
+    id: "bullets",
+    label: "Bullet length",
+    score: Math.round((max * good) / bullets.length),
+    max,
+    messages: [
+      ...(tooLong.length
+        ? [`${tooLong.length} bullet(s) over ${BULLET_WORDS.max} words (${describe(tooLong)}). Split or tighten them.`]
+        : []),
+      ...(tooShort.length
+        ? [`${tooShort.length} bullet(s) under ${BULLET_WORDS.min} words (${describe(tooShort)}). Say what you did and the result.`]
+        : []),
+      ...(good === bullets.length ? ["Bullets are a readable length."] : []),
+    ],
+  };
+}
+
+function checkQuantified(data) {
+  const bullets = data.experience.flatMap((entry) => bulletsOf(entry.description));
+  if (!bullets.length) return null;
+
+  const quantified = bullets.filter((text) => /\d/.test(text)).length;
+  const share = quantified / bullets.length;
+  const max = 15;
+  return {
+    id: "quantified",
+    label: "Quantified achievements",
+    score: Math.round(max * Math.min(1, share / QUANTIFIED_TARGET)),
+    max,
+    messages: [
+      `${quantified} of ${bullets.length} experience bullet(s) include a number.`,
+      ...(share < QUANTIFIED_TARGET
+        ? ["Add metrics (%, $, time saved, users, team size) to at least half of them."]
+        : []),
+    ],
+  };
+}
+
+function checkDates(data) {
+  const entries = ["experience", "education", "projects"].flatMap((key) => data[key]);
+  if (!entries.length) return null;
+
+  const problems = [];
+  const patterns = new Set();
+
+  for (const entry of entries) {
+    const start = parseResumeDate(entry.startDate ?? "");
+    const end = entry.current ? null : parseResumeDate(entry.endDate ?? "");
+
+    if (!start) {
+      problems.push(`${entryLabel(entry)}: start date "${entry.startDate}" isn't a recognizable date.`);
+      continue;
+    }
+    patterns.add(start.pattern);
+
+    if (entry.current) continue;
+    if (!end) {
+      problems.push(`${entryLabel(entry)}: end date "${entry.endDate ?? ""}" isn't a recognizable date.`);
+      continue;
+    }
+    patterns.add(end.pattern);
+    if (end.date < start.date) {
+      problems.push(`${entryLabel(entry)}: ends before it starts.`);
+    }
+  }
+
+  if (patterns.has("yyyy") && patterns.size > 1) {
+    problems.push('Mixes year-only and month-year dates; use one format (e.g. "Jan 2020") throughout.');
+  }
+
+  const max = 10;
+  return {
+    id: "dates",
+    label: "Dates",
+    score: Math.max(0, max - problems.length * 3),
+    max,
+    messages: problems.length ? problems : ["Dates are consistent and in order."],
+  };
+}
+
+// Checks the text as rendered, so markup added by the renderers counts too.
+function checkFormatting(data) {
+  const fields = [
+    ["contact details", contactToMarkdown(data.contactInfo)],
+    ...resumeSections(data).flatMap(({ title, text, entries }) =>
+      entries
+        ? entries.map((entry) => [
+            entryLabel(entry),
+            `${entry.title} ${entry.organization ?? ""} ${entry.description ?? ""}`,
+          ])
+        : [[title.toLowerCase(), text]]
+    ),
+  ];
+
+  const emoji = fields.filter(([, value]) => EMOJI.test(value ?? "")).map(([name]) => name);
+  const html = fields.filter(([, value]) => HTML_TAG.test(value ?? "")).map(([name]) => name);
+
+  const max = 10;
+  const messages = [
+    ...(emoji.length ? [`Emoji in ${emoji.join(", ")}. Many ATS drop or garble them.`] : []),
+    ...(html.length ? [`HTML tags in ${html.join(", ")}. Use plain text.`] : []),
+  ];
+  return {
+    id: "formatting",
+    label: "Formatting hazards",
+    score: Math.max(0, max - (emoji.length + html.length) * 3),
+    max,
+    messages: messages.length ? messages : ["No emoji or HTML in your text."],
+  };
+}
+
+// ---------------------------------------------------------
+// Entry point
+// ---------------------------------------------------------
+// `topSkills` comes from the user's IndustryInsight; the keyword check is
+// skipped without it. Returns { score, checks }, where each check is
+// { id, label, score, max, status, messages }.
+export function analyzeResume(resumeData, { topSkills = [] } = {}) {
+  const data = normalizeResumeData(resumeData);
+
+  const checks = [
+    checkSections(data),
+    checkContact(data),
+    checkKeywords(data, topSkills),
+    checkBullets(data),
+    checkQuantified(data),
+    checkDates(data),
+    checkFormatting(data),
+  ]
+    .filter(Boolean)
+    .map((check) => ({ ...check, status: statusFor(check.score, check.max) }));
+
+  const earned = checks.reduce((sum, check) => sum + check.score, 0);
+  const possible = checks.reduce((sum, check) => sum + check.max, 0);
+
+  return { score: Math.round((100 * earned) / possible), checks };
+}
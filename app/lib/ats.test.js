@@ -0,0 +1,143 @@
+import { describe, expect, it } from "vitest";
+import { analyzeResume, ATS_STATUS, keywordCoverage } from "./ats";
+
+const entry = (overrides) => ({
+  title: "Software Engineer",
+  organization: "Acme",
+  startDate: "Jan 2020",
+  endDate: "Mar 2023",
+  current: false,
+  description: "",
+  ...overrides,
+});
+
+// A resume that passes every check
+const strongResume = () => ({
+  contactInfo: {
+    name: "Jane Doe",
+    email: "jane@example.com",
+    mobile: "+1 555 0100",
+    linkedin: "https://www.linkedin.com/in/janedoe",
+  },
+  summary: "Backend engineer with six years of experience building React and Node.js products.",
+  skills: "React, Node.js, PostgreSQL, C++",
+  experience: [
+    entry({
+      description: [
+        "- Built a billing service in Node.js that processes 2 million invoices every month",
+        "- Cut API latency by 40% by adding caching and rewriting the slowest database queries",
+      ].join("\n"),
+    }),
+  ],
+  education: [
+    entry({
+      title: "BSc Computer Science",
+      organization: "State University",
+      startDate: "Sep 2015",
+      endDate: "Jun 2019",
+    }),
+  ],
+});
+
+const check = (result, id) => result.checks.find((c) => c.id === id);
+
+describe("analyzeResume", () => {
+  it("scores a complete, well-formed resume 100", () => {
+    const result = analyzeResume(strongResume(), { topSkills: ["React", "Node.js"] });
+
+    expect(result.score).toBe(100);
+    expect(result.checks.map((c) => c.status)).toEqual(
+      result.checks.map(() => ATS_STATUS.PASS)
+    );
+  });
+
+  it("skips checks that don't apply to an empty resume", () => {
+    const result = analyzeResume({});
+
+    expect(result.checks.map((c) => c.id)).toEqual(["sections", "contact", "formatting"]);
+    expect(check(result, "sections").score).toBe(0);
+    expect(check(result, "contact").score).toBe(0);
+    expect(result.score).toBe(25);
+  });
+
+  it("keeps the score between 0 and 100", () => {
+    const cluttered = strongResume();
+    cluttered.summary = "🚀 <b>Rockstar</b> 🔥";
+    cluttered.skills = "💻 <i>Everything</i>";
+    cluttered.experience[0].description = "<ul><li>🎉</li></ul>";
+    cluttered.experience[0].startDate = "sometime";
+
+    for (const data of [{}, strongResume(), cluttered]) {
+      const { score, checks } = analyzeResume(data, { topSkills: ["Rust"] });
+      expect(score).toBeGreaterThanOrEqual(0);
+      expect(score).toBeLessThanOrEqual(100);
+      for (const c of checks) {
+        expect(c.score).toBeGreaterThanOrEqual(0);
+        expect(c.score).toBeLessThanOrEqual(c.max);
+      }
+    }
+    expect(check(analyzeResume(cluttered), "formatting").score).toBe(0);
+  });
+
+  it("penalizes each missing standard section", () => {
+    const data = { ...strongResume(), education: [], summary: "" };
+    const sections = check(analyzeResume(data), "sections");
+
+    expect(sections.score).toBe(9);
+    expect(sections.status).toBe(ATS_STATUS.WARN);
+    expect(sections.messages[0]).toContain("a professional summary, education");
+  });
+
+  it("penalizes missing contact fields and a non-LinkedIn URL", () => {
+    const data = strongResume();
+    data.contactInfo.mobile = "";
+    data.contactInfo.linkedin = "https://example.com/jane";
+    const contact = check(analyzeResume(data), "contact");
+
+    expect(contact.score).toBe(8);
+    expect(contact.messages).toEqual([
+      "Add your phone number.",
+      "The LinkedIn URL doesn't look like a linkedin.com profile link.",
+    ]);
+  });
+
+  it("scores keyword coverage against the industry's top skills", () => {
+    const keywords = check(
+      analyzeResume(strongResume(), { topSkills: ["React", "Kubernetes", "Go", "C++"] }),
+      "keywords"
+    );
+
+    expect(keywords.score).toBe(10);
+    expect(keywords.messages[0]).toBe("Mentions 2 of 4 top skills for your industry.");
+    expect(keywords.messages[1]).toContain("Missing: Kubernetes, Go.");
+  });
+});
+
+describe("keywordCoverage", () => {
+  it("matches whole words, case-insensitively, with symbols taken literally", () => {
+    const data = {
+      summary: "Wrote reactive UIs in react and backends in node.js.",
+      skills: "C++, Java",
+    };
+
+    expect(
+      keywordCoverage(data, ["React", "Node.js", "C++", "C#", "JavaScript", "Java"])
+    ).toEqual({
+      matched: ["React", "Node.js", "C++", "Java"],
+      missing: ["C#", "JavaScript"],
+    });
+  });
+
+  it("looks at entries, certifications and custom sections", () => {
+    const data = {
+      projects: [entry({ title: "Kubernetes operator" })],
+      certifications: [{ name: "AWS Solutions Architect" }],
+      customSections: [{ id: "talks", title: "Talks", content: "Spoke about GraphQL" }],
+    };
+
+    expect(keywordCoverage(data, ["Kubernetes", "AWS", "GraphQL", "Rust"])).toEqual({
+      matched: ["Kubernetes", "AWS", "GraphQL"],
+      missing: ["Rust"],
+    });
+  });
+});
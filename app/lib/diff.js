@@ -0,0 +1,92 @@
+// Minimal diff helpers for comparing resume text, based on the longest
+// common subsequence of two token lists. Good enough for documents of a few
+// hundred lines; not meant for large files.
+
+// Returns [{ type: "equal" | "added" | "removed", value }] turning `a` into `b`.
+export function diffSequences(a, b) {
+  const n = a.length;
+  const m = b.length;
+
+  // lcs[i][j] = length of the LCS of a[i:] and b[j:]
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      result.push({ type: "equal", value: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: "removed", value: a[i++] });
+    } else {
+      result.push({ type: "added", value: b[j++] });
+    }
+  }
+  while (i < n) result.push({ type: "removed", value: a[i++] });
+  while (j < m) result.push({ type: "added", value: b[j++] });
+
+  return result;
+}
+
+const toLines = (text) => (text ? text.split("\n") : []);
+
+export const diffLines = (before = "", after = "") =>
+  diffSequences(toLines(before), toLines(after));
+
+// Word-level diff of a paragraph; whitespace is kept as its own token so
+// joining the values gives back the text.
+const toWords = (text) => (text ? text.split(/(\s+)/).filter(Boolean) : []);
+
+export const diffWords = (before = "", after = "") =>
+  diffSequences(toWords(before), toWords(after));
+
+// Splits markdown into sections at "## " headings. Text before the first
+// heading (the contact block) is its own section.
+export function splitSections(markdown = "") {
+  const sections = [];
+  let current = { title: "Header", lines: [] };
+
+  for (const line of markdown.split("\n")) {
+    const heading = line.match(/^## (?!<div)(.+)/);
+    if (heading) {
+      sections.push(current);
+      current = { title: heading[1].trim(), lines: [line] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  sections.push(current);
+
+  return sections
+    .map(({ title, lines }) => ({ title, content: lines.join("\n").trim() }))
+    .filter((section) => section.content);
+}
+
+// Compares two documents section by section:
+// [{ title, status: "unchanged" | "changed" | "added" | "removed", lines }]
+// where `lines` is the line diff of the section.
+export function diffSections(before = "", after = "") {
+  const a = splitSections(before);
+  const b = splitSections(after);
+  const titles = [...new Set([...a, ...b].map((s) => s.title))];
+
+  return titles.map((title) => {
+    const from = a.find((s) => s.title === title)?.content;
+    const to = b.find((s) => s.title === title)?.content;
+
+    let status = "changed";
+    if (from === undefined) status = "added";
+    else if (to === undefined) status = "removed";
+    else if (from === to) status = "unchanged";
+
+    return { title, status, lines: diffLines(from ?? "", to ?? "") };
+  });
+}
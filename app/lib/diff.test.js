@@ -0,0 +1,75 @@
+import { describe, expect, it } from "vitest";
+import { diffLines, diffSections, diffWords, splitSections } from "./diff";
+
+const side = (diff, type) =>
+  diff
+    .filter((part) => part.type === "equal" || part.type === type)
+    .map((part) => part.value)
+    .join("");
+
+describe("diffWords", () => {
+  it("marks only the words that changed", () => {
+    const diff = diffWords("Led a team of five engineers", "Led a team of 12 engineers");
+
+    expect(diff.filter((part) => part.type !== "equal")).toEqual([
+      { type: "removed", value: "five" },
+      { type: "added", value: "12" },
+    ]);
+  });
+
+  it("keeps whitespace, so either side joins back to its text", () => {
+    const before = "Built  the\tAPI\nfor billing";
+    const after = "Rebuilt the API for  payments";
+    const diff = diffWords(before, after);
+
+    expect(side(diff, "removed")).toBe(before);
+    expect(side(diff, "added")).toBe(after);
+  });
+
+  it("handles empty text on either side", () => {
+    expect(diffWords("", "New text")).toEqual([
+      { type: "added", value: "New" },
+      { type: "added", value: " " },
+      { type: "added", value: "text" },
+    ]);
+    expect(diffWords("Old", "")).toEqual([{ type: "removed", value: "Old" }]);
+    expect(diffWords("", "")).toEqual([]);
+  });
+});
+
+describe("diffLines", () => {
+  it("diffs line by line", () => {
+    expect(diffLines("a\nb\nc", "a\nc\nd")).toEqual([
+      { type: "equal", value: "a" },
+      { type: "removed", value: "b" },
+      { type: "equal", value: "c" },
+      { type: "added", value: "d" },
+    ]);
+  });
+});
+
+describe("diffSections", () => {
+  const before = "# Jane Doe\n\n## Summary\n\nOld summary\n\n## Skills\n\nGo\n\n## Awards\n\nBest intern";
+  const after = "# Jane Doe\n\n## Summary\n\nNew summary\n\n## Skills\n\nGo\n\n## Projects\n\ndotfiles";
+
+  it("splits at second-level headings, keeping the contact block", () => {
+    expect(splitSections(before).map((section) => section.title)).toEqual([
+      "Header",
+      "Summary",
+      "Skills",
+      "Awards",
+    ]);
+  });
+
+  it("reports each section's status", () => {
+    expect(
+      diffSections(before, after).map(({ title, status }) => [title, status])
+    ).toEqual([
+      ["Header", "unchanged"],
+      ["Summary", "changed"],
+      ["Skills", "unchanged"],
+      ["Awards", "removed"],
+      ["Projects", "added"],
+    ]);
+  });
+});
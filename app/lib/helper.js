@@ -6,10 +6,13 @@ export function entriesToMarkdown(entries, type) {
     `## ${type}\n\n` +
     entries
       .map((entry) => {
-        const dateRange = entry.current
-          ? `${entry.startDate} - Present`
-          : `${entry.startDate} - ${entry.endDate}`;
-        return `### ${entry.title} @ ${entry.organization}\n${dateRange}\n\n${entry.description}`;
+        const dateRange = [entry.startDate, entry.current ? "Present" : entry.endDate]
+          .filter(Boolean)
+          .join(" - ");
+        const heading = [entry.title, entry.organization].filter(Boolean).join(" @ ");
+        return [`### ${heading}${dateRange ? `\n${dateRange}` : ""}`, entry.description]
+          .filter((part) => part?.trim())
+          .join("\n\n");
       })
       .join("\n\n")
   );
@@ -0,0 +1,548 @@
+import { z } from "zod";
+import { format, isValid, parse } from "date-fns";
+import { emptyResumeData } from "./resume";
+
+// Conversion between the builder's resume data (resumeSchema) and the open
+// JSON Resume format (https://jsonresume.org/schema). Both directions return
+// the converted value plus `unmapped`: paths of fields that had no place in
+// the target format, so the UI can tell the user what was left out.
+
+export const JSON_RESUME_SCHEMA_URL =
+  "https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json";
+
+// Only the parts we read are checked; anything else passes through and is
+// reported as unmapped.
+const dateString = z.string().optional();
+const stringList = z.array(z.string()).optional();
+
+export const jsonResumeSchema = z
+  .object({
+    basics: z
+      .object({
+        name: z.string().optional(),
+        email: z.string().optional(),
+        phone: z.string().optional(),
+        summary: z.string().optional(),
+        profiles: z
+          .array(
+            z
+              .object({
+                network: z.string().optional(),
+                username: z.string().optional(),
+                url: z.string().optional(),
+              })
+              .passthrough()
+          )
+          .optional(),
+      })
+      .passthrough()
+      .optional(),
+    work: z
+      .array(
+        z
+          .object({
+            name: z.string().optional(),
+            position: z.string().optional(),
+            startDate: dateString,
+            endDate: dateString,
+            summary: z.string().optional(),
+            highlights: stringList,
+          })
+          .passthrough()
+      )
+      .optional(),
+    education: z
+      .array(
+        z
+          .object({
+            institution: z.string().optional(),
+            area: z.string().optional(),
+            studyType: z.string().optional(),
+            startDate: dateString,
+            endDate: dateString,
+          })
+          .passthrough()
+      )
+      .optional(),
+    projects: z
+      .array(
+        z
+          .object({
+            name: z.string().optional(),
+            entity: z.string().optional(),
+            description: z.string().optional(),
+            highlights: stringList,
+            startDate: dateString,
+            endDate: dateString,
+          })
+          .passthrough()
+      )
+      .optional(),
+    skills: z
+      .array(
+        z
+          .object({
+            name: z.string().optional(),
+            keywords: stringList,
+          })
+          .passthrough()
+      )
+      .optional(),
+    volunteer: z
+      .array(
+        z
+          .object({
+            organization: z.string().optional(),
+            position: z.string().optional(),
+            startDate: dateString,
+            endDate: dateString,
+            summary: z.string().optional(),
+            highlights: stringList,
+          })
+          .passthrough()
+      )
+      .optional(),
+    certificates: z
+      .array(
+        z
+          .object({
+            name: z.string().optional(),
+            issuer: z.string().optional(),
+            date: dateString,
+            url: z.string().optional(),
+          })
+          .passthrough()
+      )
+      .optional(),
+    languages: z
+      .array(
+        z
+          .object({
+            language: z.string().optional(),
+            fluency: z.string().optional(),
+          })
+          .passthrough()
+      )
+      .optional(),
+    awards: z
+      .array(
+        z
+          .object({
+            title: z.string().optional(),
+            awarder: z.string().optional(),
+            date: dateString,
+            summary: z.string().optional(),
+          })
+          .passthrough()
+      )
+      .optional(),
+    publications: z
+      .array(
+        z
+          .object({
+            name: z.string().optional(),
+            publisher: z.string().optional(),
+            releaseDate: dateString,
+            url: z.string().optional(),
+            summary: z.string().optional(),
+          })
+          .passthrough()
+      )
+      .optional(),
+  })
+  .passthrough();
+
+const MAPPED = {
+  root: [
+    "$schema",
+    "basics",
+    "work",
+    "education",
+    "projects",
+    "skills",
+    "volunteer",
+    "certificates",
+    "languages",
+    "awards",
+    "publications",
+    "meta",
+  ],
+  basics: ["name", "email", "phone", "summary", "profiles"],
+  work: ["name", "position", "startDate", "endDate", "summary", "highlights"],
+  education: ["institution", "area", "studyType", "startDate", "endDate"],
+  projects: ["name", "entity", "description", "highlights", "startDate", "endDate"],
+  skills: ["name", "keywords"],
+  volunteer: ["organization", "position", "startDate", "endDate", "summary", "highlights"],
+  certificates: ["name", "issuer", "date", "url"],
+  languages: ["language", "fluency"],
+  awards: ["title", "awarder", "date", "summary"],
+  publications: ["name", "publisher", "releaseDate", "url", "summary"],
+};
+
+const unmappedKeys = (object, mapped, prefix) =>
+  Object.keys(object ?? {})
+    .filter((key) => !mapped.includes(key))
+    .map((key) => (prefix ? `${prefix}.${key}` : key));
+
+// ---------------------------------------------------------
+// Dates
+// ---------------------------------------------------------
+// JSON Resume uses ISO 8601 (YYYY-MM-DD, YYYY-MM or YYYY); the builder
+// stores "MMM yyyy". Years on their own are kept as is.
+export function isoToDisplayDate(value) {
+  if (!value) return "";
+  if (/^\d{4}$/.test(value)) return value;
+  const match = value.match(/^(\d{4})-(\d{2})(?:-\d{2})?$/);
+  if (!match) return null;
+  return format(new Date(Number(match[1]), Number(match[2]) - 1), "MMM yyyy");
+}
+
+export function displayToIsoDate(value) {
+  if (!value) return "";
+  if (/^\d{4}$/.test(value)) return value;
+  const date = parse(value, "MMM yyyy", new Date());
+  return isValid(date) ? format(date, "yyyy-MM") : null;
+}
+
+// ---------------------------------------------------------
+// Descriptions
+// ---------------------------------------------------------
+const BULLET = /^\s*[-•*]\s+/;
+
+const joinDescription = (summary, highlights) =>
+  [summary?.trim(), ...(highlights ?? []).map((h) => `- ${h.trim()}`)]
+    .filter(Boolean)
+    .join("\n");
+
+const splitDescription = (description = "") => {
+  const lines = description.split("\n");
+  return {
+    summary: lines.filter((l) => !BULLET.test(l)).join("\n").trim(),
+    highlights: lines.filter((l) => BULLET.test(l)).map((l) => l.replace(BULLET, "").trim()),
+  };
+};
+
+// ---------------------------------------------------------
+// Import
+// ---------------------------------------------------------
+const PROFILE_FIELDS = {
+  linkedin: "linkedin",
+  twitter: "twitter",
+  x: "twitter",
+};
+
+// Parses and validates a JSON Resume document (string or object).
+// Returns { data, unmapped } or throws with a readable message.
+export function fromJsonResume(input) {
+  let json = input;
+  if (typeof input === "string") {
+    try {
+      json = JSON.parse(input);
+    } catch (error) {
+      throw new Error(`Not a valid JSON file: ${error.message}`);
+    }
+  }
+
+  const result = jsonResumeSchema.safeParse(json);
+  if (!result.success) {
+    const issue = result.error.issues[0];
+    throw new Error(
+      `Not a valid JSON Resume: ${issue.path.join(".") || "(root)"}: ${issue.message}`
+    );
+  }
+
+  const {
+    basics = {},
+    work = [],
+    education = [],
+    projects = [],
+    skills = [],
+    volunteer = [],
+    certificates = [],
+    languages = [],
+    awards = [],
+    publications = [],
+  } = result.data;
+  const data = emptyResumeData();
+  const unmapped = [
+    ...unmappedKeys(result.data, MAPPED.root),
+    ...unmappedKeys(basics, MAPPED.basics, "basics"),
+  ];
+
+  data.contactInfo.name = basics.name ?? "";
+  data.contactInfo.email = basics.email ?? "";
+  data.contactInfo.mobile = basics.phone ?? "";
+  data.summary = basics.summary ?? "";
+
+  (basics.profiles ?? []).forEach((profile, i) => {
+    const field = PROFILE_FIELDS[profile.network?.toLowerCase()];
+    if (field && profile.url && !data.contactInfo[field]) {
+      data.contactInfo[field] = profile.url;
+    } else {
+      unmapped.push(`basics.profiles[${i}]${profile.network ? ` (${profile.network})` : ""}`);
+    }
+  });
+
+  const toEntry = (item, path, { title, organization, description }) => {
+    unmapped.push(...unmappedKeys(item, MAPPED[path.split("[")[0]], path));
+
+    const startDate = isoToDisplayDate(item.startDate);
+    const endDate = isoToDisplayDate(item.endDate);
+    if (startDate === null) unmapped.push(`${path}.startDate ("${item.startDate}")`);
+    if (endDate === null) unmapped.push(`${path}.endDate ("${item.endDate}")`);
+
+    return {
+      title: title ?? "",
+      organization: organization ?? "",
+      startDate: startDate ?? "",
+      endDate: endDate ?? "",
+      // JSON Resume leaves endDate out for ongoing positions
+      current: !item.endDate,
+      description,
+    };
+  };
+
+  data.experience = work.map((item, i) =>
+    toEntry(item, `work[${i}]`, {
+      title: item.position,
+      organization: item.name,
+      description: joinDescription(item.summary, item.highlights),
+    })
+  );
+
+  data.education = education.map((item, i) =>
+    toEntry(item, `education[${i}]`, {
+      title: [item.studyType, item.area].filter(Boolean).join(" in "),
+      organization: item.institution,
+      description: "",
+    })
+  );
+
+  data.projects = projects.map((item, i) =>
+    toEntry(item, `projects[${i}]`, {
+      title: item.name,
+      organization: item.entity,
+      description: joinDescription(item.description, item.highlights),
+    })
+  );
+
+  data.volunteer = volunteer.map((item, i) =>
+    toEntry(item, `volunteer[${i}]`, {
+      title: item.position,
+      organization: item.organization,
+      description: joinDescription(item.summary, item.highlights),
+    })
+  );
+
+  // Single dates (certificates, awards, publications)
+  const toDate = (value, path) => {
+    const date = isoToDisplayDate(value);
+    if (date === null) unmapped.push(`${path} ("${value}")`);
+    return date ?? "";
+  };
+
+  data.certifications = certificates.map((item, i) => {
+    unmapped.push(...unmappedKeys(item, MAPPED.certificates, `certificates[${i}]`));
+    return {
+      name: item.name ?? "",
+      issuer: item.issuer ?? "",
+      date: toDate(item.date, `certificates[${i}].date`),
+      url: item.url ?? "",
+    };
+  });
+
+  data.languages = languages.map((item, i) => {
+    unmapped.push(...unmappedKeys(item, MAPPED.languages, `languages[${i}]`));
+    return { language: item.language ?? "", proficiency: item.fluency ?? "" };
+  });
+
+  data.awards = awards.map((item, i) => {
+    unmapped.push(...unmappedKeys(item, MAPPED.awards, `awards[${i}]`));
+    return {
+      title: item.title ?? "",
+      issuer: item.awarder ?? "",
+      date: toDate(item.date, `awards[${i}].date`),
+      description: item.summary ?? "",
+    };
+  });
+
+  data.publications = publications.map((item, i) => {
+    unmapped.push(...unmappedKeys(item, MAPPED.publications, `publications[${i}]`));
+    return {
+      title: item.name ?? "",
+      publisher: item.publisher ?? "",
+      date: toDate(item.releaseDate, `publications[${i}].releaseDate`),
+      url: item.url ?? "",
+      description: item.summary ?? "",
+    };
+  });
+
+  skills.forEach((skill, i) =>
+    unmapped.push(...unmappedKeys(skill, MAPPED.skills, `skills[${i}]`))
+  );
+  data.skills = skills
+    .filter((skill) => skill.name || skill.keywords?.length)
+    .map((skill) =>
+      skill.keywords?.length
+        ? `${skill.name ? `${skill.name}: ` : ""}${skill.keywords.join(", ")}`
+        : skill.name
+    )
+    .join("\n");
+
+  return { data, unmapped };
+}
+
+// ---------------------------------------------------------
+// Export
+// ---------------------------------------------------------
+const SKILL_GROUP = /^([^:,]+):\s*(.+)$/;
+
+const skillsToJsonResume = (skills = "") =>
+  skills
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const group = line.match(SKILL_GROUP);
+      if (group) {
+        return {
+          name: group[1].trim(),
+          keywords: group[2].split(",").map((k) => k.trim()).filter(Boolean),
+        };
+      }
+      return line.includes(",")
+        ? { keywords: line.split(",").map((k) => k.trim()).filter(Boolean) }
+        : { name: line };
+    });
+
+// Builds a JSON Resume document from resume data. Returns { json, unmapped }.
+export function toJsonResume(data) {
+  const {
+    contactInfo = {},
+    summary,
+    skills,
+    experience = [],
+    education = [],
+    projects = [],
+    volunteer = [],
+    certifications = [],
+    languages = [],
+    awards = [],
+    publications = [],
+    customSections = [],
+  } = data;
+  const unmapped = customSections.map(
+    (section, i) => `customSections[${i}] (${section.title})`
+  );
+
+  const isoDate = (value, path) => {
+    const date = displayToIsoDate(value);
+    if (date === null) unmapped.push(`${path} ("${value}")`);
+    return date;
+  };
+
+  const dates = (entry, path) => {
+    const startDate = displayToIsoDate(entry.startDate);
+    const endDate = entry.current ? "" : displayToIsoDate(entry.endDate);
+    if (startDate === null) unmapped.push(`${path}.startDate ("${entry.startDate}")`);
+    if (endDate === null) unmapped.push(`${path}.endDate ("${entry.endDate}")`);
+    return {
+      ...(startDate && { startDate }),
+      ...(endDate && { endDate }),
+    };
+  };
+
+  const profiles = [
+    contactInfo.linkedin && { network: "LinkedIn", url: contactInfo.linkedin },
+    contactInfo.twitter && { network: "Twitter", url: contactInfo.twitter },
+  ].filter(Boolean);
+
+  const json = {
+    $schema: JSON_RESUME_SCHEMA_URL,
+    basics: {
+      ...(contactInfo.name && { name: contactInfo.name }),
+      ...(contactInfo.email && { email: contactInfo.email }),
+      ...(contactInfo.mobile && { phone: contactInfo.mobile }),
+      ...(summary && { summary }),
+      ...(profiles.length && { profiles }),
+    },
+    work: experience.map((entry, i) => {
+      const { summary: text, highlights } = splitDescription(entry.description);
+      return {
+        name: entry.organization,
+        position: entry.title,
+        ...dates(entry, `experience[${i}]`),
+        ...(text && { summary: text }),
+        ...(highlights.length && { highlights }),
+      };
+    }),
+    education: education.map((entry, i) => {
+      const [studyType, area] = entry.title.includes(" in ")
+        ? entry.title.split(/ in (.+)/)
+        : [undefined, entry.title];
+      if (entry.description?.trim()) unmapped.push(`education[${i}].description`);
+      return {
+        institution: entry.organization,
+        ...(area && { area }),
+        ...(studyType && { studyType }),
+        ...dates(entry, `education[${i}]`),
+      };
+    }),
+    projects: projects.map((entry, i) => {
+      const { summary: text, highlights } = splitDescription(entry.description);
+      return {
+        name: entry.title,
+        ...(entry.organization && { entity: entry.organization }),
+        ...(text && { description: text }),
+        ...(highlights.length && { highlights }),
+        ...dates(entry, `projects[${i}]`),
+      };
+    }),
+    skills: skillsToJsonResume(skills),
+    volunteer: volunteer.map((entry, i) => {
+      const { summary: text, highlights } = splitDescription(entry.description);
+      return {
+        organization: entry.organization,
+        position: entry.title,
+        ...dates(entry, `volunteer[${i}]`),
+        ...(text && { summary: text }),
+        ...(highlights.length && { highlights }),
+      };
+    }),
+    certificates: certifications.map((item, i) => {
+      const date = isoDate(item.date, `certifications[${i}].date`);
+      return {
+        name: item.name,
+        ...(item.issuer && { issuer: item.issuer }),
+        ...(date && { date }),
+        ...(item.url && { url: item.url }),
+      };
+    }),
+    languages: languages.map((item) => ({
+      language: item.language,
+      ...(item.proficiency && { fluency: item.proficiency }),
+    })),
+    awards: awards.map((item, i) => {
+      const date = isoDate(item.date, `awards[${i}].date`);
+      return {
+        title: item.title,
+        ...(item.issuer && { awarder: item.issuer }),
+        ...(date && { date }),
+        ...(item.description && { summary: item.description }),
+      };
+    }),
+    publications: publications.map((item, i) => {
+      const releaseDate = isoDate(item.date, `publications[${i}].date`);
+      return {
+        name: item.title,
+        ...(item.publisher && { publisher: item.publisher }),
+        ...(releaseDate && { releaseDate }),
+        ...(item.url && { url: item.url }),
+        ...(item.description && { summary: item.description }),
+      };
+    }),
+    meta: { lastModified: new Date().toISOString() },
+  };
+
+  return { json, unmapped };
+}
@@ -0,0 +1,146 @@
+import { describe, expect, it } from "vitest";
+import {
+  displayToIsoDate,
+  fromJsonResume,
+  isoToDisplayDate,
+  toJsonResume,
+} from "./json-resume";
+import { emptyResumeData } from "./resume";
+
+const resume = () => ({
+  ...emptyResumeData(),
+  contactInfo: {
+    name: "Jane Doe",
+    email: "jane@example.com",
+    mobile: "+1 555 0100",
+    linkedin: "https://www.linkedin.com/in/janedoe",
+    twitter: "https://x.com/janedoe",
+  },
+  summary: "Backend engineer who likes boring technology.",
+  skills: "Languages: Go, Rust\nDocker\nReact, Vue",
+  experience: [
+    {
+      title: "Staff Engineer",
+      organization: "Acme",
+      startDate: "Mar 2022",
+      endDate: "",
+      current: true,
+      description: "Leads the platform team.\n- Cut deploy time by 60%\n- Mentored 4 engineers",
+    },
+    {
+      title: "Engineer",
+      organization: "Initech",
+      startDate: "2018",
+      endDate: "2022",
+      current: false,
+      description: "- Built the billing service",
+    },
+  ],
+  education: [
+    {
+      title: "BSc in Computer Science",
+      organization: "State University",
+      startDate: "Sep 2014",
+      endDate: "Jun 2018",
+      current: false,
+      description: "",
+    },
+  ],
+  projects: [
+    {
+      title: "dotfiles",
+      organization: "",
+      startDate: "2020",
+      endDate: "",
+      current: true,
+      description: "- 200 stars on GitHub",
+    },
+  ],
+  volunteer: [
+    {
+      title: "Mentor",
+      organization: "Code Club",
+      startDate: "Jan 2019",
+      endDate: "Dec 2020",
+      current: false,
+      description: "Taught kids to code.",
+    },
+  ],
+  certifications: [
+    { name: "CKA", issuer: "CNCF", date: "Nov 2021", url: "https://cncf.io/cka" },
+  ],
+  languages: [{ language: "Spanish", proficiency: "Professional" }],
+  awards: [{ title: "Hackathon winner", issuer: "Acme", date: "2019", description: "" }],
+  publications: [
+    {
+      title: "Boring Tech",
+      publisher: "Blog",
+      date: "Feb 2023",
+      url: "https://example.com/boring",
+      description: "Why we chose Postgres.",
+    },
+  ],
+  customSections: [{ id: "talks", title: "Talks", content: "Spoke at GopherCon" }],
+});
+
+describe("JSON Resume round trip", () => {
+  it("keeps current roles, year-only dates and every mapped field", () => {
+    const original = resume();
+    const { json, unmapped } = toJsonResume(original);
+    const { data, unmapped: unmappedOnImport } = fromJsonResume(JSON.stringify(json));
+
+    expect(data).toEqual({
+      ...original,
+      customSections: [],
+      sectionOrder: emptyResumeData().sectionOrder,
+    });
+    expect(unmappedOnImport).toEqual([]);
+    expect(unmapped).toEqual(["customSections[0] (Talks)"]);
+  });
+
+  it("exports current roles without an end date and year-only dates as years", () => {
+    const { json } = toJsonResume(resume());
+
+    expect(json.work[0]).toMatchObject({ startDate: "2022-03" });
+    expect(json.work[0]).not.toHaveProperty("endDate");
+    expect(json.work[1]).toMatchObject({ startDate: "2018", endDate: "2022" });
+    expect(json.awards[0].date).toBe("2019");
+  });
+
+  it("reports dates it can't convert instead of guessing", () => {
+    const data = resume();
+    data.experience[1].startDate = "Summer 2018";
+
+    const { json, unmapped } = toJsonResume(data);
+    expect(json.work[1]).not.toHaveProperty("startDate");
+    expect(unmapped).toContain('experience[1].startDate ("Summer 2018")');
+  });
+});
+
+describe("date conversion", () => {
+  it.each([
+    ["2021-06-15", "Jun 2021"],
+    ["2021-06", "Jun 2021"],
+    ["2021", "2021"],
+    ["", ""],
+    ["June 2021", null],
+  ])("isoToDisplayDate(%j) is %j", (iso, display) => {
+    expect(isoToDisplayDate(iso)).toBe(display);
+  });
+
+  it.each([
+    ["Jun 2021", "2021-06"],
+    ["2021", "2021"],
+    ["", ""],
+    ["Summer 2021", null],
+  ])("displayToIsoDate(%j) is %j", (display, iso) => {
+    expect(displayToIsoDate(display)).toBe(iso);
+  });
+
+  it("round-trips every month", () => {
+    for (let month = 1; month <= 12; month++) {
+      const iso = `2020-${String(month).padStart(2, "0")}`;
+      expect(displayToIsoDate(isoToDisplayDate(iso))).toBe(iso);
+    }
+  });
+});
@@ -0,0 +1,262 @@
+import { normalizeResumeData, resumeSections } from "./resume";
+
+// Plain-text and LaTeX renderings of the structured resume data, built in
+// the browser from the same data as the markdown preview.
+
+const EMOJI = /[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\u{FE0F}\u{200D}\u{20E3}]/gu;
+
+const stripEmoji = (text = "") => text.replace(EMOJI, "").replace(/[ \t]{2,}/g, " ").trim();
+
+const dateRange = (entry) =>
+  [entry.startDate, entry.current ? "Present" : entry.endDate].filter(Boolean).join(" - ");
+
+// Splits free text (summary, skills, descriptions) into lines, marking
+// bullets whatever character the user typed them with.
+const textLines = (text = "") =>
+  stripEmoji(text)
+    .replace(/<\/?[a-z][^>]*>/gi, "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const bullet = line.match(/^(?:[-*]\s+|[•●▪◦‣·]\s*)(.*)/);
+      return bullet ? { bullet: true, text: bullet[1] } : { bullet: false, text: line };
+    });
+
+// Underscores only emphasize at word boundaries, as in CommonMark, so
+// names like snake_case_name keep theirs.
+const INLINE =
+  /(\*\*[^*]+\*\*|(?<!\w)__[^_]+__(?!\w)|\[[^\]]+\]\([^)\s]+\)|\*[^*\s][^*]*\*|(?<!\w)_[^_\s][^_]*_(?!\w))/;
+
+// Maps the inline markdown in `text` (bold, italic, links) with the given
+// renderers; everything else goes through `plain`.
+const mapInline = (text, { plain, bold, italic, link }) =>
+  text
+    .split(INLINE)
+    .filter(Boolean)
+    .map((part) => {
+      const linkMatch = part.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+      if (linkMatch) return link(linkMatch[1], linkMatch[2]);
+      const boldMatch = part.match(/^(?:\*\*|__)(.+)(?:\*\*|__)$/);
+      if (boldMatch) return bold(boldMatch[1]);
+      const italicMatch = part.match(/^[*_](.+)[*_]$/);
+      if (italicMatch) return italic(italicMatch[1]);
+      return plain(part);
+    })
+    .join("");
+
+// ---------------------------------------------------------
+// Plain text
+// ---------------------------------------------------------
+// ASCII punctuation only, so nothing turns into "?" when pasted into an
+// application form.
+const asciiPunctuation = (text) =>
+  text
+    .replace(/[‘’‚′]/g, "'")
+    .replace(/[“”„″]/g, '"')
+    .replace(/[–—−]/g, "-")
+    .replace(/…/g, "...")
+    .replace(/[\u00A0\u2007\u202F]/g, " ");
+
+const plainInline = (text) =>
+  asciiPunctuation(
+    mapInline(text, {
+      plain: (part) => part,
+      bold: (part) => part,
+      italic: (part) => part,
+      link: (label, url) => (label === url ? url : `${label} (${url})`),
+    })
+  );
+
+const plainBlock = (text) =>
+  textLines(text)
+    .map((line) => `${line.bullet ? "- " : ""}${plainInline(line.text)}`)
+    .join("\n");
+
+// Uppercase section headings, one blank line between sections and
+// entries, "- " bullets, no markup.
+export function resumeToPlainText(resumeData) {
+  const { contactInfo } = normalizeResumeData(resumeData);
+  const contact = [contactInfo.email, contactInfo.mobile, contactInfo.linkedin, contactInfo.twitter]
+    .map((part) => plainInline(stripEmoji(part)))
+    .filter(Boolean);
+
+  const section = (title, body) => body && `${title.toUpperCase()}\n${body}`;
+
+  const entry = (item) =>
+    [
+      plainInline([item.title, item.organization].filter(Boolean).join(", ")),
+      dateRange(item),
+      plainBlock(item.description),
+    ]
+      .filter(Boolean)
+      .join("\n");
+
+  return `${[
+    [plainInline(stripEmoji(contactInfo.name)), contact.join(" | ")].filter(Boolean).join("\n"),
+    ...resumeSections(resumeData).map(({ title, text, entries }) =>
+      section(title, entries ? entries.map(entry).join("\n\n") : plainBlock(text))
+    ),
+  ]
+    .filter(Boolean)
+    .join("\n\n")}\n`;
+}
+
+// ---------------------------------------------------------
+// LaTeX
+// ---------------------------------------------------------
+const LATEX_SPECIALS = {
+  "\\": "\\textbackslash{}",
+  "&": "\\&",
+  "%": "\\%",
+  $: "\\$",
+  "#": "\\#",
+  _: "\\_",
+  "{": "\\{",
+  "}": "\\}",
+  "~": "\\textasciitilde{}",
+  "^": "\\textasciicircum{}",
+};
+
+const escapeLatex = (text = "") =>
+  text.replace(EMOJI, "").replace(/[\\&%$#_{}~^]/g, (char) => LATEX_SPECIALS[char]);
+
+// hyperref reads URLs verbatim except for these.
+const escapeUrl = (url = "") => url.replace(/[\\{}\s]/g, "").replace(/[%#]/g, "\\$&");
+
+const latexInline = (text) =>
+  mapInline(text, {
+    plain: escapeLatex,
+    bold: (part) => `\\textbf{${escapeLatex(part)}}`,
+    italic: (part) => `\\textit{${escapeLatex(part)}}`,
+    link: (label, url) => `\\href{${escapeUrl(url)}}{${escapeLatex(label)}}`,
+  });
+
+// Jake's Resume (github.com/jakegut/resume, MIT), trimmed to the commands
+// used below. \pdfgentounicode keeps the compiled PDF's text extractable.
+const LATEX_PREAMBLE = String.raw`\documentclass[letterpaper,11pt]{article}
+
+\usepackage{latexsym}
+\usepackage[empty]{fullpage}
+\usepackage{titlesec}
+\usepackage[usenames,dvipsnames]{color}
+\usepackage{enumitem}
+\usepackage[hidelinks]{hyperref}
+\usepackage{fancyhdr}
+\usepackage[english]{babel}
+\usepackage{tabularx}
+\usepackage[T1]{fontenc}
+\usepackage[utf8]{inputenc}
+\input{glyphtounicode}
+
+\pagestyle{fancy}
+\fancyhf{}
+\fancyfoot{}
+\renewcommand{\headrulewidth}{0pt}
+\renewcommand{\footrulewidth}{0pt}
+
+\addtolength{\oddsidemargin}{-0.5in}
+\addtolength{\evensidemargin}{-0.5in}
+\addtolength{\textwidth}{1in}
+\addtolength{\topmargin}{-.5in}
+\addtolength{\textheight}{1.0in}
+
+\urlstyle{same}
+\raggedbottom
+\raggedright
+\setlength{\tabcolsep}{0in}
+
+\titleformat{\section}{
+  \vspace{-4pt}\scshape\raggedright\large
+}{}{0em}{}[\color{black}\titlerule \vspace{-5pt}]
+
+\pdfgentounicode=1
+
+\newcommand{\resumeItem}[1]{\item\small{#1 \vspace{-2pt}}}
+\newcommand{\resumeText}[1]{\item[]\small{#1 \vspace{-2pt}}}
+
+\newcommand{\resumeSubheading}[3]{
+  \vspace{-2pt}\item
+    \begin{tabular*}{0.97\textwidth}[t]{l@{\extracolsep{\fill}}r}
+      \textbf{#1} & #2 \\
+      \textit{\small#3} & \\
+    \end{tabular*}\vspace{-7pt}
+}
+
+\newcommand{\resumeHeading}[2]{
+  \vspace{-2pt}\item
+    \begin{tabular*}{0.97\textwidth}[t]{l@{\extracolsep{\fill}}r}
+      \textbf{#1} & #2 \\
+    \end{tabular*}\vspace{-7pt}
+}
+
+\renewcommand\labelitemii{$\vcenter{\hbox{\tiny$\bullet$}}$}
+\newcommand{\resumeSubHeadingListStart}{\begin{itemize}[leftmargin=0.15in, label={}]}
+\newcommand{\resumeSubHeadingListEnd}{\end{itemize}}
+\newcommand{\resumeItemListStart}{\begin{itemize}}
+\newcommand{\resumeItemListEnd}{\end{itemize}\vspace{-5pt}}`;
+
+const latexHeader = (contactInfo) => {
+  const parts = [
+    contactInfo.mobile && escapeLatex(contactInfo.mobile),
+    contactInfo.email &&
+      `\\href{mailto:${escapeUrl(contactInfo.email)}}{\\underline{${escapeLatex(contactInfo.email)}}}`,
+    contactInfo.linkedin && `\\href{${escapeUrl(contactInfo.linkedin)}}{\\underline{LinkedIn}}`,
+    contactInfo.twitter && `\\href{${escapeUrl(contactInfo.twitter)}}{\\underline{Twitter}}`,
+  ].filter(Boolean);
+
+  return [
+    "\\begin{center}",
+    contactInfo.name && `  \\textbf{\\Huge \\scshape ${escapeLatex(stripEmoji(contactInfo.name))}} \\\\ \\vspace{1pt}`,
+    parts.length > 0 && `  \\small ${parts.join(" $|$ ")}`,
+    "\\end{center}",
+  ]
+    .filter(Boolean)
+    .join("\n");
+};
+
+// Paragraph text (summary, skills) with one line per source line.
+const latexParagraph = (text) =>
+  textLines(text)
+    .map((line) => `${line.bullet ? "\\textbullet\\ " : ""}${latexInline(line.text)}`)
+    .join(" \\\\\n");
+
+const latexEntry = (item) => {
+  const title = latexInline(item.title);
+  const dates = escapeLatex(dateRange(item));
+  const lines = textLines(item.description);
+
+  return [
+    item.organization
+      ? `  \\resumeSubheading{${title}}{${dates}}{${latexInline(item.organization)}}`
+      : `  \\resumeHeading{${title}}{${dates}}`,
+    // An itemize without items does not compile
+    lines.length > 0 && "  \\resumeItemListStart",
+    ...lines.map(
+      (line) =>
+        `    \\${line.bullet ? "resumeItem" : "resumeText"}{${latexInline(line.text)}}`
+    ),
+    lines.length > 0 && "  \\resumeItemListEnd",
+  ]
+    .filter(Boolean)
+    .join("\n");
+};
+
+// A complete .tex document (pdflatex) in the style of Jake's Resume.
+export function resumeToLatex(resumeData) {
+  const body = [
+    latexHeader(normalizeResumeData(resumeData).contactInfo),
+    ...resumeSections(resumeData).map(({ title, text, entries }) =>
+      entries
+        ? [
+            `\\section{${escapeLatex(title)}}`,
+            "\\resumeSubHeadingListStart",
+            ...entries.map(latexEntry),
+            "\\resumeSubHeadingListEnd",
+          ].join("\n")
+        : `\\section{${escapeLatex(title)}}\n\\small{${latexParagraph(text)}}`
+    ),
+  ];
+
+  return `${LATEX_PREAMBLE}\n\n\\begin{document}\n\n${body.join("\n\n")}\n\n\\end{document}\n`;
+}
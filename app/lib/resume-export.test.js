@@ -0,0 +1,135 @@
+import { describe, expect, it } from "vitest";
+import { resumeToLatex, resumeToPlainText } from "./resume-export";
+
+const entry = (overrides) => ({
+  title: "Engineer",
+  organization: "Acme",
+  startDate: "Jan 2020",
+  endDate: "Dec 2021",
+  current: false,
+  description: "",
+  ...overrides,
+});
+
+// The document body, without the preamble's own commands
+const latexBody = (data) => resumeToLatex(data).split("\\begin{document}")[1];
+
+// Braces that aren't escaped must pair up, or pdflatex stops
+const bracesBalance = (tex) => {
+  let depth = 0;
+  for (const char of tex.replace(/\\[{}]/g, "")) {
+    if (char === "{") depth++;
+    if (char === "}" && --depth < 0) return false;
+  }
+  return depth === 0;
+};
+
+describe("resumeToLatex", () => {
+  it("escapes LaTeX specials in section text", () => {
+    const tex = latexBody({
+      customSections: [{ id: "hobbies", title: "Hobbies", content: "Chess_* {}" }],
+    });
+
+    expect(tex).toContain("\\section{Hobbies}\n\\small{Chess\\_* \\{\\}}");
+    expect(bracesBalance(tex)).toBe(true);
+  });
+
+  it("escapes every special character in user text", () => {
+    const tex = latexBody({ summary: "R&D 100% $5M #1 C_x {a} ~ ^ \\o/" });
+
+    expect(tex).toContain(
+      "R\\&D 100\\% \\$5M \\#1 C\\_x \\{a\\} \\textasciitilde{} \\textasciicircum{} \\textbackslash{}o/"
+    );
+    expect(bracesBalance(tex)).toBe(true);
+  });
+
+  it("keeps underscores inside words and renders markdown emphasis and links", () => {
+    const tex = latexBody({
+      summary: "Wrote snake_case_name, **bold**, _italic_ and [docs](https://x.com/a%20b#top)",
+    });
+
+    expect(tex).toContain(
+      "Wrote snake\\_case\\_name, \\textbf{bold}, \\textit{italic} and \\href{https://x.com/a\\%20b\\#top}{docs}"
+    );
+  });
+
+  it("escapes entries and their bullets", () => {
+    const tex = latexBody({
+      experience: [
+        entry({
+          title: "R&D Engineer",
+          organization: "Smith & Sons",
+          current: true,
+          description: "Platform team.\n- Cut costs by 30%\n• Owned $2M budget",
+        }),
+        entry({ organization: "", description: "" }),
+      ],
+    });
+
+    expect(tex).toContain("\\resumeSubheading{R\\&D Engineer}{Jan 2020 - Present}{Smith \\& Sons}");
+    expect(tex).toContain("\\resumeText{Platform team.}");
+    expect(tex).toContain("\\resumeItem{Cut costs by 30\\%}");
+    expect(tex).toContain("\\resumeItem{Owned \\$2M budget}");
+    // No empty itemize for an entry without a description
+    expect(tex).toContain("\\resumeHeading{Engineer}{Jan 2020 - Dec 2021}\n\\resumeSubHeadingListEnd");
+    expect(bracesBalance(tex)).toBe(true);
+  });
+
+  it("drops emoji and escapes the contact block", () => {
+    const tex = latexBody({
+      contactInfo: {
+        name: "Jane 🚀 Doe",
+        email: "jane_doe@example.com",
+        mobile: "+1 555 0100",
+      },
+    });
+
+    expect(tex).toContain("\\scshape Jane Doe}");
+    expect(tex).toContain(
+      "+1 555 0100 $|$ \\href{mailto:jane_doe@example.com}{\\underline{jane\\_doe@example.com}}"
+    );
+  });
+
+  it("is a complete document", () => {
+    const tex = resumeToLatex({});
+    expect(tex.startsWith("\\documentclass")).toBe(true);
+    expect(tex.trimEnd().endsWith("\\end{document}")).toBe(true);
+  });
+});
+
+describe("resumeToPlainText", () => {
+  it("writes uppercase headings, dash bullets and no markup", () => {
+    const text = resumeToPlainText({
+      contactInfo: { name: "Jane Doe", email: "jane@example.com", mobile: "555 0100" },
+      summary: "**Backend** engineer, see [my blog](https://example.com)",
+      experience: [
+        entry({ current: true, description: "• Cut costs by 30%\n* Wrote snake_case_name" }),
+      ],
+    });
+
+    expect(text).toBe(
+      [
+        "Jane Doe",
+        "jane@example.com | 555 0100",
+        "",
+        "PROFESSIONAL SUMMARY",
+        "Backend engineer, see my blog (https://example.com)",
+        "",
+        "WORK EXPERIENCE",
+        "Engineer, Acme",
+        "Jan 2020 - Present",
+        "- Cut costs by 30%",
+        "- Wrote snake_case_name",
+        "",
+      ].join("\n")
+    );
+  });
+
+  it("replaces typographic punctuation and drops emoji and HTML", () => {
+    const text = resumeToPlainText({
+      summary: "“Shipped” 2019–2021 — it’s done… 🎉 <b>really</b>",
+    });
+
+    expect(text).toContain("\"Shipped\" 2019-2021 - it's done... really");
+  });
+});
@@ -0,0 +1,509 @@
+import { differenceInCalendarMonths, format } from "date-fns";
+import { normalizeResumeData, parseEntryDate, RESUME_SECTIONS } from "./resume";
+
+// Deterministic writing and consistency checks that run in the browser as
+// the user types (no AI). A finding is
+//   { id, rule, severity, message, location, fix? }
+// where `fix` is a quick fix the UI can apply:
+//   - from lintEntry: { label, changes } (fields of that entry to replace)
+//   - from lintResume: { label, field, value } (a top-level resume field)
+
+export const LINT_SEVERITY = { ERROR: "error", WARNING: "warning", INFO: "info" };
+
+const SEVERITY_ORDER = [LINT_SEVERITY.ERROR, LINT_SEVERITY.WARNING, LINT_SEVERITY.INFO];
+
+// Bullets longer than this are hard to scan.
+const LONG_BULLET = { words: 35, chars: 220 };
+// Gaps between jobs longer than this (in months) are worth explaining.
+const GAP_MONTHS = 6;
+// Opening verbs used this often across the resume read as repetitive.
+const REPEATED_VERB_COUNT = 3;
+
+const WEAK_OPENERS = [
+  "helped",
+  "assisted",
+  "worked",
+  "responsible",
+  "handled",
+  "participated",
+  "involved",
+  "tasked",
+  "did",
+  "made",
+  "got",
+  "tried",
+  "duties",
+  "various",
+];
+
+// [present, past] forms of common resume verbs, for tense checks and fixes.
+const VERB_FORMS = [
+  ["analyze", "analyzed"],
+  ["architect", "architected"],
+  ["automate", "automated"],
+  ["build", "built"],
+  ["collaborate", "collaborated"],
+  ["coordinate", "coordinated"],
+  ["create", "created"],
+  ["deliver", "delivered"],
+  ["deploy", "deployed"],
+  ["design", "designed"],
+  ["develop", "developed"],
+  ["drive", "drove"],
+  ["establish", "established"],
+  ["grow", "grew"],
+  ["implement", "implemented"],
+  ["improve", "improved"],
+  ["increase", "increased"],
+  ["launch", "launched"],
+  ["lead", "led"],
+  ["maintain", "maintained"],
+  ["manage", "managed"],
+  ["mentor", "mentored"],
+  ["migrate", "migrated"],
+  ["negotiate", "negotiated"],
+  ["optimize", "optimized"],
+  ["oversee", "oversaw"],
+  ["own", "owned"],
+  ["plan", "planned"],
+  ["present", "presented"],
+  ["reduce", "reduced"],
+  ["research", "researched"],
+  ["run", "ran"],
+  ["scale", "scaled"],
+  ["ship", "shipped"],
+  ["support", "supported"],
+  ["teach", "taught"],
+  ["test", "tested"],
+  ["train", "trained"],
+  ["write", "wrote"],
+];
+
+const thirdPerson = (verb) => (/(s|sh|ch|x|z)$/.test(verb) ? `${verb}es` : `${verb}s`);
+
+const PAST_OF = Object.fromEntries(
+  VERB_FORMS.flatMap(([present, past]) => [
+    [present, past],
+    [thirdPerson(present), past],
+  ])
+);
+const PRESENT_OF = Object.fromEntries(VERB_FORMS.map(([present, past]) => [past, present]));
+
+// Not next to a "/", so "I/O" and "UI/UX" aren't pronouns
+const PRONOUN = /(?<![\w/])(I|[Mm]e|[Mm]y|[Mm]ine|[Mm]yself)(?![\w/])/;
+const PASSIVE =
+  /\b(?:was|were|is|are|been|being)\s+(?:\w+ly\s+)?(\w+ed|built|done|given|led|made|run|taken|won|written)\b/i;
+const BULLET_PREFIX = /^(\s*[-*•]\s+)/;
+
+// ---------------------------------------------------------
+// Text helpers
+// ---------------------------------------------------------
+// The bullets of a description; prose without bullets counts line by line.
+const itemsOf = (text = "") => {
+  const lines = text.split("\n").map((line) => line.trim()).filter(Boolean);
+  const bullets = lines.filter((line) => BULLET_PREFIX.test(line));
+  return (bullets.length ? bullets : lines).map((line) => line.replace(BULLET_PREFIX, ""));
+};
+
+const firstWord = (item) => item.match(/^[A-Za-z]+/)?.[0] ?? "";
+
+// Lower-cased opening words used by more than one of `items`
+const repeatedOpeners = (items) => {
+  const openers = items.map((item) => firstWord(item).toLowerCase()).filter(Boolean);
+  return [...new Set(openers.filter((word, i) => openers.indexOf(word) !== i))];
+};
+
+const excerpt = (text, length = 60) =>
+  text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+
+const matchCase = (word, like) =>
+  like[0] === like[0].toUpperCase() ? word[0].toUpperCase() + word.slice(1) : word;
+
+// Replaces the opening verb of every bullet/line found in `forms`.
+const replaceOpeners = (text, forms) =>
+  text
+    .split("\n")
+    .map((line) => {
+      const prefix = line.match(BULLET_PREFIX)?.[1] ?? line.match(/^\s*/)[0];
+      const rest = line.slice(prefix.length);
+      const word = firstWord(rest);
+      const replacement = forms[word.toLowerCase()];
+      return replacement ? prefix + matchCase(replacement, word) + rest.slice(word.length) : line;
+    })
+    .join("\n");
+
+// Drops a leading "I" / "I am a(n)" from each line and recapitalizes.
+const stripLeadingI = (text) =>
+  text
+    .split("\n")
+    .map((line) =>
+      line.replace(
+        /^(\s*(?:[-*•]\s+)?)I (?:am (?:an? )?)?(\w)/,
+        (_, prefix, letter) => prefix + letter.toUpperCase()
+      )
+    )
+    .join("\n");
+
+const hasLeadingI = (text) => stripLeadingI(text) !== text;
+
+// ---------------------------------------------------------
+// Findings
+// ---------------------------------------------------------
+const finding = (rule, severity, message, extra = {}) => ({
+  rule,
+  severity,
+  message,
+  ...extra,
+});
+
+// Most severe first, with ids stable across re-renders
+const finalize = (findings) =>
+  findings
+    .sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity))
+    .map((item, i) => ({ ...item, id: `${item.rule}-${i}` }));
+
+function lintText(text, { label, bullets = false, tenseOf } = {}) {
+  const findings = [];
+  const items = itemsOf(text);
+
+  const pronounItems = items.filter((item) => PRONOUN.test(item));
+  if (pronounItems.length) {
+    findings.push(
+      finding(
+        "first-person",
+        LINT_SEVERITY.WARNING,
+        `Avoid first-person pronouns ("${pronounItems[0].match(PRONOUN)[1]}" in "${excerpt(
+          pronounItems[0]
+        )}"). Resumes are written without "I", "me" or "my".`,
+        hasLeadingI(text) && {
+          fix: { label: 'Remove leading "I"', changes: { text: stripLeadingI(text) } },
+        }
+      )
+    );
+  }
+
+  for (const item of items) {
+    const passive = item.match(PASSIVE);
+    if (passive) {
+      findings.push(
+        finding(
+          "passive-voice",
+          LINT_SEVERITY.INFO,
+          `Passive voice ("${passive[0]}") in "${excerpt(item)}". Say what you did: start with the action.`
+        )
+      );
+    }
+  }
+
+  for (const item of bullets ? items : []) {
+    const words = item.split(/\s+/).length;
+    if (words > LONG_BULLET.words || item.length > LONG_BULLET.chars) {
+      findings.push(
+        finding(
+          "long-bullet",
+          LINT_SEVERITY.WARNING,
+          `"${excerpt(item)}" is ${words} words long. Keep bullets under ${LONG_BULLET.words} words or split them.`
+        )
+      );
+    }
+  }
+
+  if (tenseOf) findings.push(...tenseOf(items, text));
+  return findings.map((item) => ({ ...item, location: label }));
+}
+
+// Checks one entry of `section` (experience, education, projects,
+// volunteer). Fixes carry `changes` for the entry's own fields.
+export function lintEntry(entry, { section = "experience", label } = {}) {
+  const isWork = section === "experience" || section === "volunteer";
+  const items = itemsOf(entry.description);
+  const location =
+    label ?? ([entry.title, entry.organization].filter(Boolean).join(" @ ") || "New entry");
+
+  // Current roles in the present tense, past roles in the past tense
+  const tenseOf = (tenseItems, text) => {
+    if (!isWork) return [];
+    const openers = tenseItems.map((item) => firstWord(item).toLowerCase());
+    if (!entry.current && openers.some((word) => PAST_OF[word])) {
+      return [
+        finding(
+          "tense",
+          LINT_SEVERITY.WARNING,
+          "This role has ended, but some bullets are in the present tense. Use the past tense.",
+          { fix: { label: "Switch to past tense", changes: { text: replaceOpeners(text, PAST_OF) } } }
+        ),
+      ];
+    }
+    if (
+      entry.current &&
+      openers.some((word) => PRESENT_OF[word]) &&
+      openers.some((word) => PAST_OF[word])
+    ) {
+      return [
+        finding(
+          "tense",
+          LINT_SEVERITY.INFO,
+          "This is your current role, but the bullets mix tenses. Use the present tense throughout.",
+          {
+            fix: {
+              label: "Switch to present tense",
+              changes: { text: replaceOpeners(text, PRESENT_OF) },
+            },
+          }
+        ),
+      ];
+    }
+    return [];
+  };
+
+  const findings = lintText(entry.description, {
+    label: location,
+    bullets: true,
+    tenseOf,
+  }).map((item) =>
+    item.fix
+      ? { ...item, fix: { label: item.fix.label, changes: { description: item.fix.changes.text } } }
+      : item
+  );
+
+  const weak = items.filter((item) => WEAK_OPENERS.includes(firstWord(item).toLowerCase()));
+  for (const item of weak) {
+    findings.push(
+      finding(
+        "weak-verb",
+        LINT_SEVERITY.WARNING,
+        `"${excerpt(item)}" opens with a weak verb ("${firstWord(item)}"). Start with a specific action such as Led, Built or Reduced.`,
+        { location }
+      )
+    );
+  }
+
+  const repeated = repeatedOpeners(items);
+  if (repeated.length) {
+    findings.push(
+      finding(
+        "repeated-verb",
+        LINT_SEVERITY.INFO,
+        `Several bullets start with the same word (${repeated.map((w) => `"${w}"`).join(", ")}). Vary the verbs.`,
+        { location }
+      )
+    );
+  }
+
+  if (section === "experience" && items.length) {
+    const unquantified = items.filter((item) => !/\d/.test(item));
+    if (unquantified.length) {
+      findings.push(
+        finding(
+          "no-numbers",
+          LINT_SEVERITY.INFO,
+          `${unquantified.length} of ${items.length} bullet(s) have no numbers. Quantify results (%, $, users, time saved) where you can.`,
+          { location }
+        )
+      );
+    }
+  }
+
+  const start = parseEntryDate(entry.startDate);
+  const end = entry.current ? null : parseEntryDate(entry.endDate);
+  if (start && end && end < start) {
+    findings.push(
+      finding(
+        "reversed-dates",
+        LINT_SEVERITY.ERROR,
+        `The end date (${entry.endDate}) is before the start date (${entry.startDate}).`,
+        {
+          location,
+          fix: {
+            label: "Swap dates",
+            changes: { startDate: entry.endDate, endDate: entry.startDate },
+          },
+        }
+      )
+    );
+  }
+
+  return finalize(findings);
+}
+
+// ---------------------------------------------------------
+// Whole resume
+// ---------------------------------------------------------
+const ENTRY_SECTIONS = ["experience", "education", "projects", "volunteer"];
+
+const sectionTitle = (key) => RESUME_SECTIONS.find((section) => section.key === key).title;
+
+const entryLabel = (key, entry) =>
+  `${sectionTitle(key)}: ${[entry.title, entry.organization].filter(Boolean).join(" @ ") || "Untitled"}`;
+
+// Month ranges of the entries with readable dates; ongoing ones end now.
+const rangesOf = (entries) =>
+  entries
+    .map((entry) => ({
+      entry,
+      start: parseEntryDate(entry.startDate),
+      end: entry.current ? new Date() : parseEntryDate(entry.endDate),
+    }))
+    .filter(({ start, end }) => start && end && start <= end);
+
+function lintDates(data) {
+  const findings = [];
+  const jobs = rangesOf(data.experience).sort((a, b) => a.start - b.start);
+  const month = (date) => format(date, "MMM yyyy");
+
+  for (let i = 0; i < jobs.length; i++) {
+    for (let j = i + 1; j < jobs.length; j++) {
+      const overlap = differenceInCalendarMonths(
+        jobs[i].end < jobs[j].end ? jobs[i].end : jobs[j].end,
+        jobs[j].start
+      );
+      if (overlap >= 1) {
+        findings.push(
+          finding(
+            "overlapping-dates",
+            LINT_SEVERITY.INFO,
+            `"${jobs[i].entry.title}" and "${jobs[j].entry.title}" overlap by ${overlap} month(s). Fine for concurrent roles; otherwise check the dates.`,
+            { location: sectionTitle("experience") }
+          )
+        );
+      }
+    }
+  }
+
+  // Gaps between jobs not covered by education, projects or volunteering
+  const other = rangesOf(["education", "projects", "volunteer"].flatMap((key) => data[key]));
+  let latest = null;
+  for (const job of jobs) {
+    if (latest) {
+      const gap = differenceInCalendarMonths(job.start, latest.end);
+      const explained = other.some(({ start, end }) => start <= job.start && end >= latest.end);
+      if (gap > GAP_MONTHS && !explained) {
+        findings.push(
+          finding(
+            "employment-gap",
+            LINT_SEVERITY.INFO,
+            `${gap}-month gap between ${month(latest.end)} and ${month(job.start)}. Consider explaining it (study, caregiving, freelance work) in your summary or another section.`,
+            { location: sectionTitle("experience") }
+          )
+        );
+      }
+    }
+    if (!latest || job.end > latest.end) latest = job;
+  }
+
+  return findings;
+}
+
+// Skills may be grouped one line per group ("Languages: Go, Rust").
+const SKILL_GROUP = /^[^:,]+:\s*/;
+const skillsOfLine = (line) =>
+  line.replace(SKILL_GROUP, "").split(/[,;|]/).map((skill) => skill.trim()).filter(Boolean);
+
+// Skills without repeats; lines that lose nothing are left as they are,
+// lines that lose everything are dropped.
+const dedupeSkills = (skills) => {
+  const seen = new Set();
+  return skills
+    .split("\n")
+    .map((line) => {
+      const items = skillsOfLine(line);
+      const kept = items.filter((skill) => {
+        const key = skill.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+      if (kept.length === items.length) return line;
+      return kept.length ? `${line.match(SKILL_GROUP)?.[0] ?? ""}${kept.join(", ")}` : null;
+    })
+    .filter((line) => line !== null)
+    .join("\n");
+};
+
+function lintSkills(skills) {
+  const names = skills
+    .split("\n")
+    .flatMap(skillsOfLine)
+    .map((skill) => skill.toLowerCase());
+  const duplicates = [...new Set(names.filter((name, i) => names.indexOf(name) !== i))];
+  if (!duplicates.length) return [];
+
+  return [
+    finding(
+      "duplicate-skills",
+      LINT_SEVERITY.WARNING,
+      `Listed more than once: ${duplicates.join(", ")}.`,
+      {
+        location: sectionTitle("skills"),
+        fix: { label: "Remove duplicates", field: "skills", value: dedupeSkills(skills) },
+      }
+    ),
+  ];
+}
+
+// Openers repeated across entries. Words an entry already repeats are left
+// to that entry's own finding (lintEntry), so each is reported once.
+function lintRepeatedVerbs(data) {
+  const counts = {};
+  const reported = new Set();
+  for (const key of ["experience", "volunteer"]) {
+    for (const entry of data[key]) {
+      const items = itemsOf(entry.description);
+      repeatedOpeners(items).forEach((word) => reported.add(word));
+      for (const item of items) {
+        const word = firstWord(item).toLowerCase();
+        if (word) counts[word] = (counts[word] ?? 0) + 1;
+      }
+    }
+  }
+
+  return Object.entries(counts)
+    .filter(([word, count]) => count >= REPEATED_VERB_COUNT && !reported.has(word))
+    .map(([word, count]) =>
+      finding(
+        "repeated-verb",
+        LINT_SEVERITY.WARNING,
+        `${count} bullets start with "${word}". Vary your action verbs.`,
+        { location: sectionTitle("experience") }
+      )
+    );
+}
+
+// Every finding for the resume, most severe first. Fixes name the
+// top-level field to replace (`field`) and its new `value`.
+export function lintResume(resumeData) {
+  const data = normalizeResumeData(resumeData);
+  const findings = [];
+
+  const summary = lintText(data.summary, { label: sectionTitle("summary") });
+  findings.push(
+    ...summary.map((item) =>
+      item.fix
+        ? { ...item, fix: { label: item.fix.label, field: "summary", value: item.fix.changes.text } }
+        : item
+    )
+  );
+
+  for (const key of ENTRY_SECTIONS) {
+    data[key].forEach((entry, index) => {
+      for (const item of lintEntry(entry, { section: key, label: entryLabel(key, entry) })) {
+        findings.push(
+          item.fix
+            ? {
+                ...item,
+                fix: {
+                  label: item.fix.label,
+                  field: key,
+                  value: data[key].map((e, i) => (i === index ? { ...e, ...item.fix.changes } : e)),
+                },
+              }
+            : item
+        );
+      }
+    });
+  }
+
+  findings.push(...lintRepeatedVerbs(data), ...lintDates(data), ...lintSkills(data.skills));
+
+  return finalize(findings);
+}
@@ -0,0 +1,210 @@
+import { describe, expect, it } from "vitest";
+import { lintEntry, lintResume } from "./resume-lint";
+
+const entry = (overrides) => ({
+  title: "Engineer",
+  organization: "Acme",
+  startDate: "Jan 2020",
+  endDate: "Dec 2021",
+  current: false,
+  description: "- Built 3 services",
+  ...overrides,
+});
+
+const withRule = (findings, rule) => findings.filter((item) => item.rule === rule);
+
+const lintDescription = (description, overrides = {}) =>
+  lintEntry(entry({ description, ...overrides }));
+
+describe("lintEntry", () => {
+  it("flags first-person pronouns and removes a leading I", () => {
+    const [found] = withRule(lintDescription("- I built 2 payment APIs"), "first-person");
+
+    expect(found.message).toContain('"I"');
+    expect(found.fix).toEqual({
+      label: 'Remove leading "I"',
+      changes: { description: "- Built 2 payment APIs" },
+    });
+  });
+
+  it("doesn't take I/O or UI/UX for pronouns", () => {
+    const description = "- Rewrote the I/O layer for 4 devices\n- Shipped 2 UI/UX redesigns";
+    expect(withRule(lintDescription(description), "first-person")).toEqual([]);
+  });
+
+  it("flags passive voice", () => {
+    const [found] = withRule(lintDescription("- The API was redesigned in 2021"), "passive-voice");
+    expect(found.message).toContain('"was redesigned"');
+    expect(withRule(lintDescription("- Redesigned the API in 2021"), "passive-voice")).toEqual([]);
+  });
+
+  it("flags long bullets", () => {
+    const long = `- Built ${"very ".repeat(35)}many things in 2021`;
+    expect(withRule(lintDescription(long), "long-bullet")).toHaveLength(1);
+    expect(withRule(lintDescription("- Built 3 services"), "long-bullet")).toEqual([]);
+  });
+
+  it("switches an ended role to the past tense", () => {
+    const [found] = withRule(
+      lintDescription("- Build 3 services\n- Manages a team of 4"),
+      "tense"
+    );
+
+    expect(found.fix).toEqual({
+      label: "Switch to past tense",
+      changes: { description: "- Built 3 services\n- Managed a team of 4" },
+    });
+    expect(withRule(lintDescription("- Built 3 services\n- Managed 4 people"), "tense")).toEqual(
+      []
+    );
+  });
+
+  it("switches a current role with mixed tenses to the present tense", () => {
+    const [found] = withRule(
+      lintDescription("- Lead a team of 5\n- Built 3 services", { current: true }),
+      "tense"
+    );
+
+    expect(found.fix).toEqual({
+      label: "Switch to present tense",
+      changes: { description: "- Lead a team of 5\n- Build 3 services" },
+    });
+    expect(
+      withRule(lintDescription("- Lead a team of 5\n- Build 3 services", { current: true }), "tense")
+    ).toEqual([]);
+  });
+
+  it("flags weak opening verbs", () => {
+    const weak = lintDescription("- Helped with on-call for 2 teams");
+    expect(withRule(weak, "weak-verb")).toHaveLength(1);
+    expect(withRule(lintDescription("- Ran on-call for 2 teams"), "weak-verb")).toEqual([]);
+  });
+
+  it("flags bullets that open with the same word", () => {
+    const [found] = withRule(lintDescription("- Built 3 services\n- Built 2 tools"), "repeated-verb");
+    expect(found.message).toContain('"built"');
+    expect(
+      withRule(lintDescription("- Built 3 services\n- Designed 2 tools"), "repeated-verb")
+    ).toEqual([]);
+  });
+
+  it("flags unquantified experience bullets only", () => {
+    const description = "- Built the billing service\n- Cut costs by 20%";
+    const [found] = withRule(lintDescription(description), "no-numbers");
+
+    expect(found.message).toContain("1 of 2 bullet(s)");
+    expect(
+      withRule(lintEntry(entry({ description }), { section: "education" }), "no-numbers")
+    ).toEqual([]);
+  });
+
+  it("swaps reversed dates", () => {
+    const [found] = withRule(
+      lintEntry(entry({ startDate: "Mar 2022", endDate: "Jan 2020" })),
+      "reversed-dates"
+    );
+
+    expect(found.fix).toEqual({
+      label: "Swap dates",
+      changes: { startDate: "Jan 2020", endDate: "Mar 2022" },
+    });
+    expect(withRule(lintEntry(entry()), "reversed-dates")).toEqual([]);
+  });
+});
+
+describe("lintResume", () => {
+  it("flags overlapping jobs", () => {
+    const overlapping = lintResume({
+      experience: [
+        entry({ title: "A", startDate: "Jan 2020", endDate: "Dec 2021" }),
+        entry({ title: "B", startDate: "Jun 2021", endDate: "Jan 2023" }),
+      ],
+    });
+    const sequential = lintResume({
+      experience: [
+        entry({ title: "A", startDate: "Jan 2020", endDate: "Dec 2021" }),
+        entry({ title: "B", startDate: "Jan 2022", endDate: "Jan 2023" }),
+      ],
+    });
+
+    expect(withRule(overlapping, "overlapping-dates")).toHaveLength(1);
+    expect(withRule(sequential, "overlapping-dates")).toEqual([]);
+  });
+
+  it("flags employment gaps unless something else covers them", () => {
+    const experience = [
+      entry({ startDate: "Jan 2018", endDate: "Dec 2018" }),
+      entry({ startDate: "Jan 2020", endDate: "Dec 2020" }),
+    ];
+    const [gap] = withRule(lintResume({ experience }), "employment-gap");
+    const studying = lintResume({
+      experience,
+      education: [entry({ startDate: "Sep 2018", endDate: "Jun 2020" })],
+    });
+
+    expect(gap.message).toContain("13-month gap between Dec 2018 and Jan 2020");
+    expect(withRule(studying, "employment-gap")).toEqual([]);
+  });
+
+  it("removes duplicate skills", () => {
+    const [found] = withRule(
+      lintResume({ skills: "React, Go\nTools: react, Docker" }),
+      "duplicate-skills"
+    );
+
+    expect(found.message).toBe("Listed more than once: react.");
+    expect(found.fix).toEqual({
+      label: "Remove duplicates",
+      field: "skills",
+      value: "React, Go\nTools: Docker",
+    });
+    expect(withRule(lintResume({ skills: "React, Go" }), "duplicate-skills")).toEqual([]);
+  });
+
+  it("flags an opener repeated across entries", () => {
+    const findings = lintResume({
+      experience: [
+        entry({ description: "- Built 3 services" }),
+        entry({ description: "- Built 2 tools" }),
+      ],
+      volunteer: [entry({ description: "- Built 1 website" })],
+    });
+
+    expect(withRule(findings, "repeated-verb").map((item) => item.message)).toEqual([
+      '3 bullets start with "built". Vary your action verbs.',
+    ]);
+    expect(
+      withRule(
+        lintResume({ experience: [entry(), entry({ description: "- Designed 2 tools" })] }),
+        "repeated-verb"
+      )
+    ).toEqual([]);
+  });
+
+  it("reports a repeated opener once when an entry already repeats it", () => {
+    const findings = lintResume({
+      experience: [
+        entry({ description: "- Built 3 services\n- Built 2 tools" }),
+        entry({ description: "- Built 1 website" }),
+      ],
+    });
+
+    expect(withRule(findings, "repeated-verb")).toHaveLength(1);
+  });
+
+  it("turns fixes into replacements of the top-level field", () => {
+    const experience = [entry(), entry({ startDate: "Mar 2022", endDate: "Jan 2020" })];
+    const findings = lintResume({ summary: "I am a backend engineer", experience });
+
+    expect(withRule(findings, "first-person")[0].fix).toEqual({
+      label: 'Remove leading "I"',
+      field: "summary",
+      value: "Backend engineer",
+    });
+    expect(withRule(findings, "reversed-dates")[0].fix).toEqual({
+      label: "Swap dates",
+      field: "experience",
+      value: [experience[0], { ...experience[1], startDate: "Jan 2020", endDate: "Mar 2022" }],
+    });
+  });
+});
@@ -0,0 +1,352 @@
+import { format, isValid, parse } from "date-fns";
+
+// Heuristic parser turning plain resume text (extracted from a PDF or DOCX)
+// into parsedResumeSchema-shaped data: contact details, summary, a flat
+// skills list and experience/education/projects entries. It looks for
+// common section headings and date ranges; anything it cannot place is
+// reported in `warnings` rather than guessed.
+
+const SECTION_HEADINGS = {
+  summary: [
+    "summary",
+    "professional summary",
+    "profile",
+    "professional profile",
+    "about",
+    "about me",
+    "objective",
+    "career objective",
+  ],
+  experience: [
+    "experience",
+    "work experience",
+    "professional experience",
+    "relevant experience",
+    "employment",
+    "employment history",
+    "work history",
+    "career history",
+  ],
+  education: ["education", "academic background", "education and training"],
+  projects: ["projects", "personal projects", "selected projects", "key projects"],
+  skills: [
+    "skills",
+    "technical skills",
+    "core skills",
+    "key skills",
+    "skills and tools",
+    "core competencies",
+    "competencies",
+    "technologies",
+  ],
+};
+
+const MONTH =
+  "(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+const DATE = `(?:${MONTH}\\.?\\s+\\d{4}|\\d{1,2}/\\d{4}|\\d{4})`;
+const DATE_RANGE = new RegExp(
+  `(${DATE})\\s*(?:-|–|—|to)\\s*(${DATE}|present|current|now|today)`,
+  "i"
+);
+const ONGOING = /^(present|current|now|today)$/i;
+
+const BULLET = /^\s*[-•*▪●◦‣–]\s*/;
+const ORGANIZATION_HINT =
+  /\b(inc|llc|ltd|gmbh|corp|corporation|company|co\.|group|technologies|labs|university|college|school|institute|academy|bank|agency|foundation)\b/i;
+const DEGREE_HINT =
+  /\b(bachelor|master|b\.?sc|m\.?sc|b\.?a|m\.?a|b\.?s|m\.?s|b\.?eng|m\.?eng|ph\.?d|mba|diploma|degree|associate|certificate)\b/i;
+
+// ---------------------------------------------------------
+// Small helpers
+// ---------------------------------------------------------
+const normalizeHeading = (line) =>
+  line
+    .replace(/^#+\s*/, "")
+    .replace(/[:\s]+$/, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+
+const headingSection = (line) => {
+  if (line.length > 40) return null;
+  const heading = normalizeHeading(line);
+  for (const [section, names] of Object.entries(SECTION_HEADINGS)) {
+    if (names.includes(heading)) return section;
+  }
+  return null;
+};
+
+// Short all-caps lines such as "CERTIFICATIONS" start sections we don't map.
+const isOtherHeading = (line) =>
+  line.length <= 40 &&
+  /[A-Z]/.test(line) &&
+  line === line.toUpperCase() &&
+  /^[A-Z &/]+:?$/.test(line.trim());
+
+export function toDisplayDate(value) {
+  const text = value.trim().replace(/\./g, "");
+  if (/^\d{4}$/.test(text)) return text;
+
+  for (const pattern of ["MMM yyyy", "MMMM yyyy", "M/yyyy", "MM/yyyy"]) {
+    const date = parse(text, pattern, new Date());
+    if (isValid(date)) return format(date, "MMM yyyy");
+  }
+  // "Sept 2020" is common but not a date-fns month abbreviation
+  const sept = text.match(/^sept\s+(\d{4})$/i);
+  return sept ? `Sep ${sept[1]}` : text;
+}
+
+const splitHeader = (text) => {
+  const parts = text
+    .split(/\s+(?:at|@|\||—|–|-)\s+|,\s+/i)
+    .map((p) => p.trim())
+    .filter(Boolean);
+  return [parts[0] ?? "", parts.slice(1).join(", ")];
+};
+
+// Decides which header part is the title (role or degree) and which the
+// organization, using the hints above; defaults to title first.
+const assignHeader = (parts) => {
+  const [first = "", second = ""] = parts;
+  if (!second) return { title: first, organization: "" };
+
+  const firstIsOrg = ORGANIZATION_HINT.test(first) && !DEGREE_HINT.test(first);
+  const secondIsTitle = DEGREE_HINT.test(second);
+  return firstIsOrg || secondIsTitle
+    ? { title: second, organization: first }
+    : { title: first, organization: second };
+};
+
+// Description lines end like sentences; "Stripe Inc." is still a header.
+const isSentence = (line) => /[.;]$/.test(line) && line.split(/\s+/).length > 4;
+
+// Joins lines a PDF broke mid-sentence back onto the previous bullet.
+const joinDescription = (lines) => {
+  const result = [];
+  for (const line of lines) {
+    const text = line.trim();
+    if (!text) continue;
+    if (BULLET.test(text)) {
+      result.push(`- ${text.replace(BULLET, "")}`);
+    } else if (result.length && /^[a-z(]/.test(text)) {
+      result[result.length - 1] += ` ${text}`;
+    } else {
+      result.push(text);
+    }
+  }
+  return result.join("\n");
+};
+
+// ---------------------------------------------------------
+// Sections
+// ---------------------------------------------------------
+function splitSections(lines) {
+  const sections = { header: [] };
+  const skipped = [];
+  let current = "header";
+
+  for (const line of lines) {
+    const section = headingSection(line);
+    if (section) {
+      current = section;
+      sections[current] ??= [];
+    } else if (isOtherHeading(line) && current !== "header") {
+      current = null;
+      skipped.push(line.trim());
+    } else if (current) {
+      sections[current].push(line);
+    }
+  }
+
+  return { sections, skipped };
+}
+
+function parseEntries(lines) {
+  const dateLines = lines
+    .map((line, index) => ({ index, match: line.match(DATE_RANGE) }))
+    .filter((d) => d.match);
+
+  // Header lines sit on the date line and/or just above it.
+  const entries = dateLines.map(({ index, match }, k) => {
+    const rest = lines[index]
+      .replace(match[0], "")
+      .replace(/^[\s|,–—-]+|[\s|,–—(-]+$/g, "")
+      .trim();
+
+    const floor = k > 0 ? dateLines[k - 1].index + 1 : 0;
+    const above = [];
+    for (let i = index - 1; i >= floor && above.length < (rest ? 1 : 2); i--) {
+      const line = lines[i].trim();
+      if (!line || BULLET.test(line) || line.length > 80 || isSentence(line)) break;
+      above.unshift(line);
+    }
+
+    const headerParts = rest
+      ? [...above, ...(above.length ? [rest] : splitHeader(rest))]
+      : above.length === 1
+        ? splitHeader(above[0])
+        : above;
+
+    const ongoing = ONGOING.test(match[2].trim());
+    return {
+      headerStart: index - above.length,
+      dateIndex: index,
+      entry: {
+        ...assignHeader(headerParts),
+        startDate: toDisplayDate(match[1]),
+        endDate: ongoing ? "" : toDisplayDate(match[2]),
+        current: ongoing,
+      },
+    };
+  });
+
+  return entries.map(({ dateIndex, entry }, k) => {
+    const end = k + 1 < entries.length ? entries[k + 1].headerStart : lines.length;
+    return {
+      ...entry,
+      description: joinDescription(lines.slice(dateIndex + 1, end)),
+    };
+  });
+}
+
+function parseSkills(lines) {
+  const seen = new Set();
+  return lines
+    .flatMap((line) =>
+      line
+        .replace(BULLET, "")
+        .replace(/^[^:,]{1,30}:\s*/, "")
+        .split(/[,;|•·]/)
+    )
+    .map((skill) => skill.trim().replace(/\.$/, ""))
+    .filter((skill) => {
+      const key = skill.toLowerCase();
+      if (!skill || skill.length > 40 || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// ---------------------------------------------------------
+// Contact details
+// ---------------------------------------------------------
+function parseContact(text, headerLines) {
+  const find = (pattern) => text.match(pattern)?.[0] ?? "";
+
+  const linkedin = find(/(?:https?:\/\/)?(?:[\w]+\.)?linkedin\.com\/[^\s|,)]+/i);
+  const twitter = find(/(?:https?:\/\/)?(?:www\.)?(?:twitter|x)\.com\/[^\s|,)]+/i);
+  const withProtocol = (url) => (url && !/^https?:\/\//.test(url) ? `https://${url}` : url);
+
+  const phone =
+    text
+      .match(/(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d[\d\s.-]{6,}\d/g)
+      ?.find((m) => {
+        const digits = m.replace(/\D/g, "").length;
+        return digits >= 10 && digits <= 15;
+      })
+      ?.trim() ?? "";
+
+  const name =
+    headerLines
+      .map((line) => line.trim())
+      .find(
+        (line) =>
+          line &&
+          !/[@\d/]/.test(line) &&
+          line.split(/\s+/).length >= 2 &&
+          line.split(/\s+/).length <= 4
+      ) ?? "";
+
+  return {
+    name,
+    email: find(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i),
+    mobile: phone,
+    linkedin: withProtocol(linkedin),
+    twitter: withProtocol(twitter),
+  };
+}
+
+// ---------------------------------------------------------
+// Entry point
+// ---------------------------------------------------------
+export function parseResumeText(text = "") {
+  const lines = text
+    .replace(/\r/g, "")
+    .split("\n")
+    .map((line) => line.replace(/\s+$/, ""));
+
+  const { sections, skipped } = splitSections(lines);
+  const warnings = [];
+
+  const found = Object.keys(sections).filter((s) => s !== "header");
+  if (!found.length) {
+    warnings.push(
+      "No section headings (Experience, Education, Skills, ...) were recognized; only contact details were extracted."
+    );
+  }
+  if (skipped.length) {
+    warnings.push(`Sections not imported: ${skipped.join(", ")}`);
+  }
+
+  const result = {
+    contactInfo: parseContact(text, sections.header.slice(0, 5)),
+    summary: joinDescription(sections.summary ?? []).replace(/\n(?!- )/g, " "),
+    skills: parseSkills(sections.skills ?? []),
+    experience: parseEntries(sections.experience ?? []),
+    education: parseEntries(sections.education ?? []),
+    projects: parseEntries(sections.projects ?? []),
+    warnings,
+  };
+
+  for (const key of ["experience", "education", "projects"]) {
+    if (sections[key]?.some((l) => l.trim()) && !result[key].length) {
+      warnings.push(`Found a ${key} section but no dated entries in it.`);
+    }
+  }
+
+  return result;
+}
+
+// ---------------------------------------------------------
+// Applying a parsed upload
+// ---------------------------------------------------------
+// Entry fields the builder requires; parsed entries missing any of them
+// are flagged for the user to complete before saving.
+export const missingEntryFields = (entry) =>
+  [
+    ["title", "title"],
+    ["organization", "organization"],
+    ["startDate", "start date"],
+    ["description", "description"],
+  ]
+    .filter(([key]) => !entry[key]?.trim())
+    .map(([, label]) => label)
+    .concat(!entry.current && !entry.endDate?.trim() ? ["end date"] : []);
+
+// Merges the parts of a parse the user kept (`selection`, shaped like
+// parseResumeText's result) into resume data: non-empty contact fields and
+// the summary replace the current ones, skills not already listed are
+// appended and entries are added after the existing ones.
+export function mergeParsedResume(current, selection) {
+  const contactInfo = { ...current.contactInfo };
+  for (const [key, value] of Object.entries(selection.contactInfo ?? {})) {
+    if (value) contactInfo[key] = value;
+  }
+
+  const listed = current.skills.toLowerCase();
+  const newSkills = (selection.skills ?? []).filter(
+    (skill) => !listed.includes(skill.toLowerCase())
+  );
+
+  return {
+    ...current,
+    contactInfo,
+    summary: selection.summary || current.summary,
+    skills: [current.skills.trim(), newSkills.join(", ")]
+      .filter(Boolean)
+      .join(", "),
+    experience: [...current.experience, ...(selection.experience ?? [])],
+    education: [...current.education, ...(selection.education ?? [])],
+    projects: [...current.projects, ...(selection.projects ?? [])],
+  };
+}
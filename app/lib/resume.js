@@ -0,0 +1,301 @@
+import { isValid, parse } from "date-fns";
+import { entriesToMarkdown } from "./helper";
+
+// A resume is stored as structured data matching resumeSchema; markdown is
+// only ever rendered from it (resumeToMarkdown). parseResumeMarkdown exists
+// for resumes saved before that, which only have markdown.
+
+// The core sections made of dated entries (what uploads are parsed into)
+export const RESUME_ENTRY_SECTIONS = [
+  { key: "experience", title: "Work Experience" },
+  { key: "education", title: "Education" },
+  { key: "projects", title: "Projects" },
+];
+
+// Every built-in section, in the default order. Custom sections follow
+// them as "custom:<id>" unless the user moved them (`sectionOrder`).
+export const RESUME_SECTIONS = [
+  { key: "summary", title: "Professional Summary" },
+  { key: "skills", title: "Skills" },
+  ...RESUME_ENTRY_SECTIONS,
+  { key: "volunteer", title: "Volunteer Experience" },
+  { key: "certifications", title: "Certifications" },
+  { key: "languages", title: "Languages" },
+  { key: "awards", title: "Awards" },
+  { key: "publications", title: "Publications" },
+];
+
+export const LANGUAGE_PROFICIENCIES = [
+  "Native",
+  "Fluent",
+  "Professional",
+  "Conversational",
+  "Basic",
+];
+
+const LIST_KEYS = [
+  ...RESUME_ENTRY_SECTIONS.map(({ key }) => key),
+  "volunteer",
+  "certifications",
+  "languages",
+  "awards",
+  "publications",
+  "customSections",
+];
+
+export const customSectionKey = (section) => `custom:${section.id}`;
+
+// The user's order with unknown keys (e.g. deleted custom sections)
+// dropped and anything missing appended in the default order.
+export function completeSectionOrder(order = [], customSections = []) {
+  const keys = [
+    ...RESUME_SECTIONS.map(({ key }) => key),
+    ...customSections.map(customSectionKey),
+  ];
+  const kept = order.filter((key, i) => keys.includes(key) && order.indexOf(key) === i);
+  return [...kept, ...keys.filter((key) => !kept.includes(key))];
+}
+
+export const emptyResumeData = () => ({
+  contactInfo: { name: "", email: "", mobile: "", linkedin: "", twitter: "" },
+  summary: "",
+  skills: "",
+  ...Object.fromEntries(LIST_KEYS.map((key) => [key, []])),
+  sectionOrder: completeSectionOrder(),
+  sortByDate: [],
+});
+
+// Fills in missing fields so partial or older data is safe to edit.
+export function normalizeResumeData(data) {
+  const empty = emptyResumeData();
+  const lists = Object.fromEntries(LIST_KEYS.map((key) => [key, data?.[key] ?? []]));
+  return {
+    ...empty,
+    ...data,
+    contactInfo: { ...empty.contactInfo, ...data?.contactInfo },
+    ...lists,
+    sectionOrder: completeSectionOrder(data?.sectionOrder, lists.customSections),
+  };
+}
+
+// Structured data of a Resume or ResumeRevision row, falling back to
+// parsing the markdown of rows saved before structured data existed.
+export const resumeDataFromRecord = (record) =>
+  normalizeResumeData(
+    record?.data ?? (record?.content ? parseResumeMarkdown(record.content) : null)
+  );
+
+// JSON with object keys sorted, so data read back from the database (whose
+// jsonb columns reorder keys) compares equal to the same data from a form.
+const canonicalJSON = (value) =>
+  JSON.stringify(value, (key, v) =>
+    v && typeof v === "object" && !Array.isArray(v)
+      ? Object.fromEntries(Object.entries(v).sort(([a], [b]) => a.localeCompare(b)))
+      : v
+  );
+
+export const sameResumeData = (a, b) =>
+  canonicalJSON(normalizeResumeData(a)) === canonicalJSON(normalizeResumeData(b));
+
+// ---------------------------------------------------------
+// Sorting
+// ---------------------------------------------------------
+// Entry dates are "MMM yyyy" (or a bare year); null for anything else.
+export const parseEntryDate = (value) => {
+  if (!value) return null;
+  const date = parse(value.trim(), /^\d{4}$/.test(value.trim()) ? "yyyy" : "MMM yyyy", new Date());
+  return isValid(date) ? date : null;
+};
+
+const entryTime = (value) => parseEntryDate(value)?.getTime() ?? null;
+
+// Newest first: current entries, then by end date, then by start date.
+// Entries whose dates cannot be read keep their relative order at the end.
+export function sortEntriesByDate(entries) {
+  const sortKey = (entry) => [
+    entry.current ? Infinity : entryTime(entry.endDate) ?? entryTime(entry.startDate),
+    entryTime(entry.startDate),
+  ];
+  const compare = (a, b) => {
+    if (a === b) return 0;
+    if (a === null) return 1;
+    if (b === null) return -1;
+    return b - a;
+  };
+
+  return entries
+    .map((entry, index) => ({ entry, index, key: sortKey(entry) }))
+    .sort(
+      (a, b) =>
+        compare(a.key[0], b.key[0]) || compare(a.key[1], b.key[1]) || a.index - b.index
+    )
+    .map(({ entry }) => entry);
+}
+
+// ---------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------
+// The sections to render, in the user's order and without empty ones.
+// Each is { key, title, text } (paragraphs/markdown) or { key, title,
+// entries } (dated entries); certifications, awards and publications are
+// turned into entries so every renderer handles just those two shapes.
+const linkLine = (label, url) => (url ? `[${label}](${url})` : "");
+
+const SECTION_CONTENT = {
+  summary: (data) => ({ text: data.summary }),
+  skills: (data) => ({ text: data.skills }),
+  experience: (data) => ({ entries: data.experience }),
+  education: (data) => ({ entries: data.education }),
+  projects: (data) => ({ entries: data.projects }),
+  volunteer: (data) => ({ entries: data.volunteer }),
+  certifications: (data) => ({
+    entries: data.certifications.map((item) => ({
+      title: item.name,
+      organization: item.issuer ?? "",
+      startDate: item.date ?? "",
+      description: linkLine("Credential", item.url),
+    })),
+  }),
+  languages: (data) => ({
+    text: data.languages
+      .map((item) =>
+        item.proficiency ? `${item.language} (${item.proficiency})` : item.language
+      )
+      .join(", "),
+  }),
+  awards: (data) => ({
+    entries: data.awards.map((item) => ({
+      title: item.title,
+      organization: item.issuer ?? "",
+      startDate: item.date ?? "",
+      description: item.description ?? "",
+    })),
+  }),
+  publications: (data) => ({
+    entries: data.publications.map((item) => ({
+      title: item.title,
+      organization: item.publisher ?? "",
+      startDate: item.date ?? "",
+      description: [item.description, linkLine("Read online", item.url)]
+        .filter(Boolean)
+        .join("\n\n"),
+    })),
+  }),
+};
+
+export function resumeSections(resumeData) {
+  const data = normalizeResumeData(resumeData);
+
+  return data.sectionOrder
+    .map((key) => {
+      const custom = data.customSections.find((section) => customSectionKey(section) === key);
+      if (custom) return { key, title: custom.title, text: custom.content };
+      return {
+        key,
+        title: RESUME_SECTIONS.find((section) => section.key === key).title,
+        ...SECTION_CONTENT[key](data),
+      };
+    })
+    .filter((section) => (section.entries ? section.entries.length : section.text?.trim()));
+}
+
+// Plain text only: emoji and HTML in the contact block are ATS hazards
+// (see app/lib/ats.js), and older resumes that used them are still parsed.
+export function contactToMarkdown(contactInfo = {}) {
+  const parts = [];
+  if (contactInfo.email) parts.push(contactInfo.email);
+  if (contactInfo.mobile) parts.push(contactInfo.mobile);
+  if (contactInfo.linkedin) parts.push(`[LinkedIn](${contactInfo.linkedin})`);
+  if (contactInfo.twitter) parts.push(`[Twitter](${contactInfo.twitter})`);
+
+  return [contactInfo.name && `# ${contactInfo.name}`, parts.length > 0 && parts.join(" | ")]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+export function resumeToMarkdown(data) {
+  return [
+    contactToMarkdown(normalizeResumeData(data).contactInfo),
+    ...resumeSections(data).map(({ title, text, entries }) =>
+      entries ? entriesToMarkdown(entries, title) : `## ${title}\n\n${text}`
+    ),
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+// ---------------------------------------------------------
+// Parsing legacy markdown
+// ---------------------------------------------------------
+// Reads markdown in the format resumeToMarkdown writes (and the builder
+// wrote before it). Anything else is left out rather than guessed at.
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const sectionBody = (markdown, title) =>
+  markdown
+    .match(new RegExp(`(?:^|\\n)## ${escapeRegExp(title)}[ \\t]*\\n([\\s\\S]*?)(?=\\n## |$)`))?.[1]
+    ?.trim() ?? "";
+
+const parseDateRange = (line) => {
+  const [start = "", end = ""] = line.split(/\s+-\s+/).map((s) => s.trim());
+  return end === "Present"
+    ? { startDate: start, endDate: "", current: true }
+    : { startDate: start, endDate: end, current: false };
+};
+
+const parseEntries = (block) =>
+  block
+    .split(/^### /m)
+    .map((chunk) => chunk.trim())
+    .filter(Boolean)
+    .map((chunk) => {
+      const [heading, dateLine = "", ...rest] = chunk.split("\n");
+      const at = heading.lastIndexOf(" @ ");
+      return {
+        title: (at === -1 ? heading : heading.slice(0, at)).trim(),
+        organization: at === -1 ? "" : heading.slice(at + 3).trim(),
+        ...parseDateRange(dateLine),
+        description: rest.join("\n").trim(),
+      };
+    });
+
+export function parseResumeMarkdown(markdown = "") {
+  const result = emptyResumeData();
+  if (!markdown) return result;
+
+  // Older resumes centered the name and contact line in <div>s and marked
+  // each contact field with an emoji.
+  const legacyName = markdown.match(/## <div align="center">([\s\S]*?)<\/div>/)?.[1];
+  const name = legacyName ?? markdown.match(/^# (.+)$/m)?.[1];
+  if (name) result.contactInfo.name = name.trim();
+
+  const legacyContactLine = markdown
+    .match(/^<div align="center">\s*\n([\s\S]+?)<\/div>/m)?.[1]
+    ?.replace(/\n/g, " ");
+  const contactLine =
+    legacyContactLine ??
+    markdown
+      .split(/^## /m)[0]
+      .split("\n")
+      .find((line) => line.includes(" | ") || /@|\]\(/.test(line));
+  if (contactLine) {
+    const field = (pattern) => contactLine.match(pattern)?.[1]?.trim() ?? "";
+    const parts = contactLine.split("|").map((part) => part.trim());
+    result.contactInfo.email = legacyContactLine
+      ? field(/📧\s*([^|]+)/)
+      : (parts.find((part) => /^\S+@\S+$/.test(part)) ?? "");
+    result.contactInfo.mobile = legacyContactLine
+      ? field(/📱\s*([^|]+)/)
+      : (parts.find((part) => /^\+?[\d\s().-]{7,}$/.test(part)) ?? "");
+    result.contactInfo.linkedin = field(/\[LinkedIn\]\(([^)]+)\)/);
+    result.contactInfo.twitter = field(/\[Twitter\]\(([^)]+)\)/);
+  }
+
+  result.summary = sectionBody(markdown, "Professional Summary");
+  result.skills = sectionBody(markdown, "Skills");
+  for (const { key, title } of RESUME_ENTRY_SECTIONS) {
+    result[key] = parseEntries(sectionBody(markdown, title));
+  }
+
+  return result;
+}
@@ -27,7 +27,17 @@ export const onboardingSchema = z.object({
   ),
 });
 
+// Skills added to the profile from an uploaded resume
+export const profileSkillsSchema = z
+  .array(z.string().trim().max(100, "Skill name is too long"))
+  .max(200, "Too many skills");
+
+// Prompt versions (e.g. "resumeImprove@1") of the AI suggestions accepted
+// into a saved resume version
+export const promptVersionsSchema = z.array(z.string().max(100)).max(50);
+
 export const contactSchema = z.object({
+  name: z.string().optional(),
   email: z.string().email("Invalid email address"),
   mobile: z.string().optional(),
   linkedin: z.string().optional(),
@@ -56,6 +66,49 @@ export const entrySchema = z
     }
   );
 
+const optionalUrl = z
+  .string()
+  .url("Enter a full URL, including https://")
+  .optional()
+  .or(z.literal(""));
+
+export const certificationSchema = z.object({
+  name: z.string().min(1, "Name is required"),
+  issuer: z.string().optional(),
+  date: z.string().optional(),
+  url: optionalUrl,
+});
+
+export const languageSchema = z.object({
+  language: z.string().min(1, "Language is required"),
+  proficiency: z.string().optional(),
+});
+
+export const awardSchema = z.object({
+  title: z.string().min(1, "Title is required"),
+  issuer: z.string().optional(),
+  date: z.string().optional(),
+  description: z.string().optional(),
+});
+
+export const publicationSchema = z.object({
+  title: z.string().min(1, "Title is required"),
+  publisher: z.string().optional(),
+  date: z.string().optional(),
+  url: optionalUrl,
+  description: z.string().optional(),
+});
+
+export const customSectionSchema = z.object({
+  id: z.string().min(1),
+  title: z
+    .string()
+    .trim()
+    .min(1, "Custom sections need a title")
+    .max(60, "Section title is too long"),
+  content: z.string(),
+});
+
 export const resumeSchema = z.object({
   contactInfo: contactSchema,
   summary: z.string().min(1, "Professional summary is required"),
@@ -63,10 +116,169 @@ export const resumeSchema = z.object({
   experience: z.array(entrySchema),
   education: z.array(entrySchema),
   projects: z.array(entrySchema),
+  volunteer: z.array(entrySchema).default([]),
+  certifications: z.array(certificationSchema).default([]),
+  languages: z.array(languageSchema).default([]),
+  awards: z.array(awardSchema).default([]),
+  publications: z.array(publicationSchema).default([]),
+  customSections: z.array(customSectionSchema).default([]),
+  // Section keys ("summary", "custom:<id>", ...) in display order
+  sectionOrder: z.array(z.string()).default([]),
+  // Entry sections kept in reverse-chronological order automatically
+  sortByDate: z.array(z.string()).default([]),
+});
+
+// Shape-only version of resumeSchema for resume data that may still be
+// incomplete (an uploaded file, a tailored copy): types are checked and
+// unknown keys dropped, but nothing is required.
+const text = z.string().default("");
+
+const partialEntrySchema = z.object({
+  title: text,
+  organization: text,
+  startDate: text,
+  endDate: text,
+  description: text,
+  current: z.boolean().default(false),
+});
+
+export const partialResumeSchema = z.object({
+  contactInfo: z
+    .object({ name: text, email: text, mobile: text, linkedin: text, twitter: text })
+    .default({}),
+  summary: text,
+  skills: text,
+  experience: z.array(partialEntrySchema).default([]),
+  education: z.array(partialEntrySchema).default([]),
+  projects: z.array(partialEntrySchema).default([]),
+  volunteer: z.array(partialEntrySchema).default([]),
+  certifications: z
+    .array(z.object({ name: text, issuer: text, date: text, url: text }))
+    .default([]),
+  languages: z.array(z.object({ language: text, proficiency: text })).default([]),
+  awards: z
+    .array(z.object({ title: text, issuer: text, date: text, description: text }))
+    .default([]),
+  publications: z
+    .array(
+      z.object({ title: text, publisher: text, date: text, url: text, description: text })
+    )
+    .default([]),
+  customSections: z
+    .array(z.object({ id: z.string().min(1), title: text, content: text }))
+    .default([]),
+  sectionOrder: z.array(z.string()).default([]),
+  sortByDate: z.array(z.string()).default([]),
+});
+
+export const resumeDetailsSchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(1, "Resume name is required")
+    .max(80, "Resume name is too long"),
+  targetRole: z.string().trim().max(100, "Target role is too long").optional(),
 });
 
 export const coverLetterSchema = z.object({
   companyName: z.string().min(1, "Company name is required"),
   jobTitle: z.string().min(1, "Job title is required"),
   jobDescription: z.string().min(1, "Job description is required"),
+  resumeId: z.string().optional(),
+});
+
+// ---------------------------------------------------------
+// AI output schemas
+// ---------------------------------------------------------
+export const salaryRangeSchema = z
+  .object({
+    role: z.string().min(1),
+    min: z.number().nonnegative(),
+    max: z.number().nonnegative(),
+    median: z.number().nonnegative(),
+    location: z.string().optional(),
+  })
+  .refine((range) => range.min <= range.median && range.median <= range.max, {
+    message: "Salary range must satisfy min <= median <= max",
+  });
+
+export const industryInsightsSchema = z.object({
+  salaryRanges: z.array(salaryRangeSchema).min(1),
+  growthRate: z.number(),
+  demandLevel: z.enum(["High", "Medium", "Low"]),
+  topSkills: z.array(z.string().min(1)).min(1),
+  marketOutlook: z.enum(["Positive", "Neutral", "Negative"]),
+  keyTrends: z.array(z.string().min(1)).min(1),
+  recommendedSkills: z.array(z.string().min(1)).min(1),
+});
+
+export const quizQuestionSchema = z
+  .object({
+    question: z.string().min(1),
+    options: z.array(z.string().min(1)).length(4),
+    correctAnswer: z.string().min(1),
+    explanation: z.string().min(1),
+  })
+  .refine((q) => q.options.includes(q.correctAnswer), {
+    message: "correctAnswer must be one of the options",
+    path: ["correctAnswer"],
+  });
+
+export const quizSchema = z.object({
+  questions: z.array(quizQuestionSchema).length(10),
+});
+
+// Resume fields read from an uploaded PDF/DOCX. Lenient on purpose: the
+// user reviews the result before anything is saved.
+const parsedEntrySchema = z.object({
+  title: z.string().default(""),
+  organization: z.string().default(""),
+  startDate: z.string().default(""),
+  endDate: z.string().default(""),
+  current: z.boolean().default(false),
+  description: z.string().default(""),
+});
+
+export const parsedResumeSchema = z.object({
+  contactInfo: z
+    .object({
+      name: z.string().default(""),
+      email: z.string().default(""),
+      mobile: z.string().default(""),
+      linkedin: z.string().default(""),
+      twitter: z.string().default(""),
+    })
+    .default({}),
+  summary: z.string().default(""),
+  skills: z.array(z.string().min(1)).default([]),
+  experience: z.array(parsedEntrySchema).default([]),
+  education: z.array(parsedEntrySchema).default([]),
+  projects: z.array(parsedEntrySchema).default([]),
+});
+
+export const tailorJobSchema = z.object({
+  jobDescription: z.string().trim().min(1, "Job description is required"),
+  jobTitle: z.string().trim().optional(),
+  companyName: z.string().trim().optional(),
+});
+
+export const resumeTailorSchema = z.object({
+  keywords: z.array(z.string().min(1)).min(1),
+  summary: z.string(),
+  entries: z.array(
+    z.object({
+      section: z.enum(["experience", "projects"]),
+      index: z.number().int().nonnegative(),
+      description: z.string().min(1),
+    })
+  ),
+});
+
+// Query options of the resume PDF route; margin is in millimetres.
+export const resumePdfOptionsSchema = z.object({
+  template: z.enum(["classic", "modern", "compact", "two-column"]).default("classic"),
+  pageSize: z.enum(["A4", "LETTER"]).default("A4"),
+  margin: z.coerce.number().min(5).max(40).default(15),
+  font: z.enum(["sans", "serif", "mono"]).default("sans"),
+  fontSize: z.coerce.number().min(8).max(14).default(10),
 });
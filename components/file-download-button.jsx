@@ -0,0 +1,59 @@
+"use client";
+
+import { useState } from "react";
+import { Download, Loader2 } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Fetches a generated file (e.g. /api/resume/<id>/docx) and saves it as
+// `fileName`. Errors from the route ({ error }) are shown as toasts.
+export default function FileDownloadButton({
+  href,
+  fileName,
+  title,
+  variant = "outline",
+  children,
+}) {
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  const handleDownload = async () => {
+    setIsDownloading(true);
+    try {
+      const response = await fetch(href);
+      if (!response.ok) {
+        const body = await response.json().catch(() => null);
+        throw new Error(body?.error || "Download failed");
+      }
+      downloadBlob(await response.blob(), fileName);
+    } catch (error) {
+      toast.error(error.message || "Download failed");
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  return (
+    <Button
+      variant={variant}
+      title={title}
+      onClick={handleDownload}
+      disabled={isDownloading}
+    >
+      {isDownloading ? (
+        <Loader2 className="h-4 w-4 animate-spin" />
+      ) : (
+        <Download className="h-4 w-4" />
+      )}
+      {children}
+    </Button>
+  );
+}
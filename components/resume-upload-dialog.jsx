@@ -0,0 +1,315 @@
+"use client";
+
+import { useState } from "react";
+import { AlertTriangle, FileUp, Loader2 } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { addProfileSkills } from "@/actions/user";
+import { missingEntryFields } from "@/app/lib/resume-parser";
+import { RESUME_ENTRY_SECTIONS } from "@/app/lib/resume";
+
+const RESUME_UPLOAD_ACCEPT =
+  ".pdf,.docx,application/pdf,application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+// Everything that was found starts out selected.
+const selectAll = (result) => ({
+  contactInfo: Object.values(result.contactInfo).some(Boolean),
+  summary: !!result.summary,
+  skills: result.skills.length > 0,
+  ...Object.fromEntries(
+    RESUME_ENTRY_SECTIONS.map(({ key }) => [key, result[key].map(() => true)])
+  ),
+});
+
+function ReviewItem({ checked, onCheckedChange, title, children }) {
+  return (
+    <label className="flex items-start gap-3 rounded-lg border p-3 cursor-pointer">
+      <input
+        type="checkbox"
+        className="mt-1"
+        checked={checked}
+        onChange={(e) => onCheckedChange(e.target.checked)}
+      />
+      <div className="space-y-1 min-w-0">
+        <div className="font-medium text-sm">{title}</div>
+        <div className="text-sm text-muted-foreground break-words">
+          {children}
+        </div>
+      </div>
+    </label>
+  );
+}
+
+// Uploads a PDF/DOCX resume to /api/resume/parse and lets the user pick
+// which of the parsed fields to keep. `onApply` receives a parse-shaped
+// object holding only the selected parts (see mergeParsedResume) plus the
+// file name, and may throw to keep the dialog open. With `profileOption`
+// the user can also add the parsed skills to their profile.
+export default function ResumeUploadDialog({
+  trigger,
+  title = "Upload Resume",
+  description = "Import the contents of an existing PDF or Word resume. You can review everything before it is applied.",
+  applyLabel = "Apply",
+  profileOption = false,
+  onApply,
+}) {
+  const [open, setOpen] = useState(false);
+  const [file, setFile] = useState(null);
+  const [useAI, setUseAI] = useState(false);
+  const [isParsing, setIsParsing] = useState(false);
+  const [isApplying, setIsApplying] = useState(false);
+  const [result, setResult] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [addToProfile, setAddToProfile] = useState(false);
+
+  const handleOpenChange = (next) => {
+    if (next) {
+      setFile(null);
+      setResult(null);
+      setSelected(null);
+      setAddToProfile(false);
+    }
+    setOpen(next);
+  };
+
+  const handleParse = async () => {
+    setIsParsing(true);
+    try {
+      const body = new FormData();
+      body.append("file", file);
+      body.append("useAI", String(useAI));
+
+      const response = await fetch("/api/resume/parse", {
+        method: "POST",
+        body,
+      });
+      const parsed = await response.json().catch(() => null);
+      if (!response.ok) {
+        throw new Error(parsed?.error || "Failed to read the resume");
+      }
+
+      setResult(parsed);
+      setSelected(selectAll(parsed));
+    } catch (error) {
+      toast.error(error.message || "Failed to read the resume");
+    } finally {
+      setIsParsing(false);
+    }
+  };
+
+  const toggle = (key, index) => (checked) =>
+    setSelected((current) => ({
+      ...current,
+      [key]:
+        index === undefined
+          ? checked
+          : current[key].map((value, i) => (i === index ? checked : value)),
+    }));
+
+  const handleApply = async () => {
+    const selection = {
+      fileName: file.name,
+      contactInfo: selected.contactInfo ? result.contactInfo : {},
+      summary: selected.summary ? result.summary : "",
+      skills: selected.skills ? result.skills : [],
+      ...Object.fromEntries(
+        RESUME_ENTRY_SECTIONS.map(({ key }) => [
+          key,
+          result[key].filter((_, i) => selected[key][i]),
+        ])
+      ),
+    };
+
+    setIsApplying(true);
+    try {
+      await onApply(selection);
+      if (addToProfile && selection.skills.length) {
+        const { added } = await addProfileSkills(selection.skills);
+        if (added.length) {
+          toast.success(`Added ${added.length} skill(s) to your profile`);
+        }
+      }
+      setOpen(false);
+    } catch (error) {
+      toast.error(error.message || "Failed to apply the resume");
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  const contact = result?.contactInfo;
+  const nothingSelected =
+    selected && !Object.values(selected).flat().some(Boolean);
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogTrigger asChild>{trigger}</DialogTrigger>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>{title}</DialogTitle>
+          <DialogDescription>{description}</DialogDescription>
+        </DialogHeader>
+
+        {!result ? (
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="resume-upload-file">Resume file</Label>
+              <Input
+                id="resume-upload-file"
+                type="file"
+                accept={RESUME_UPLOAD_ACCEPT}
+                onChange={(e) => setFile(e.target.files?.[0] ?? null)}
+              />
+              <p className="text-sm text-muted-foreground">
+                PDF or Word (.docx), up to 5 MB. Scanned PDFs without a text
+                layer can&apos;t be read.
+              </p>
+            </div>
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={useAI}
+                onChange={(e) => setUseAI(e.target.checked)}
+              />
+              Use AI for better results (counts toward your AI usage)
+            </label>
+            <DialogFooter>
+              <Button onClick={handleParse} disabled={!file || isParsing}>
+                {isParsing ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Reading...
+                  </>
+                ) : (
+                  <>
+                    <FileUp className="h-4 w-4" />
+                    Read Resume
+                  </>
+                )}
+              </Button>
+            </DialogFooter>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {result.warnings.length > 0 && (
+              <div className="rounded-lg border border-yellow-500/50 bg-yellow-500/10 p-3 text-sm space-y-1">
+                {result.warnings.map((warning) => (
+                  <p key={warning} className="flex gap-2">
+                    <AlertTriangle className="h-4 w-4 shrink-0 text-yellow-600" />
+                    {warning}
+                  </p>
+                ))}
+              </div>
+            )}
+
+            <div className="space-y-2 max-h-[50vh] overflow-y-auto pr-1">
+              {Object.values(contact).some(Boolean) && (
+                <ReviewItem
+                  title="Contact information"
+                  checked={selected.contactInfo}
+                  onCheckedChange={toggle("contactInfo")}
+                >
+                  {Object.values(contact).filter(Boolean).join(" · ")}
+                </ReviewItem>
+              )}
+              {result.summary && (
+                <ReviewItem
+                  title="Professional summary"
+                  checked={selected.summary}
+                  onCheckedChange={toggle("summary")}
+                >
+                  <span className="line-clamp-3">{result.summary}</span>
+                </ReviewItem>
+              )}
+              {result.skills.length > 0 && (
+                <ReviewItem
+                  title={`Skills (${result.skills.length})`}
+                  checked={selected.skills}
+                  onCheckedChange={toggle("skills")}
+                >
+                  {result.skills.join(", ")}
+                </ReviewItem>
+              )}
+              {RESUME_ENTRY_SECTIONS.map(({ key, title: sectionTitle }) =>
+                result[key].map((entry, index) => {
+                  const missing = missingEntryFields(entry);
+                  return (
+                    <ReviewItem
+                      key={`${key}-${index}`}
+                      title={
+                        <span className="flex flex-wrap items-center gap-2">
+                          {sectionTitle}: {entry.title || "Untitled"}
+                          {entry.organization && ` @ ${entry.organization}`}
+                          {missing.length > 0 && (
+                            <Badge variant="outline">
+                              Missing {missing.join(", ")}
+                            </Badge>
+                          )}
+                        </span>
+                      }
+                      checked={selected[key][index]}
+                      onCheckedChange={toggle(key, index)}
+                    >
+                      {entry.startDate} -{" "}
+                      {entry.current ? "Present" : entry.endDate}
+                      {entry.description && (
+                        <span className="block line-clamp-2 whitespace-pre-line">
+                          {entry.description}
+                        </span>
+                      )}
+                    </ReviewItem>
+                  );
+                })
+              )}
+            </div>
+
+            {profileOption && result.skills.length > 0 && (
+              <label className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={addToProfile}
+                  disabled={!selected.skills}
+                  onChange={(e) => setAddToProfile(e.target.checked)}
+                />
+                Also add these skills to my profile
+              </label>
+            )}
+
+            <DialogFooter>
+              <Button
+                variant="outline"
+                onClick={() => {
+                  setFile(null);
+                  setResult(null);
+                }}
+              >
+                Choose Another File
+              </Button>
+              <Button
+                onClick={handleApply}
+                disabled={nothingSelected || isApplying}
+              >
+                {isApplying && (
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                )}
+                {applyLabel}
+              </Button>
+            </DialogFooter>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,118 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { saveResumeDraft } from "@/actions/resume";
+
+const LOCAL_DELAY = 1000;
+const SERVER_DELAY = 5000;
+
+const storageKey = (resumeId) => `resume-draft:${resumeId}`;
+
+// The draft kept in this browser: { data, baseVersion, savedAt } or null.
+export function readLocalDraft(resumeId) {
+  try {
+    const draft = JSON.parse(localStorage.getItem(storageKey(resumeId)));
+    return draft?.data && !isNaN(Date.parse(draft.savedAt)) ? draft : null;
+  } catch {
+    return null;
+  }
+}
+
+// False when storage is unavailable or full (e.g. private browsing).
+const writeLocalDraft = (resumeId, data, baseVersion) => {
+  try {
+    localStorage.setItem(
+      storageKey(resumeId),
+      JSON.stringify({ data, baseVersion, savedAt: new Date().toISOString() })
+    );
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Debounced autosave of unsaved builder edits: to localStorage after a
+// second, then to the server as a draft revision. Nothing is stored while
+// the form matches the saved resume. `enabled: false` pauses the server
+// side (e.g. while a conflict is being resolved), and `onConflict`
+// receives the newer resume when someone saved since `baseVersion`.
+//
+// Returns { status, savedAt, clear }: status is null, "local", "server" or
+// "local-only" (the server draft failed); `clear` drops this browser's
+// draft after a save.
+export default function useResumeAutosave({
+  resumeId,
+  data,
+  baseVersion,
+  isDirty,
+  enabled = true,
+  onConflict,
+}) {
+  const [status, setStatus] = useState(null);
+  const [savedAt, setSavedAt] = useState(null);
+
+  const latest = useRef();
+  latest.current = { data, baseVersion, isDirty, onConflict };
+
+  const serialized = JSON.stringify(data);
+
+  useEffect(() => {
+    if (!isDirty) return;
+    // Set on cleanup, so a draft request overtaken by newer edits or a
+    // save doesn't report a stale status or conflict.
+    let cancelled = false;
+
+    const localTimer = setTimeout(() => {
+      const stored = writeLocalDraft(resumeId, JSON.parse(serialized), baseVersion);
+      setStatus(stored ? "local" : null);
+    }, LOCAL_DELAY);
+
+    const serverTimer =
+      enabled &&
+      setTimeout(async () => {
+        try {
+          const result = await saveResumeDraft(
+            resumeId,
+            JSON.parse(serialized),
+            baseVersion
+          );
+          if (cancelled) return;
+          if (result.conflict) {
+            latest.current.onConflict?.(result.resume);
+          } else if (result.savedAt) {
+            setStatus("server");
+            setSavedAt(new Date(result.savedAt));
+          }
+        } catch (error) {
+          console.error("Error autosaving resume draft:", error);
+          if (!cancelled) setStatus("local-only");
+        }
+      }, SERVER_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(localTimer);
+      clearTimeout(serverTimer);
+    };
+  }, [resumeId, serialized, baseVersion, isDirty, enabled]);
+
+  // Closing the tab before the debounce fires still keeps the edits
+  useEffect(() => {
+    const flush = () => {
+      const { data, baseVersion, isDirty } = latest.current;
+      if (isDirty) writeLocalDraft(resumeId, data, baseVersion);
+    };
+    window.addEventListener("pagehide", flush);
+    return () => window.removeEventListener("pagehide", flush);
+  }, [resumeId]);
+
+  const clear = useCallback(() => {
+    try {
+      localStorage.removeItem(storageKey(resumeId));
+    } catch {
+      // Storage unavailable: nothing was stored either
+    }
+    setStatus(null);
+    setSavedAt(null);
+  }, [resumeId]);
+
+  return { status, savedAt, clear };
+}
@@ -0,0 +1,10 @@
+export async function register() {
+  if (process.env.NEXT_RUNTIME === "nodejs") {
+    const { validateModelConfig } = await import("./lib/ai/config");
+    const { getQuotaConfig } = await import("./lib/ai/usage");
+    const { validatePromptVersions } = await import("./lib/ai/prompts");
+    validateModelConfig();
+    getQuotaConfig();
+    validatePromptVersions();
+  }
+}
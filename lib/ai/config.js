@@ -0,0 +1,146 @@
+import { z } from "zod";
+import { db } from "@/lib/prisma";
+import { AI_FEATURES } from "./features";
+
+// Model settings per AI feature, resolved in three layers:
+//   1. DEFAULT_MODEL_CONFIG below
+//   2. AI_MODEL_CONFIG env var (JSON, partial settings keyed by feature)
+//   3. FeatureModelSetting rows in the database
+// Later layers override earlier ones field by field.
+
+export const DEFAULT_MODEL = "gemini-2.5-pro";
+export const DEFAULT_FALLBACK_MODELS = ["gemini-2.0-flash"];
+
+const baseConfig = {
+  model: DEFAULT_MODEL,
+  fallbackModels: DEFAULT_FALLBACK_MODELS,
+};
+
+export const DEFAULT_MODEL_CONFIG = Object.fromEntries(
+  Object.values(AI_FEATURES).map((feature) => [feature, baseConfig])
+);
+
+export const featureModelConfigSchema = z.object({
+  model: z.string().min(1),
+  fallbackModels: z.array(z.string().min(1)),
+  temperature: z.number().min(0).max(2).optional(),
+  maxOutputTokens: z.number().int().positive().optional(),
+});
+
+const envConfigSchema = z
+  .object(
+    Object.fromEntries(
+      Object.values(AI_FEATURES).map((feature) => [
+        feature,
+        featureModelConfigSchema.partial().strict().optional(),
+      ])
+    )
+  )
+  .strict();
+
+// Throws if AI_MODEL_CONFIG is not valid JSON or does not match the schema.
+export function parseEnvModelConfig(raw = process.env.AI_MODEL_CONFIG) {
+  if (!raw) return {};
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`AI_MODEL_CONFIG is not valid JSON: ${error.message}`);
+  }
+
+  const result = envConfigSchema.safeParse(parsed);
+  if (!result.success) {
+    const issues = result.error.issues
+      .map((issue) =>
+        issue.path.length ? `${issue.path.join(".")}: ${issue.message}` : issue.message
+      )
+      .join("; ");
+    throw new Error(`Invalid AI_MODEL_CONFIG: ${issues}`);
+  }
+
+  return result.data;
+}
+
+// Called from instrumentation.js so a bad config fails at startup.
+export function validateModelConfig() {
+  const envConfig = parseEnvModelConfig();
+  for (const feature of Object.values(AI_FEATURES)) {
+    featureModelConfigSchema.parse({
+      ...DEFAULT_MODEL_CONFIG[feature],
+      ...envConfig[feature],
+    });
+  }
+}
+
+// ---------------------------------------------------------
+// Database overrides
+// ---------------------------------------------------------
+const CACHE_TTL_MS = 60 * 1000;
+let cache = { loadedAt: 0, settings: {} };
+
+const rowToConfig = (row) => {
+  const config = { model: row.model };
+  if (row.fallbackModels?.length) config.fallbackModels = row.fallbackModels;
+  if (row.temperature !== null) config.temperature = row.temperature;
+  if (row.maxOutputTokens !== null) config.maxOutputTokens = row.maxOutputTokens;
+  return config;
+};
+
+export async function loadDbModelConfig({ fresh = false } = {}) {
+  if (!fresh && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.settings;
+  }
+
+  let settings = {};
+  try {
+    const rows = await db.featureModelSetting.findMany();
+    for (const row of rows) {
+      const result = featureModelConfigSchema.partial().safeParse(rowToConfig(row));
+      if (result.success) {
+        settings[row.feature] = result.data;
+      } else {
+        console.warn(`Ignoring invalid model setting for ${row.feature}`);
+      }
+    }
+  } catch (error) {
+    // Keep AI features working (e.g. offline with the fake provider) when
+    // the settings table is unreachable.
+    console.warn("Could not load model settings from database:", error.message);
+    settings = cache.settings;
+  }
+
+  cache = { loadedAt: Date.now(), settings };
+  return settings;
+}
+
+export async function getFeatureConfig(feature) {
+  if (!feature) return baseConfig;
+
+  const envConfig = parseEnvModelConfig();
+  const dbConfig = await loadDbModelConfig();
+
+  return {
+    ...(DEFAULT_MODEL_CONFIG[feature] ?? baseConfig),
+    ...envConfig[feature],
+    ...dbConfig[feature],
+  };
+}
+
+// Every layer for every feature, for the admin overview.
+export async function describeModelConfig() {
+  const envConfig = parseEnvModelConfig();
+  const dbConfig = await loadDbModelConfig({ fresh: true });
+
+  return Object.values(AI_FEATURES).map((feature) => ({
+    feature,
+    defaults: DEFAULT_MODEL_CONFIG[feature],
+    env: envConfig[feature] ?? null,
+    db: dbConfig[feature] ?? null,
+    effective: {
+      ...DEFAULT_MODEL_CONFIG[feature],
+      ...envConfig[feature],
+      ...dbConfig[feature],
+    },
+  }));
+}
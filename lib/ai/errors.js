@@ -0,0 +1,42 @@
+// Raised when the model keeps returning JSON that cannot be parsed or does
+// not match the expected schema, even after repair attempts.
+export class AIOutputValidationError extends Error {
+  constructor(message, { issues = [], attempts = 0, text = null } = {}) {
+    super(message);
+    this.name = "AIOutputValidationError";
+    this.issues = issues;
+    this.attempts = attempts;
+    this.text = text;
+  }
+}
+
+// Raised when retries and fallbacks could not finish within the per-call
+// deadline. The last underlying error is kept as `cause`.
+export class AIDeadlineExceededError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "AIDeadlineExceededError";
+  }
+}
+
+// Raised when a user has used up their daily or monthly AI allowance.
+// The message is meant to be shown to the user as is.
+export class AIQuotaExceededError extends Error {
+  constructor(message, { feature = null, period = null, limit = null } = {}) {
+    super(message);
+    this.name = "AIQuotaExceededError";
+    this.feature = feature;
+    this.period = period;
+    this.limit = limit;
+  }
+}
+
+// Raised when user-supplied text looks like a prompt-injection attempt and
+// AI_BLOCK_PROMPT_INJECTION is enabled.
+export class AIPromptInjectionError extends Error {
+  constructor(message, { findings = [] } = {}) {
+    super(message);
+    this.name = "AIPromptInjectionError";
+    this.findings = findings;
+  }
+}
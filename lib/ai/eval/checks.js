@@ -0,0 +1,112 @@
+import { AI_FEATURES } from "../features";
+
+// Deterministic checks run against every eval output. Each check gets
+// { text, data, parseError, schema } and returns { pass, detail? }.
+// `data` is only set for JSON features whose output parsed.
+
+export const countWords = (text) =>
+  text.trim().split(/\s+/).filter(Boolean).length;
+
+const validJSON = {
+  id: "valid-json",
+  run: ({ parseError }) => ({ pass: !parseError, detail: parseError }),
+};
+
+const matchesSchema = {
+  id: "schema",
+  run: ({ data, schema }) => {
+    if (data === undefined) return { pass: false, detail: "no JSON to validate" };
+    const result = schema.safeParse(data);
+    return result.success
+      ? { pass: true }
+      : {
+          pass: false,
+          detail: result.error.issues
+            .map((i) => `${i.path.join(".") || "(root)"}: ${i.message}`)
+            .join("; "),
+        };
+  },
+};
+
+const notEmpty = {
+  id: "not-empty",
+  run: ({ text }) => ({ pass: !!text?.trim() }),
+};
+
+export const EVAL_CHECKS = {
+  [AI_FEATURES.COVER_LETTER]: [
+    notEmpty,
+    {
+      id: "under-400-words",
+      run: ({ text }) => {
+        const words = countWords(text);
+        return { pass: words < 400, detail: `${words} words` };
+      },
+    },
+  ],
+
+  [AI_FEATURES.QUIZ]: [
+    validJSON,
+    matchesSchema,
+    {
+      id: "ten-questions",
+      run: ({ data }) => {
+        const count = data?.questions?.length ?? 0;
+        return { pass: count === 10, detail: `${count} questions` };
+      },
+    },
+    {
+      id: "four-options",
+      run: ({ data }) => {
+        const questions = data?.questions ?? [];
+        const bad = questions.filter((q) => q.options?.length !== 4).length;
+        return {
+          pass: questions.length > 0 && bad === 0,
+          detail: bad ? `${bad} question(s) without exactly 4 options` : undefined,
+        };
+      },
+    },
+  ],
+
+  [AI_FEATURES.INDUSTRY_INSIGHTS]: [
+    validJSON,
+    matchesSchema,
+    {
+      id: "salary-order",
+      run: ({ data }) => {
+        const ranges = data?.salaryRanges ?? [];
+        const bad = ranges.filter(
+          (r) => !(r.min <= r.median && r.median <= r.max)
+        );
+        return {
+          pass: ranges.length > 0 && bad.length === 0,
+          detail: bad.length
+            ? `min <= median <= max violated for ${bad.map((r) => r.role).join(", ")}`
+            : undefined,
+        };
+      },
+    },
+  ],
+
+  [AI_FEATURES.RESUME_IMPROVE]: [
+    notEmpty,
+    {
+      id: "single-paragraph",
+      run: ({ text }) => ({ pass: !/\n\s*\n/.test(text.trim()) }),
+    },
+  ],
+};
+
+export const EVAL_FEATURES = Object.keys(EVAL_CHECKS);
+
+export function runChecks(feature, output) {
+  return Object.fromEntries(
+    EVAL_CHECKS[feature].map(({ id, run }) => {
+      try {
+        return [id, run(output)];
+      } catch (error) {
+        return [id, { pass: false, detail: error.message }];
+      }
+    })
+  );
+}
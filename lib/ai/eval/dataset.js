@@ -0,0 +1,105 @@
+import { readdir, readFile } from "fs/promises";
+import path from "path";
+import { AI_FEATURES } from "../features";
+import { coverLetterVariables } from "../prompts/cover-letter";
+
+// Golden inputs live in one directory per kind, one JSON file per item:
+//
+//   profiles/          { industry, experience, skills, bio }
+//   job-descriptions/  { jobTitle, companyName, jobDescription }
+//   resume-entries/    { type, industry, current, instruction? }
+//
+// An item's id is its file name without the extension.
+const KINDS = {
+  profiles: "profiles",
+  jobs: "job-descriptions",
+  entries: "resume-entries",
+};
+
+const readItems = async (dir) => {
+  let files;
+  try {
+    files = (await readdir(dir)).filter((f) => f.endsWith(".json")).sort();
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  return Promise.all(
+    files.map(async (file) => {
+      try {
+        const item = JSON.parse(await readFile(path.join(dir, file), "utf8"));
+        return { id: path.basename(file, ".json"), ...item };
+      } catch (error) {
+        throw new Error(`Invalid golden input ${path.join(dir, file)}: ${error.message}`);
+      }
+    })
+  );
+};
+
+export async function loadGoldenSet(dir) {
+  const entries = await Promise.all(
+    Object.entries(KINDS).map(async ([key, sub]) => [
+      key,
+      await readItems(path.join(dir, sub)),
+    ])
+  );
+  return Object.fromEntries(entries);
+}
+
+// Expands the golden set into one case per prompt input:
+// every profile x job description for cover letters, every profile for
+// quizzes, every distinct industry for insights and every resume entry.
+export function buildCases({ profiles, jobs, entries }, features) {
+  const cases = [];
+  const wanted = (feature) => features.includes(feature);
+
+  if (wanted(AI_FEATURES.COVER_LETTER)) {
+    for (const profile of profiles) {
+      for (const job of jobs) {
+        cases.push({
+          id: `${AI_FEATURES.COVER_LETTER}/${profile.id}+${job.id}`,
+          feature: AI_FEATURES.COVER_LETTER,
+          variables: coverLetterVariables(profile, job),
+        });
+      }
+    }
+  }
+
+  if (wanted(AI_FEATURES.QUIZ)) {
+    for (const profile of profiles) {
+      cases.push({
+        id: `${AI_FEATURES.QUIZ}/${profile.id}`,
+        feature: AI_FEATURES.QUIZ,
+        variables: { industry: profile.industry, skills: profile.skills ?? [] },
+      });
+    }
+  }
+
+  if (wanted(AI_FEATURES.INDUSTRY_INSIGHTS)) {
+    for (const industry of new Set(profiles.map((p) => p.industry))) {
+      cases.push({
+        id: `${AI_FEATURES.INDUSTRY_INSIGHTS}/${industry}`,
+        feature: AI_FEATURES.INDUSTRY_INSIGHTS,
+        variables: { industry },
+      });
+    }
+  }
+
+  if (wanted(AI_FEATURES.RESUME_IMPROVE)) {
+    for (const entry of entries) {
+      cases.push({
+        id: `${AI_FEATURES.RESUME_IMPROVE}/${entry.id}`,
+        feature: AI_FEATURES.RESUME_IMPROVE,
+        variables: {
+          type: entry.type,
+          industry: entry.industry,
+          current: entry.current,
+          instruction: entry.instruction ?? "",
+        },
+      });
+    }
+  }
+
+  return cases;
+}
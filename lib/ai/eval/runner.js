@@ -0,0 +1,199 @@
+import { generateText, parseJSON } from "../provider";
+import { renderPrompt } from "../prompts";
+import { EVAL_CHECKS, countWords, runChecks } from "./checks";
+
+// Runs golden cases through the prompt registry and provider layer, scores
+// the outputs with ./checks and compares two variants. A variant picks what
+// to evaluate:
+//
+//   { label, provider, model, prompts }
+//
+// `prompts` pins versions by prompt id (same shape as AI_PROMPT_VERSIONS);
+// `model` replaces the configured model (and drops fallbacks) for every
+// feature; `provider` overrides AI_PROVIDER, e.g. "fake" to replay fixtures.
+
+export const describeVariant = (variant) =>
+  variant.label ||
+  [
+    variant.provider && `provider=${variant.provider}`,
+    variant.model && `model=${variant.model}`,
+    variant.prompts &&
+      `prompts=${Object.entries(variant.prompts)
+        .map(([id, version]) => `${id}@${version}`)
+        .join(",")}`,
+  ]
+    .filter(Boolean)
+    .join(" ") ||
+  "current config";
+
+async function runCase({ id, feature, variables }, variant) {
+  const startedAt = Date.now();
+  let promptVersion = null;
+
+  try {
+    const { prompt, schema, redactions, ...rendered } = renderPrompt(
+      feature,
+      variables,
+      { version: variant.prompts?.[feature] }
+    );
+    promptVersion = rendered.promptVersion;
+
+    const text = await generateText({
+      feature,
+      prompt,
+      promptVersion,
+      redactions,
+      provider: variant.provider,
+      ...(variant.model && { model: variant.model, fallbackModels: [] }),
+      ...(schema && { json: true }),
+    });
+
+    const output = { text, schema };
+    if (schema) {
+      try {
+        output.data = parseJSON(text);
+      } catch (error) {
+        output.parseError = error.message;
+      }
+    }
+
+    return {
+      id,
+      feature,
+      promptVersion,
+      latencyMs: Date.now() - startedAt,
+      wordCount: countWords(text),
+      text,
+      checks: runChecks(feature, output),
+    };
+  } catch (error) {
+    return {
+      id,
+      feature,
+      promptVersion,
+      latencyMs: Date.now() - startedAt,
+      error: error.message,
+      checks: Object.fromEntries(
+        EVAL_CHECKS[feature].map(({ id: checkId }) => [
+          checkId,
+          { pass: false, detail: error.message },
+        ])
+      ),
+    };
+  }
+}
+
+// Cases run one at a time to stay clear of provider rate limits.
+export async function runVariant(cases, variant, { onResult } = {}) {
+  const results = [];
+  for (const evalCase of cases) {
+    const result = await runCase(evalCase, variant);
+    results.push(result);
+    onResult?.(result);
+  }
+  return { variant, label: describeVariant(variant), results };
+}
+
+// Pass counts per feature and check.
+export function summarize({ results }) {
+  const summary = {};
+  for (const { feature, checks, latencyMs } of results) {
+    summary[feature] ??= { cases: 0, latencyMs: 0, checks: {} };
+    summary[feature].cases += 1;
+    summary[feature].latencyMs += latencyMs;
+    for (const [checkId, { pass }] of Object.entries(checks)) {
+      summary[feature].checks[checkId] ??= 0;
+      if (pass) summary[feature].checks[checkId] += 1;
+    }
+  }
+  return summary;
+}
+
+// Pairs results by case id and lists every check whose outcome differs.
+export function compareRuns(baseline, candidate) {
+  const candidateById = new Map(candidate.results.map((r) => [r.id, r]));
+  const changes = [];
+
+  for (const before of baseline.results) {
+    const after = candidateById.get(before.id);
+    if (!after) continue;
+
+    for (const [checkId, result] of Object.entries(before.checks)) {
+      const next = after.checks[checkId];
+      if (!next || next.pass === result.pass) continue;
+      changes.push({
+        id: before.id,
+        check: checkId,
+        kind: next.pass ? "improvement" : "regression",
+        before: result.detail,
+        after: next.detail,
+      });
+    }
+  }
+
+  return {
+    regressions: changes.filter((c) => c.kind === "regression"),
+    improvements: changes.filter((c) => c.kind === "improvement"),
+  };
+}
+
+const rate = (passed, total) =>
+  total ? `${passed}/${total} (${Math.round((passed / total) * 100)}%)` : "-";
+
+export function renderMarkdownReport({ baseline, candidate, generatedAt }) {
+  const before = summarize(baseline);
+  const after = summarize(candidate);
+  const { regressions, improvements } = compareRuns(baseline, candidate);
+
+  const lines = [
+    "# Prompt eval report",
+    "",
+    `Generated ${generatedAt}`,
+    "",
+    `- Baseline: ${baseline.label}`,
+    `- Candidate: ${candidate.label}`,
+    "",
+    "| Feature | Check | Baseline | Candidate |",
+    "| --- | --- | --- | --- |",
+  ];
+
+  for (const feature of Object.keys({ ...before, ...after })) {
+    const checkIds = Object.keys({
+      ...before[feature]?.checks,
+      ...after[feature]?.checks,
+    });
+    for (const checkId of checkIds) {
+      lines.push(
+        `| ${feature} | ${checkId} | ${rate(before[feature]?.checks[checkId] ?? 0, before[feature]?.cases ?? 0)} | ${rate(after[feature]?.checks[checkId] ?? 0, after[feature]?.cases ?? 0)} |`
+      );
+    }
+    const avg = (s) => (s ? `${Math.round(s.latencyMs / s.cases)} ms` : "-");
+    lines.push(`| ${feature} | avg latency | ${avg(before[feature])} | ${avg(after[feature])} |`);
+  }
+
+  const listChanges = (title, changes) => {
+    lines.push("", `## ${title} (${changes.length})`, "");
+    if (!changes.length) lines.push("None.");
+    for (const c of changes) {
+      const details = [c.before, c.after].map((d) => d ?? "ok").join(" -> ");
+      lines.push(`- \`${c.id}\` ${c.check}: ${details}`);
+    }
+  };
+  listChanges("Regressions", regressions);
+  listChanges("Improvements", improvements);
+
+  const errors = [
+    ["baseline", baseline],
+    ["candidate", candidate],
+  ].flatMap(([side, run]) =>
+    run.results.filter((r) => r.error).map((r) => ({ side, ...r }))
+  );
+  if (errors.length) {
+    lines.push("", `## Errors (${errors.length})`, "");
+    for (const r of errors) {
+      lines.push(`- ${r.side} \`${r.id}\` (${r.promptVersion ?? r.feature}): ${r.error}`);
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
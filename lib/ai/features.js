@@ -0,0 +1,21 @@
+// Identifiers for every AI-backed feature. Passed along with each call so
+// providers (and later config, metering, etc.) can tell the calls apart.
+export const AI_FEATURES = {
+  COVER_LETTER: "coverLetter",
+  QUIZ: "quiz",
+  IMPROVEMENT_TIP: "improvementTip",
+  RESUME_IMPROVE: "resumeImprove",
+  INDUSTRY_INSIGHTS: "industryInsights",
+  RESUME_PARSE: "resumeParse",
+  RESUME_TAILOR: "resumeTailor",
+};
+
+export const AI_FEATURE_LABELS = {
+  [AI_FEATURES.COVER_LETTER]: "Cover letters",
+  [AI_FEATURES.QUIZ]: "Interview quizzes",
+  [AI_FEATURES.IMPROVEMENT_TIP]: "Improvement tips",
+  [AI_FEATURES.RESUME_IMPROVE]: "Resume improvements",
+  [AI_FEATURES.INDUSTRY_INSIGHTS]: "Industry insights",
+  [AI_FEATURES.RESUME_PARSE]: "Resume parsing",
+  [AI_FEATURES.RESUME_TAILOR]: "Resume tailoring",
+};
@@ -0,0 +1,185 @@
+import { AI_FEATURES } from "../features";
+import { UNTRUSTED_INPUT_NOTICE } from "../guard";
+
+export const coverLetterPrompts = [
+  {
+    id: AI_FEATURES.COVER_LETTER,
+    version: 1,
+    variables: [
+      "jobTitle",
+      "companyName",
+      "jobDescription",
+      "industry",
+      "experience",
+      "skills",
+      "bio",
+    ],
+    render: ({
+      jobTitle,
+      companyName,
+      jobDescription,
+      industry,
+      experience,
+      skills,
+      bio,
+    }) => `
+    Write a professional cover letter for a ${jobTitle} position at ${companyName}.
+    
+    About the candidate:
+    - Industry: ${industry}
+    - Years of Experience: ${experience}
+    - Skills: ${skills?.join(", ")}
+    - Professional Background: ${bio}
+    
+    Job Description:
+    ${jobDescription}
+    
+    Requirements:
+    1. Use a professional, enthusiastic tone
+    2. Highlight relevant skills and experience
+    3. Show understanding of the company's needs
+    4. Keep it concise (max 400 words)
+    5. Use proper business letter formatting in markdown
+    6. Include specific examples of achievements
+    7. Relate candidate's background to job requirements
+    
+    Format the letter in markdown.
+  `,
+  },
+  {
+    id: AI_FEATURES.COVER_LETTER,
+    version: 2,
+    variables: [
+      "jobTitle",
+      "companyName",
+      "jobDescription",
+      "industry",
+      "experience",
+      "skills",
+      "bio",
+    ],
+    untrusted: ["jobTitle", "companyName", "jobDescription", "skills", "bio"],
+    render: ({
+      jobTitle,
+      companyName,
+      jobDescription,
+      industry,
+      experience,
+      skills,
+      bio,
+    }) => `
+    Write a professional cover letter for the position and company given below.
+
+    ${UNTRUSTED_INPUT_NOTICE}
+
+    Position:
+    ${jobTitle}
+
+    Company:
+    ${companyName}
+
+    About the candidate:
+    - Industry: ${industry}
+    - Years of Experience: ${experience}
+    - Skills:
+    ${skills || "(none listed)"}
+    - Professional Background:
+    ${bio || "(not provided)"}
+
+    Job Description:
+    ${jobDescription}
+
+    Requirements:
+    1. Use a professional, enthusiastic tone
+    2. Highlight relevant skills and experience
+    3. Show understanding of the company's needs
+    4. Keep it concise (max 400 words)
+    5. Use proper business letter formatting in markdown
+    6. Include specific examples of achievements
+    7. Relate candidate's background to job requirements
+    8. Keep placeholders such as [EMAIL_1] or [PHONE_1] exactly as written
+
+    Format the letter in markdown.
+  `,
+  },
+  {
+    id: AI_FEATURES.COVER_LETTER,
+    version: 3,
+    variables: [
+      "jobTitle",
+      "companyName",
+      "jobDescription",
+      "industry",
+      "experience",
+      "skills",
+      "bio",
+      "resume",
+    ],
+    untrusted: [
+      "jobTitle",
+      "companyName",
+      "jobDescription",
+      "skills",
+      "bio",
+      "resume",
+    ],
+    render: ({
+      jobTitle,
+      companyName,
+      jobDescription,
+      industry,
+      experience,
+      skills,
+      bio,
+      resume,
+    }) => `
+    Write a professional cover letter for the position and company given below.
+
+    ${UNTRUSTED_INPUT_NOTICE}
+
+    Position:
+    ${jobTitle}
+
+    Company:
+    ${companyName}
+
+    About the candidate:
+    - Industry: ${industry}
+    - Years of Experience: ${experience}
+    - Skills:
+    ${skills || "(none listed)"}
+    - Professional Background:
+    ${bio || "(not provided)"}
+    ${resume ? `
+    Candidate's resume (base the letter on this experience; do not invent roles or employers that are not in it):
+    ${resume}
+    ` : ""}
+    Job Description:
+    ${jobDescription}
+
+    Requirements:
+    1. Use a professional, enthusiastic tone
+    2. Highlight relevant skills and experience
+    3. Show understanding of the company's needs
+    4. Keep it concise (max 400 words)
+    5. Use proper business letter formatting in markdown
+    6. Include specific examples of achievements
+    7. Relate candidate's background to job requirements
+    8. Keep placeholders such as [EMAIL_1] or [PHONE_1] exactly as written
+
+    Format the letter in markdown.
+  `,
+  },
+];
+
+// `resume` is the Resume row the letter is based on, if any.
+export const coverLetterVariables = (user, data, resume = null) => ({
+  jobTitle: data.jobTitle,
+  companyName: data.companyName,
+  jobDescription: data.jobDescription,
+  industry: user.industry,
+  experience: user.experience,
+  skills: user.skills,
+  bio: user.bio,
+  resume: resume?.content,
+});
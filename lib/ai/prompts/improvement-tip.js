@@ -0,0 +1,35 @@
+import { AI_FEATURES } from "../features";
+import { UNTRUSTED_INPUT_NOTICE } from "../guard";
+
+export const improvementTipPrompts = [
+  {
+    id: AI_FEATURES.IMPROVEMENT_TIP,
+    version: 1,
+    // Pre-formatted list of the questions the user got wrong.
+    variables: ["wrongAnswers"],
+    render: ({ wrongAnswers }) => `
+      The user got these interview questions wrong:
+
+      ${wrongAnswers}
+
+      Give a short 1–2 sentence improvement tip.
+      Encourage the user. Do NOT restate the questions.
+    `,
+  },
+  {
+    id: AI_FEATURES.IMPROVEMENT_TIP,
+    version: 2,
+    variables: ["wrongAnswers"],
+    untrusted: ["wrongAnswers"],
+    render: ({ wrongAnswers }) => `
+      The user got these interview questions wrong:
+
+      ${wrongAnswers}
+
+      ${UNTRUSTED_INPUT_NOTICE}
+
+      Give a short 1–2 sentence improvement tip.
+      Encourage the user. Do NOT restate the questions.
+    `,
+  },
+];
@@ -0,0 +1,106 @@
+import { coverLetterPrompts } from "./cover-letter";
+import { quizPrompts } from "./quiz";
+import { improvementTipPrompts } from "./improvement-tip";
+import { resumeImprovePrompts } from "./resume-improve";
+import { industryInsightsPrompts } from "./industry-insights";
+import { resumeParsePrompts } from "./resume-parse";
+import { resumeTailorPrompts } from "./resume-tailor";
+import { guardVariables } from "../guard";
+import { AIPromptInjectionError } from "../errors";
+
+// Registry of versioned prompt templates. Each template has an id, an
+// integer version, the variables it needs, an optional zod output schema
+// and a render function. Never edit a published version in place: add a
+// new one so generated artifacts stay traceable to the prompt that made
+// them (see `promptVersion` on CoverLetter, Assessment, IndustryInsight
+// and AiUsage).
+//
+// The latest version of each prompt is used unless AI_PROMPT_VERSIONS pins
+// another, e.g. AI_PROMPT_VERSIONS={"coverLetter":1}.
+//
+// Variables listed in a template's `untrusted` are user-supplied text and
+// go through ../guard before rendering.
+const templates = [
+  ...coverLetterPrompts,
+  ...quizPrompts,
+  ...improvementTipPrompts,
+  ...resumeImprovePrompts,
+  ...industryInsightsPrompts,
+  ...resumeParsePrompts,
+  ...resumeTailorPrompts,
+];
+
+export const promptKey = (id, version) => `${id}@${version}`;
+
+export function listPrompts() {
+  return templates.map(({ id, version, variables, schema }) => ({
+    id,
+    version,
+    key: promptKey(id, version),
+    variables,
+    hasSchema: !!schema,
+  }));
+}
+
+const parsePinnedVersions = (raw = process.env.AI_PROMPT_VERSIONS) => {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`AI_PROMPT_VERSIONS is not valid JSON: ${error.message}`);
+  }
+};
+
+export function getPromptTemplate(id, version) {
+  const candidates = templates.filter((t) => t.id === id);
+  if (!candidates.length) throw new Error(`Unknown prompt: ${id}`);
+
+  const wanted = version ?? parsePinnedVersions()[id];
+  if (wanted === undefined) {
+    return candidates.reduce((a, b) => (b.version > a.version ? b : a));
+  }
+
+  const template = candidates.find((t) => t.version === Number(wanted));
+  if (!template) throw new Error(`Unknown prompt version: ${promptKey(id, wanted)}`);
+  return template;
+}
+
+// Called from instrumentation.js so a bad pin fails at startup.
+export function validatePromptVersions() {
+  for (const id of Object.keys(parsePinnedVersions())) {
+    getPromptTemplate(id);
+  }
+}
+
+// Returns { prompt, promptVersion, schema?, redactions? }, ready to spread
+// into generateText / generateJSON / streamText.
+export function renderPrompt(id, variables, { version } = {}) {
+  const template = getPromptTemplate(id, version);
+  const key = promptKey(id, template.version);
+
+  const missing = template.variables.filter((name) => !(name in variables));
+  if (missing.length) {
+    throw new Error(`Missing variables for prompt ${key}: ${missing.join(", ")}`);
+  }
+
+  const guarded = guardVariables(variables, template.untrusted);
+  if (guarded.findings.length) {
+    console.warn(
+      `Possible prompt injection in ${key}:`,
+      guarded.findings.map((f) => `${f.variable} (${f.id}): "${f.match}"`).join("; ")
+    );
+    if (process.env.AI_BLOCK_PROMPT_INJECTION === "true") {
+      throw new AIPromptInjectionError(
+        "Your input contains instructions aimed at the AI assistant. Please remove them and try again.",
+        { findings: guarded.findings }
+      );
+    }
+  }
+
+  return {
+    prompt: template.render(guarded.variables),
+    promptVersion: key,
+    ...(template.schema && { schema: template.schema }),
+    ...(guarded.redactions.length && { redactions: guarded.redactions }),
+  };
+}
@@ -0,0 +1,30 @@
+import { AI_FEATURES } from "../features";
+import { industryInsightsSchema } from "@/app/lib/schema";
+
+export const industryInsightsPrompts = [
+  {
+    id: AI_FEATURES.INDUSTRY_INSIGHTS,
+    version: 1,
+    variables: ["industry"],
+    schema: industryInsightsSchema,
+    render: ({ industry }) => `
+          Analyze the current state of the ${industry} industry and provide insights in ONLY the following JSON format without any additional notes or explanations:
+          {
+            "salaryRanges": [
+              { "role": "string", "min": number, "max": number, "median": number, "location": "string" }
+            ],
+            "growthRate": number,
+            "demandLevel": "High" | "Medium" | "Low",
+            "topSkills": ["skill1", "skill2"],
+            "marketOutlook": "Positive" | "Neutral" | "Negative",
+            "keyTrends": ["trend1", "trend2"],
+            "recommendedSkills": ["skill1", "skill2"]
+          }
+          
+          IMPORTANT: Return ONLY the JSON. No additional text, notes, or markdown formatting.
+          Include at least 5 common roles for salary ranges.
+          Growth rate should be a percentage.
+          Include at least 5 skills and trends.
+        `,
+  },
+];
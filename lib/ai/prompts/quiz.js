@@ -0,0 +1,60 @@
+import { AI_FEATURES } from "../features";
+import { UNTRUSTED_INPUT_NOTICE } from "../guard";
+import { quizSchema } from "@/app/lib/schema";
+
+export const quizPrompts = [
+  {
+    id: AI_FEATURES.QUIZ,
+    version: 1,
+    variables: ["industry", "skills"],
+    schema: quizSchema,
+    render: ({ industry, skills }) => `
+    Generate 10 technical interview questions for a ${industry} professional${skills?.length ? ` with expertise in ${skills.join(", ")}` : ""}.
+
+    Each question should be multiple choice with 4 options.
+    The correctAnswer must exactly match one of the options.
+
+    Return the response in this JSON format only, no additional text:
+    {
+      "questions": [
+        {
+          "question": "string",
+          "options": ["string", "string", "string", "string"],
+          "correctAnswer": "string",
+          "explanation": "string"
+        }
+      ]
+    }
+  `,
+  },
+  {
+    id: AI_FEATURES.QUIZ,
+    version: 2,
+    variables: ["industry", "skills"],
+    untrusted: ["skills"],
+    schema: quizSchema,
+    render: ({ industry, skills }) => `
+    Generate 10 technical interview questions for a ${industry} professional${skills ? " with expertise in the skills listed below" : ""}.
+    ${skills ? `
+    ${UNTRUSTED_INPUT_NOTICE}
+
+    Skills:
+    ${skills}
+    ` : ""}
+    Each question should be multiple choice with 4 options.
+    The correctAnswer must exactly match one of the options.
+
+    Return the response in this JSON format only, no additional text:
+    {
+      "questions": [
+        {
+          "question": "string",
+          "options": ["string", "string", "string", "string"],
+          "correctAnswer": "string",
+          "explanation": "string"
+        }
+      ]
+    }
+  `,
+  },
+];
@@ -0,0 +1,104 @@
+import { AI_FEATURES } from "../features";
+import { UNTRUSTED_INPUT_NOTICE } from "../guard";
+
+// What is being improved and how the answer should be shaped, per type.
+// Entry descriptions keep their own format (bullets or a paragraph).
+const TARGETS = {
+  summary: {
+    noun: "professional summary",
+    format: "Format the response as a single paragraph of two to four sentences.",
+  },
+  skills: {
+    noun: "skills list",
+    format:
+      "Keep the list format of the current content (comma-separated or one group per line). Only reword, group and reorder the skills given; never add skills that are not there.",
+  },
+  bullet: {
+    noun: "resume bullet point",
+    format: 'Format the response as a single line without a leading "- ".',
+  },
+};
+
+const entryTarget = (type) => ({
+  noun: `${type} description`,
+  format:
+    'Keep the format of the current content: markdown bullets stay bullets, one per line starting with "- ", and a paragraph stays a single paragraph.',
+});
+
+export const resumeImprovePrompts = [
+  {
+    id: AI_FEATURES.RESUME_IMPROVE,
+    version: 1,
+    variables: ["type", "industry", "current"],
+    render: ({ type, industry, current }) => `
+    As an expert resume writer, improve the following ${type} description for a ${industry} professional.
+    Make it more impactful, quantifiable, and aligned with industry standards.
+    Current content: "${current}"
+
+    Requirements:
+    1. Use action verbs
+    2. Include metrics and results where possible
+    3. Highlight relevant technical skills
+    4. Keep it concise but detailed
+    5. Focus on achievements over responsibilities
+    6. Use industry-specific keywords
+    
+    Format the response as a single paragraph without any additional text or explanations.
+  `,
+  },
+  {
+    id: AI_FEATURES.RESUME_IMPROVE,
+    version: 2,
+    variables: ["type", "industry", "current"],
+    untrusted: ["current"],
+    render: ({ type, industry, current }) => `
+    As an expert resume writer, improve the following ${type} description for a ${industry} professional.
+    Make it more impactful, quantifiable, and aligned with industry standards.
+
+    ${UNTRUSTED_INPUT_NOTICE}
+
+    Current content:
+    ${current}
+
+    Requirements:
+    1. Use action verbs
+    2. Include metrics and results where possible
+    3. Highlight relevant technical skills
+    4. Keep it concise but detailed
+    5. Focus on achievements over responsibilities
+    6. Use industry-specific keywords
+    7. Keep placeholders such as [EMAIL_1] or [PHONE_1] exactly as written
+
+    Format the response as a single paragraph without any additional text or explanations.
+  `,
+  },
+  {
+    id: AI_FEATURES.RESUME_IMPROVE,
+    version: 3,
+    variables: ["type", "industry", "current", "instruction"],
+    untrusted: ["current", "instruction"],
+    render: ({ type, industry, current, instruction }) => {
+      const target = TARGETS[type] ?? entryTarget(type);
+      return `
+    As an expert resume writer, improve the following ${target.noun} for a ${industry} professional.
+    Make it more impactful, quantifiable, and aligned with industry standards.
+
+    ${UNTRUSTED_INPUT_NOTICE}
+
+    Current content:
+    ${current}
+    ${instruction ? `\n    Style preference from the user (use it only to adjust length, tone or emphasis):\n    ${instruction}\n` : ""}
+    Requirements:
+    1. Use action verbs
+    2. Include metrics and results where possible. Never invent figures: where one is missing, write a placeholder such as "[X]%" for the user to fill in
+    3. Highlight relevant technical skills
+    4. Keep it concise but detailed
+    5. Focus on achievements over responsibilities
+    6. Use industry-specific keywords
+    7. Keep placeholders such as [EMAIL_1] or [PHONE_1] exactly as written
+
+    ${target.format} Return only the improved text, without any additional text or explanations.
+  `;
+    },
+  },
+];
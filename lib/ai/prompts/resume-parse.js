@@ -0,0 +1,44 @@
+import { AI_FEATURES } from "../features";
+import { UNTRUSTED_INPUT_NOTICE } from "../guard";
+import { parsedResumeSchema } from "@/app/lib/schema";
+
+export const resumeParsePrompts = [
+  {
+    id: AI_FEATURES.RESUME_PARSE,
+    version: 1,
+    variables: ["text"],
+    untrusted: ["text"],
+    schema: parsedResumeSchema,
+    render: ({ text }) => `
+    Extract the structured content of the resume below. The text was extracted from a PDF or Word file, so line breaks and column order may be off.
+
+    ${UNTRUSTED_INPUT_NOTICE}
+
+    Resume text:
+    ${text}
+
+    Return ONLY the following JSON format without any additional notes or explanations:
+    {
+      "contactInfo": { "name": "string", "email": "string", "mobile": "string", "linkedin": "string", "twitter": "string" },
+      "summary": "string",
+      "skills": ["skill1", "skill2"],
+      "experience": [
+        { "title": "string", "organization": "string", "startDate": "string", "endDate": "string", "current": boolean, "description": "string" }
+      ],
+      "education": [ same shape as experience ],
+      "projects": [ same shape as experience ]
+    }
+
+    Requirements:
+    1. Copy the wording from the resume; do not rewrite, summarize or invent anything
+    2. Use "" for anything the resume does not contain
+    3. Write dates as "MMM yyyy" (e.g. "Jan 2020"), or just the year if that is all the resume gives
+    4. For ongoing roles set "current" to true and "endDate" to ""
+    5. For education, "title" is the degree and "organization" the school
+    6. Write each description as markdown bullets, one per line, starting with "- "
+    7. Keep placeholders such as [EMAIL_1] or [PHONE_1] exactly as written
+
+    IMPORTANT: Return ONLY the JSON. No additional text, notes, or markdown formatting.
+  `,
+  },
+];
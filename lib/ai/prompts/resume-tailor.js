@@ -0,0 +1,99 @@
+import { AI_FEATURES } from "../features";
+import { UNTRUSTED_INPUT_NOTICE } from "../guard";
+import { resumeTailorSchema } from "@/app/lib/schema";
+import { normalizeResumeData } from "@/app/lib/resume";
+
+export const resumeTailorPrompts = [
+  {
+    id: AI_FEATURES.RESUME_TAILOR,
+    version: 1,
+    variables: ["jobTitle", "companyName", "jobDescription", "industry", "resume"],
+    untrusted: ["jobDescription", "resume"],
+    schema: resumeTailorSchema,
+    render: ({ jobTitle, companyName, jobDescription, industry, resume }) => `
+    As an expert resume writer, tailor a ${industry} professional's resume to the job below${jobTitle ? ` (${jobTitle}${companyName ? ` at ${companyName}` : ""})` : ""}.
+
+    ${UNTRUSTED_INPUT_NOTICE}
+
+    Job Description:
+    ${jobDescription}
+
+    Resume (each entry is labelled with its section and index):
+    ${resume}
+
+    Return ONLY the following JSON format without any additional notes or explanations:
+    {
+      "keywords": ["keyword1", "keyword2"],
+      "summary": "string",
+      "entries": [
+        { "section": "experience" | "projects", "index": number, "description": "string" }
+      ]
+    }
+
+    Requirements:
+    1. "keywords": the skills, tools and qualifications the job asks for, most important first, at most 20, each as short as possible (e.g. "PostgreSQL", not "experience with PostgreSQL databases")
+    2. "summary": the professional summary rewritten for this job
+    3. "entries": rewritten descriptions for the experience and project entries worth changing, using the section and index labels given; leave out entries that need no change
+    4. Only rephrase, reorder and emphasize what the resume already says. Never invent employers, skills, metrics or responsibilities
+    5. Use the job's wording for things the candidate has actually done
+    6. Write descriptions as markdown bullets, one per line, starting with "- "
+    7. Keep placeholders such as [EMAIL_1] or [PHONE_1] exactly as written
+
+    IMPORTANT: Return ONLY the JSON. No additional text, notes, or markdown formatting.
+  `,
+  },
+  {
+    id: AI_FEATURES.RESUME_TAILOR,
+    version: 2,
+    variables: ["jobTitle", "companyName", "jobDescription", "industry", "resume"],
+    untrusted: ["jobTitle", "companyName", "jobDescription", "resume"],
+    schema: resumeTailorSchema,
+    render: ({ jobTitle, companyName, jobDescription, industry, resume }) => `
+    As an expert resume writer, tailor a ${industry} professional's resume to the job below.
+
+    ${UNTRUSTED_INPUT_NOTICE}
+
+${jobTitle ? `    Job Title:\n    ${jobTitle}\n\n` : ""}${companyName ? `    Company:\n    ${companyName}\n\n` : ""}    Job Description:
+    ${jobDescription}
+
+    Resume (each entry is labelled with its section and index):
+    ${resume}
+
+    Return ONLY the following JSON format without any additional notes or explanations:
+    {
+      "keywords": ["keyword1", "keyword2"],
+      "summary": "string",
+      "entries": [
+        { "section": "experience" | "projects", "index": number, "description": "string" }
+      ]
+    }
+
+    Requirements:
+    1. "keywords": the skills, tools and qualifications the job asks for, most important first, at most 20, each as short as possible (e.g. "PostgreSQL", not "experience with PostgreSQL databases")
+    2. "summary": the professional summary rewritten for this job
+    3. "entries": rewritten descriptions for the experience and project entries worth changing, using the section and index labels given; leave out entries that need no change
+    4. Only rephrase, reorder and emphasize what the resume already says. Never invent employers, skills, metrics or responsibilities
+    5. Use the job's wording for things the candidate has actually done
+    6. Write descriptions as markdown bullets, one per line, starting with "- "
+    7. Keep placeholders such as [EMAIL_1] or [PHONE_1] exactly as written
+
+    IMPORTANT: Return ONLY the JSON. No additional text, notes, or markdown formatting.
+  `,
+  },
+];
+
+// The parts of a resume the tailoring prompt rewrites, with entries
+// labelled so the model can refer back to them.
+export function resumeTailorText(resumeData) {
+  const data = normalizeResumeData(resumeData);
+  return [
+    `Summary:\n${data.summary}`,
+    `Skills:\n${data.skills}`,
+    ...["experience", "projects"].flatMap((section) =>
+      data[section].map(
+        (entry, index) =>
+          `[${section} ${index}] ${entry.title} @ ${entry.organization}\n${entry.description}`
+      )
+    ),
+  ].join("\n\n");
+}
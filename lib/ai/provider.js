@@ -0,0 +1,253 @@
+import { geminiProvider } from "./providers/gemini";
+import { openAIProvider } from "./providers/openai";
+import { ollamaProvider } from "./providers/ollama";
+import { fakeProvider } from "./providers/fake";
+import { AIOutputValidationError } from "./errors";
+import { withResilience } from "./resilience";
+import { getFeatureConfig } from "./config";
+import { recordUsage } from "./usage";
+import { createPIIRestorer, restorePII } from "./guard";
+
+// Every AI call in the app goes through this module. Feature code asks for
+// text or JSON; which backend serves it is decided by AI_PROVIDER.
+const providers = {
+  [geminiProvider.name]: geminiProvider,
+  [openAIProvider.name]: openAIProvider,
+  [ollamaProvider.name]: ollamaProvider,
+  [fakeProvider.name]: fakeProvider,
+};
+
+export function getProvider(name = process.env.AI_PROVIDER || "gemini") {
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown AI provider: ${name}`);
+  return provider;
+}
+
+// ---------------------------------------------------------
+// Generate plain text
+// ---------------------------------------------------------
+// Model, fallbacks, temperature and max tokens come from the feature's
+// config (./config) unless passed explicitly. `policy` overrides the
+// retry/backoff/deadline defaults in ./resilience. Every call is metered
+// against `userId`, tagged with the prompt version used (./usage).
+// `redactions` (from renderPrompt) are put back into the returned text.
+export async function generateText({ userId, promptVersion, redactions, ...options }) {
+  const run = {};
+  const text = await metered({ userId, promptVersion }, run, () =>
+    generateUnmetered(options, run)
+  );
+  return restorePII(text, redactions);
+}
+
+const sumTokens = (total, tokens) =>
+  total == null ? tokens ?? null : total + (tokens ?? 0);
+
+// One generation through the retry/fallback chain, without metering. Fills
+// `run` with the feature, the model that answered and the tokens used
+// (added up across calls sharing a `run`) for `metered` to record.
+async function generateUnmetered({ prompt, policy, provider, ...options }, run) {
+  const { model, fallbackModels, ...settings } = {
+    ...(await getFeatureConfig(options.feature)),
+    ...options,
+  };
+  const adapter = getProvider(provider);
+  const models = [model, ...fallbackModels.filter((m) => m !== model)];
+  run.feature = settings.feature;
+  run.model ??= model;
+
+  const result = await withResilience(
+    (modelName, { signal }) =>
+      adapter.generate({ prompt, model: modelName, signal, ...settings }),
+    { models, ...policy }
+  );
+  run.model = result.model;
+  run.usage = {
+    promptTokens: sumTokens(run.usage?.promptTokens, result.usage?.promptTokens),
+    responseTokens: sumTokens(run.usage?.responseTokens, result.usage?.responseTokens),
+  };
+
+  if (typeof result?.text !== "string" || !result.text.trim()) {
+    throw new Error("AI returned no text");
+  }
+  return result.text.trim();
+}
+
+// Runs `generate` and records a single AiUsage row for it from `run`,
+// however many model calls it made.
+async function metered({ userId, promptVersion }, run, generate) {
+  const startedAt = Date.now();
+  const record = (success, error) =>
+    recordUsage({
+      userId,
+      feature: run.feature,
+      promptVersion,
+      model: run.model,
+      usage: run.usage,
+      latencyMs: Date.now() - startedAt,
+      success,
+      error,
+    });
+
+  let value;
+  try {
+    value = await generate();
+  } catch (error) {
+    await record(false, error);
+    throw error;
+  }
+  await record(true);
+  return value;
+}
+
+// ---------------------------------------------------------
+// Stream text
+// ---------------------------------------------------------
+// Same config, resilience and metering as generateText, but yields text
+// chunks as they arrive. Retries and fallbacks only apply to opening the
+// stream; an error part-way through is thrown to the consumer.
+export async function* streamText({
+  prompt,
+  promptVersion,
+  policy,
+  provider,
+  userId,
+  redactions,
+  ...options
+}) {
+  const { model, fallbackModels, ...settings } = {
+    ...(await getFeatureConfig(options.feature)),
+    ...options,
+  };
+  const adapter = getProvider(provider);
+  if (!adapter.stream) {
+    throw new Error(`AI provider ${adapter.name} does not support streaming`);
+  }
+
+  const models = [model, ...fallbackModels.filter((m) => m !== model)];
+  const startedAt = Date.now();
+  let usedModel = model;
+  let usage;
+  let completed = false;
+  let failure = null;
+
+  try {
+    const stream = await withResilience(
+      (modelName, { signal }) => {
+        usedModel = modelName;
+        return adapter.stream({ prompt, model: modelName, signal, ...settings });
+      },
+      { models, ...policy }
+    );
+
+    const restorer = createPIIRestorer(redactions);
+    let received = false;
+    for await (const chunk of stream) {
+      if (chunk.usage) usage = chunk.usage;
+      if (chunk.text) {
+        received = true;
+        const text = restorer.push(chunk.text);
+        if (text) yield text;
+      }
+    }
+    const rest = restorer.flush();
+    if (rest) yield rest;
+
+    if (!received) throw new Error("AI returned no text");
+    completed = true;
+  } catch (error) {
+    failure = error;
+    throw error;
+  } finally {
+    await recordUsage({
+      userId,
+      feature: settings.feature,
+      promptVersion,
+      model: usedModel,
+      usage,
+      latencyMs: Date.now() - startedAt,
+      success: completed,
+      error: completed ? null : failure ?? new Error("Stream cancelled"),
+    });
+  }
+}
+
+// ---------------------------------------------------------
+// Generate JSON
+// ---------------------------------------------------------
+export function parseJSON(text) {
+  const cleaned = text.replace(/```(?:json)?\n?/g, "").trim();
+  return JSON.parse(cleaned);
+}
+
+const formatIssues = (issues) =>
+  issues
+    .map((issue) =>
+      issue.path?.length ? `${issue.path.join(".")}: ${issue.message}` : issue.message
+    )
+    .join("\n");
+
+const buildRepairPrompt = (prompt, text, issues) => `
+${prompt}
+
+Your previous response was not valid:
+${formatIssues(issues)}
+
+Previous response:
+${text}
+
+Return ONLY the corrected JSON. No additional text, notes, or markdown formatting.
+`;
+
+// Parses (and, when a zod schema is given, validates) the model output.
+// Invalid output triggers up to `maxRepairAttempts` re-asks that include
+// the problems found, before giving up with an AIOutputValidationError.
+// The request is metered once, with the tokens of every attempt, and only
+// counts against the quota when it returns valid data.
+// Redacted values are restored only in the validated data, so repair
+// prompts never carry them.
+export async function generateJSON({
+  prompt,
+  schema,
+  maxRepairAttempts = 2,
+  redactions,
+  userId,
+  promptVersion,
+  ...options
+}) {
+  const run = {};
+  return metered({ userId, promptVersion }, run, async () => {
+    let currentPrompt = prompt;
+    let text = null;
+    let issues = [];
+
+    for (let attempt = 0; attempt <= maxRepairAttempts; attempt++) {
+      text = await generateUnmetered({ ...options, prompt: currentPrompt, json: true }, run);
+
+      let data;
+      try {
+        data = parseJSON(text);
+      } catch (error) {
+        issues = [{ path: [], message: `Invalid JSON: ${error.message}` }];
+      }
+
+      if (data !== undefined) {
+        if (!schema) return restorePII(data, redactions);
+
+        const result = schema.safeParse(data);
+        if (result.success) return restorePII(result.data, redactions);
+        issues = result.error.issues;
+      }
+
+      console.warn(
+        `AI output failed validation (attempt ${attempt + 1}/${maxRepairAttempts + 1}):`,
+        formatIssues(issues)
+      );
+      currentPrompt = buildRepairPrompt(prompt, text, issues);
+    }
+
+    throw new AIOutputValidationError(
+      `AI output did not match the expected format after ${maxRepairAttempts + 1} attempts`,
+      { issues, attempts: maxRepairAttempts + 1, text }
+    );
+  });
+}
@@ -0,0 +1,58 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { z } from "zod";
+import { generateJSON } from "./provider";
+import { fakeProvider } from "./providers/fake";
+import { recordUsage } from "./usage";
+import { AIOutputValidationError } from "./errors";
+
+vi.mock("./usage", () => ({ recordUsage: vi.fn() }));
+vi.mock("./config", () => ({
+  getFeatureConfig: async () => ({ model: "model-a", fallbackModels: [] }),
+}));
+
+const schema = z.object({ score: z.number() });
+
+const replies = (...texts) => {
+  const generate = vi.spyOn(fakeProvider, "generate");
+  for (const text of texts) {
+    generate.mockResolvedValueOnce({
+      text,
+      model: "model-a",
+      usage: { promptTokens: 10, responseTokens: 5 },
+    });
+  }
+  return generate;
+};
+
+const request = { prompt: "Rate it", schema, provider: "fake", feature: "quiz", userId: "u1" };
+
+describe("generateJSON", () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    recordUsage.mockClear();
+  });
+
+  it("records one successful usage row for a repaired response", async () => {
+    const generate = replies("not json", '{"score":"high"}', '{"score":9}');
+
+    await expect(generateJSON(request)).resolves.toEqual({ score: 9 });
+    expect(generate).toHaveBeenCalledTimes(3);
+    expect(recordUsage).toHaveBeenCalledTimes(1);
+    expect(recordUsage).toHaveBeenCalledWith(
+      expect.objectContaining({
+        userId: "u1",
+        feature: "quiz",
+        success: true,
+        usage: { promptTokens: 30, responseTokens: 15 },
+      })
+    );
+  });
+
+  it("records one failed usage row when repairs run out", async () => {
+    replies("nope", "still nope", "nope again");
+
+    await expect(generateJSON(request)).rejects.toBeInstanceOf(AIOutputValidationError);
+    expect(recordUsage).toHaveBeenCalledTimes(1);
+    expect(recordUsage).toHaveBeenCalledWith(expect.objectContaining({ success: false }));
+  });
+});
@@ -0,0 +1,84 @@
+import { AI_FEATURES } from "../features";
+
+// Canned responses used by the fake provider when no recorded fixture
+// matches a prompt. They follow the shapes each feature expects.
+const quizQuestions = [
+  ["Which HTTP status code means a resource was created?", ["200", "201", "204", "301"], "201", "201 Created is returned when a request results in a new resource."],
+  ["What does SQL's INNER JOIN return?", ["All rows from the left table", "All rows from both tables", "Only rows with matches in both tables", "Only unmatched rows"], "Only rows with matches in both tables", "INNER JOIN keeps only rows whose join condition matches on both sides."],
+  ["Which data structure uses FIFO ordering?", ["Stack", "Queue", "Tree", "Heap"], "Queue", "Queues remove elements in the order they were added."],
+  ["What is the time complexity of binary search?", ["O(n)", "O(log n)", "O(n log n)", "O(1)"], "O(log n)", "Binary search halves the search space on each step."],
+  ["Which Git command creates a new branch and switches to it?", ["git branch -d", "git checkout -b", "git merge", "git stash"], "git checkout -b", "checkout -b creates the branch and checks it out in one step."],
+  ["What does idempotent mean for an API operation?", ["It is always fast", "Repeating it has the same effect as doing it once", "It never fails", "It requires authentication"], "Repeating it has the same effect as doing it once", "Idempotent operations can be safely retried."],
+  ["Which principle says a class should have one reason to change?", ["Open/closed", "Liskov substitution", "Single responsibility", "Dependency inversion"], "Single responsibility", "SRP limits each class to a single responsibility."],
+  ["What is the main purpose of an index in a database?", ["Enforce foreign keys", "Speed up lookups", "Compress data", "Encrypt rows"], "Speed up lookups", "Indexes trade write cost and storage for faster reads."],
+  ["Which caching strategy writes to cache and store at the same time?", ["Write-through", "Write-back", "Cache-aside", "Read-through"], "Write-through", "Write-through updates the cache and the backing store together."],
+  ["What does CI stand for in CI/CD?", ["Code Inspection", "Continuous Integration", "Container Infrastructure", "Commit Isolation"], "Continuous Integration", "Continuous Integration merges and tests changes frequently."],
+];
+
+export const cannedResponses = {
+  [AI_FEATURES.COVER_LETTER]: `Dear Hiring Manager,
+
+I am excited to apply for this position. With several years of experience delivering reliable, well-tested software, I have consistently turned ambiguous requirements into shipped features that customers rely on.
+
+In my most recent role I led a migration that reduced page load times by 40% and cut infrastructure costs by 25%. I enjoy collaborating across product, design and engineering to understand what the business needs and to deliver it incrementally.
+
+I would welcome the opportunity to bring the same focus on quality and impact to your team.
+
+Sincerely,
+Your Name`,
+
+  [AI_FEATURES.QUIZ]: JSON.stringify({
+    questions: quizQuestions.map(
+      ([question, options, correctAnswer, explanation]) => ({
+        question,
+        options,
+        correctAnswer,
+        explanation,
+      })
+    ),
+  }),
+
+  [AI_FEATURES.IMPROVEMENT_TIP]:
+    "Review the fundamentals behind the questions you missed and practice explaining them out loud. You are closer than you think, so keep going!",
+
+  [AI_FEATURES.RESUME_IMPROVE]:
+    "Led the redesign of a customer-facing service used by 50,000+ users, cutting average response time by 35% and reducing support tickets by 20% through targeted performance work and automated testing.",
+
+  [AI_FEATURES.INDUSTRY_INSIGHTS]: JSON.stringify({
+    salaryRanges: [
+      { role: "Junior Engineer", min: 60000, max: 90000, median: 75000, location: "United States" },
+      { role: "Software Engineer", min: 90000, max: 140000, median: 115000, location: "United States" },
+      { role: "Senior Engineer", min: 130000, max: 190000, median: 160000, location: "United States" },
+      { role: "Engineering Manager", min: 150000, max: 220000, median: 185000, location: "United States" },
+      { role: "Data Engineer", min: 100000, max: 160000, median: 130000, location: "United States" },
+    ],
+    growthRate: 8.5,
+    demandLevel: "High",
+    topSkills: ["JavaScript", "Python", "Cloud Platforms", "SQL", "System Design"],
+    marketOutlook: "Positive",
+    keyTrends: ["Generative AI adoption", "Platform engineering", "Cloud cost optimization", "Security by default", "Remote-first teams"],
+    recommendedSkills: ["TypeScript", "Kubernetes", "LLM integration", "Observability", "Data modeling"],
+  }),
+
+  [AI_FEATURES.RESUME_PARSE]: JSON.stringify({
+    contactInfo: { name: "Alex Morgan", email: "alex.morgan@example.com", mobile: "+1 555 010 2030", linkedin: "https://linkedin.com/in/alexmorgan", twitter: "" },
+    summary: "Software engineer with 6 years of experience building web platforms and data pipelines.",
+    skills: ["JavaScript", "TypeScript", "React", "Node.js", "PostgreSQL", "AWS"],
+    experience: [
+      { title: "Senior Software Engineer", organization: "Northwind Labs", startDate: "Mar 2021", endDate: "", current: true, description: "- Led the rebuild of the billing dashboard used by 2,000+ customers\n- Cut API latency by 40% with query tuning and caching" },
+      { title: "Software Engineer", organization: "Contoso Ltd", startDate: "Jun 2018", endDate: "Feb 2021", current: false, description: "- Built internal tooling in React and Node.js" },
+    ],
+    education: [
+      { title: "BSc Computer Science", organization: "State University", startDate: "2014", endDate: "2018", current: false, description: "" },
+    ],
+    projects: [],
+  }),
+
+  [AI_FEATURES.RESUME_TAILOR]: JSON.stringify({
+    keywords: ["TypeScript", "React", "Node.js", "PostgreSQL", "AWS", "CI/CD", "System Design"],
+    summary: "Full-stack engineer with 6 years of experience shipping React and Node.js products on AWS, with a focus on reliable APIs and fast, accessible interfaces.",
+    entries: [
+      { section: "experience", index: 0, description: "- Led the rebuild of a React and TypeScript billing dashboard used by 2,000+ customers\n- Cut API latency by 40% by tuning PostgreSQL queries and adding caching" },
+    ],
+  }),
+};
@@ -0,0 +1,103 @@
+import { createHash } from "crypto";
+import { mkdir, readFile, writeFile } from "fs/promises";
+import path from "path";
+import { cannedResponses } from "./fake-responses";
+
+// Deterministic provider for offline development and tests.
+//
+//   AI_FAKE_MODE=replay (default)  serve recorded fixtures, then canned
+//                                  responses; never touches the network
+//   AI_FAKE_MODE=record            call AI_FAKE_RECORD_PROVIDER (default
+//                                  gemini) and save its reply as a fixture
+//
+// Fixtures live in AI_FIXTURES_DIR (default fixtures/ai), one JSON file per
+// prompt, named after the prompt hash.
+
+export const hashPrompt = (prompt) =>
+  createHash("sha256").update(prompt).digest("hex").slice(0, 16);
+
+const fixturesDir = () =>
+  path.resolve(process.cwd(), process.env.AI_FIXTURES_DIR || "fixtures/ai");
+
+const fixturePath = (hash) => path.join(fixturesDir(), `${hash}.json`);
+
+const readFixture = async (hash) => {
+  try {
+    return JSON.parse(await readFile(fixturePath(hash), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+};
+
+const recordFixture = async (options, hash) => {
+  // Imported lazily: the provider registry itself imports this module.
+  const { getProvider } = await import("../provider");
+  const delegate = getProvider(process.env.AI_FAKE_RECORD_PROVIDER || "gemini");
+  if (delegate.name === fakeProvider.name) {
+    throw new Error("AI_FAKE_RECORD_PROVIDER cannot be the fake provider");
+  }
+
+  const result = await delegate.generate(options);
+
+  await mkdir(fixturesDir(), { recursive: true });
+  await writeFile(
+    fixturePath(hash),
+    JSON.stringify(
+      {
+        hash,
+        feature: options.feature ?? null,
+        model: result.model,
+        prompt: options.prompt,
+        text: result.text,
+        usage: result.usage,
+      },
+      null,
+      2
+    ) + "\n"
+  );
+
+  return result;
+};
+
+// Replays a full response as a series of small chunks.
+async function* chunkText({ text, usage }) {
+  const words = text.split(/(?<=\s)/);
+  for (let i = 0; i < words.length; i += 5) {
+    yield { text: words.slice(i, i + 5).join(""), usage: null };
+  }
+  yield { text: "", usage };
+}
+
+export const fakeProvider = {
+  name: "fake",
+
+  async generate(options) {
+    const { prompt, model, feature } = options;
+    const hash = hashPrompt(prompt);
+
+    if (process.env.AI_FAKE_MODE === "record") {
+      return await recordFixture(options, hash);
+    }
+
+    const fixture = await readFixture(hash);
+    const text = fixture?.text ?? cannedResponses[feature];
+    if (text === undefined) {
+      throw new Error(
+        `No recorded AI response for prompt ${hash}${feature ? ` (${feature})` : ""}`
+      );
+    }
+
+    return {
+      text,
+      model: fixture?.model ?? model,
+      usage: fixture?.usage ?? { promptTokens: 0, responseTokens: 0 },
+    };
+  },
+
+  // Recording captures the full (non-streamed) response, so replayed
+  // streams are identical in record and replay mode.
+  async stream(options) {
+    return chunkText(await fakeProvider.generate(options));
+  },
+};
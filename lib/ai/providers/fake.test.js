@@ -0,0 +1,135 @@
+import { mkdtemp, readdir, readFile, rm, writeFile } from "fs/promises";
+import os from "os";
+import path from "path";
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from "vitest";
+import { fakeProvider, hashPrompt } from "./fake";
+import { cannedResponses } from "./fake-responses";
+import { openAIProvider } from "./openai";
+import { AI_FEATURES } from "../features";
+import { renderPrompt } from "../prompts";
+import { buildCases, loadGoldenSet } from "../eval/dataset";
+
+// Recording goes through ../provider, whose config and metering need a database
+vi.mock("../usage", () => ({ recordUsage: vi.fn() }));
+vi.mock("../config", () => ({
+  getFeatureConfig: async () => ({ model: "model-a", fallbackModels: [] }),
+}));
+
+let dir;
+
+beforeAll(async () => {
+  dir = await mkdtemp(path.join(os.tmpdir(), "ai-fixtures-"));
+});
+
+afterAll(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+});
+
+describe("fakeProvider in replay mode", () => {
+  it("serves the fixture recorded for the prompt", async () => {
+    vi.stubEnv("AI_FIXTURES_DIR", dir);
+    const prompt = "Say hello";
+    const hash = hashPrompt(prompt);
+    await writeFile(
+      path.join(dir, `${hash}.json`),
+      JSON.stringify({
+        hash,
+        model: "recorded-model",
+        text: "Hello!",
+        usage: { promptTokens: 3, responseTokens: 2 },
+      })
+    );
+
+    await expect(fakeProvider.generate({ prompt, model: "model-a" })).resolves.toEqual({
+      text: "Hello!",
+      model: "recorded-model",
+      usage: { promptTokens: 3, responseTokens: 2 },
+    });
+  });
+
+  it("falls back to the feature's canned response", async () => {
+    vi.stubEnv("AI_FIXTURES_DIR", dir);
+
+    const result = await fakeProvider.generate({
+      prompt: "Write me a cover letter",
+      model: "model-a",
+      feature: AI_FEATURES.COVER_LETTER,
+    });
+    expect(result).toEqual({
+      text: cannedResponses[AI_FEATURES.COVER_LETTER],
+      model: "model-a",
+      usage: { promptTokens: 0, responseTokens: 0 },
+    });
+  });
+
+  it("fails when there is neither a fixture nor a canned response", async () => {
+    vi.stubEnv("AI_FIXTURES_DIR", dir);
+    const prompt = "Unknown prompt";
+
+    await expect(fakeProvider.generate({ prompt, model: "model-a" })).rejects.toThrow(
+      `No recorded AI response for prompt ${hashPrompt(prompt)}`
+    );
+  });
+
+  it("replays the committed fixture for a golden eval case", async () => {
+    const golden = await loadGoldenSet(path.resolve("evals/golden"));
+    const evalCase = buildCases(golden, [AI_FEATURES.RESUME_IMPROVE]).find(
+      ({ id }) => id === `${AI_FEATURES.RESUME_IMPROVE}/experience-vague`
+    );
+    const { prompt } = renderPrompt(evalCase.feature, evalCase.variables);
+
+    const result = await fakeProvider.generate({
+      prompt,
+      model: "model-a",
+      feature: evalCase.feature,
+    });
+    expect(result.text).not.toBe(cannedResponses[AI_FEATURES.RESUME_IMPROVE]);
+    expect(result.text).toContain("REST APIs");
+  });
+});
+
+describe("fakeProvider in record mode", () => {
+  it("refuses to record through itself", async () => {
+    vi.stubEnv("AI_FIXTURES_DIR", dir);
+    vi.stubEnv("AI_FAKE_MODE", "record");
+    vi.stubEnv("AI_FAKE_RECORD_PROVIDER", "fake");
+    const before = await readdir(dir);
+
+    await expect(
+      fakeProvider.generate({ prompt: "Say hi", model: "model-a" })
+    ).rejects.toThrow("AI_FAKE_RECORD_PROVIDER cannot be the fake provider");
+    expect(await readdir(dir)).toEqual(before);
+  });
+
+  it("saves the real provider's reply as a fixture that replay serves", async () => {
+    vi.stubEnv("AI_FIXTURES_DIR", dir);
+    vi.stubEnv("AI_FAKE_MODE", "record");
+    vi.stubEnv("AI_FAKE_RECORD_PROVIDER", "openai");
+    const reply = {
+      text: "Recorded reply",
+      model: "gpt-test",
+      usage: { promptTokens: 7, responseTokens: 4 },
+    };
+    vi.spyOn(openAIProvider, "generate").mockResolvedValue(reply);
+    const prompt = "Record this";
+
+    await expect(
+      fakeProvider.generate({ prompt, model: "model-a", feature: AI_FEATURES.QUIZ })
+    ).resolves.toEqual(reply);
+
+    const fixture = JSON.parse(
+      await readFile(path.join(dir, `${hashPrompt(prompt)}.json`), "utf8")
+    );
+    expect(fixture).toMatchObject({ feature: AI_FEATURES.QUIZ, prompt, ...reply });
+
+    vi.stubEnv("AI_FAKE_MODE", "replay");
+    await expect(fakeProvider.generate({ prompt, model: "model-a" })).resolves.toEqual(
+      reply
+    );
+  });
+});
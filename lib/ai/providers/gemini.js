@@ -0,0 +1,79 @@
+import { GoogleGenAI } from "@google/genai";
+
+let client;
+
+const getClient = () => {
+  if (!client) {
+    client = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+  }
+  return client;
+};
+
+// Normalize possible response shapes from the SDK so we reliably extract text.
+// Newer @google/genai exposes a `text` getter on the response; some older
+// integrations may return `response.text` or a `response.candidates` structure.
+export const extractText = (result) => {
+  if (typeof result?.text === "string") return result.text;
+  if (typeof result?.response?.text === "string") return result.response.text;
+
+  const parts = result?.response?.candidates?.[0]?.content?.parts;
+  if (Array.isArray(parts)) return parts.map((p) => p.text || "").join("");
+
+  console.warn("Unexpected response shape from GenAI SDK:", result);
+  return null;
+};
+
+const buildConfig = ({ temperature, maxOutputTokens, json, signal }) => {
+  const config = {};
+  if (signal) config.abortSignal = signal;
+  if (temperature !== undefined) config.temperature = temperature;
+  if (maxOutputTokens !== undefined) config.maxOutputTokens = maxOutputTokens;
+  if (json) config.responseMimeType = "application/json";
+  return config;
+};
+
+const extractUsage = (result) => {
+  const usage = result?.usageMetadata ?? result?.response?.usageMetadata;
+  if (!usage) return null;
+  return {
+    promptTokens: usage.promptTokenCount ?? null,
+    responseTokens: usage.candidatesTokenCount ?? null,
+  };
+};
+
+async function* readChunks(stream) {
+  for await (const chunk of stream) {
+    yield { text: chunk?.text ?? "", usage: extractUsage(chunk) };
+  }
+}
+
+export const geminiProvider = {
+  name: "gemini",
+
+  async generate({ model, prompt, ...options }) {
+    const result = await getClient().models.generateContent({
+      model,
+      contents: prompt,
+      config: buildConfig(options),
+    });
+
+    return {
+      text: extractText(result),
+      model,
+      usage: extractUsage(result) ?? {
+        promptTokens: null,
+        responseTokens: null,
+      },
+    };
+  },
+
+  async stream({ model, prompt, ...options }) {
+    const stream = await getClient().models.generateContentStream({
+      model,
+      contents: prompt,
+      config: buildConfig(options),
+    });
+
+    return readChunks(stream);
+  },
+};
@@ -0,0 +1,52 @@
+const request = async (url, body, headers, signal) => {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  if (!res.ok) {
+    const detail = await res.text().catch(() => "");
+    const error = new Error(detail || `Request to ${url} failed`);
+    error.status = res.status;
+    throw error;
+  }
+
+  return res;
+};
+
+// Shared fetch helpers for the HTTP based adapters. Errors carry the HTTP
+// status so quota handling can treat them like Gemini SDK errors.
+// `signal` aborts the request (see the deadline in ../resilience).
+export const postJSON = async (url, body, headers = {}, signal) => {
+  const res = await request(url, body, headers, signal);
+  return await res.json();
+};
+
+async function* readLines(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) yield line.trim();
+    }
+  }
+
+  if (buffer.trim()) yield buffer.trim();
+}
+
+// Sends the request right away (so HTTP errors surface to the caller, not
+// to whoever iterates) and returns the non-empty lines of the response.
+export const postStream = async (url, body, headers = {}, signal) => {
+  const res = await request(url, body, headers, signal);
+  return readLines(res.body);
+};
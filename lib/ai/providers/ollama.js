@@ -0,0 +1,59 @@
+import { postJSON, postStream } from "./http";
+
+// Local Ollama-style endpoint (POST /api/generate).
+const endpoint = () =>
+  `${process.env.OLLAMA_BASE_URL || "http://localhost:11434"}/api/generate`;
+
+const buildBody = ({ model, prompt, temperature, maxOutputTokens, json }) => {
+  const options = {};
+  if (temperature !== undefined) options.temperature = temperature;
+  if (maxOutputTokens !== undefined) options.num_predict = maxOutputTokens;
+
+  return {
+    model: process.env.OLLAMA_MODEL || model,
+    prompt,
+    ...(json && { format: "json" }),
+    options,
+  };
+};
+
+const extractUsage = (data) => ({
+  promptTokens: data?.prompt_eval_count ?? null,
+  responseTokens: data?.eval_count ?? null,
+});
+
+// Newline-delimited JSON; the final object has `done: true` and the counts.
+async function* readObjects(lines) {
+  for await (const line of lines) {
+    const data = JSON.parse(line);
+    yield {
+      text: data?.response ?? "",
+      usage: data?.done ? extractUsage(data) : null,
+    };
+  }
+}
+
+export const ollamaProvider = {
+  name: "ollama",
+
+  async generate(options) {
+    const body = { ...buildBody(options), stream: false };
+    const data = await postJSON(endpoint(), body, {}, options.signal);
+
+    return {
+      text: data?.response ?? null,
+      model: body.model,
+      usage: extractUsage(data),
+    };
+  },
+
+  async stream(options) {
+    const lines = await postStream(
+      endpoint(),
+      { ...buildBody(options), stream: true },
+      {},
+      options.signal
+    );
+    return readObjects(lines);
+  },
+};
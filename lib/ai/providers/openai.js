@@ -0,0 +1,69 @@
+import { postJSON, postStream } from "./http";
+
+// Works with any OpenAI-compatible chat completions endpoint
+// (OpenAI, Azure OpenAI proxies, OpenRouter, vLLM, LM Studio, ...).
+const endpoint = () =>
+  `${process.env.OPENAI_BASE_URL || "https://api.openai.com/v1"}/chat/completions`;
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
+});
+
+const buildBody = ({ model, prompt, temperature, maxOutputTokens, json }) => {
+  const body = {
+    model: process.env.OPENAI_MODEL || model,
+    messages: [{ role: "user", content: prompt }],
+  };
+  if (temperature !== undefined) body.temperature = temperature;
+  if (maxOutputTokens !== undefined) body.max_tokens = maxOutputTokens;
+  if (json) body.response_format = { type: "json_object" };
+  return body;
+};
+
+const extractUsage = (data) =>
+  data?.usage
+    ? {
+        promptTokens: data.usage.prompt_tokens ?? null,
+        responseTokens: data.usage.completion_tokens ?? null,
+      }
+    : null;
+
+// Server-sent events: "data: {...}" lines, terminated by "data: [DONE]".
+async function* readEvents(lines) {
+  for await (const line of lines) {
+    if (!line.startsWith("data:")) continue;
+    const payload = line.slice(5).trim();
+    if (payload === "[DONE]") return;
+
+    const data = JSON.parse(payload);
+    yield {
+      text: data?.choices?.[0]?.delta?.content ?? "",
+      usage: extractUsage(data),
+    };
+  }
+}
+
+export const openAIProvider = {
+  name: "openai",
+
+  async generate(options) {
+    const body = buildBody(options);
+    const data = await postJSON(endpoint(), body, authHeaders(), options.signal);
+
+    return {
+      text: data?.choices?.[0]?.message?.content ?? null,
+      model: body.model,
+      usage: extractUsage(data) ?? { promptTokens: null, responseTokens: null },
+    };
+  },
+
+  async stream(options) {
+    const body = {
+      ...buildBody(options),
+      stream: true,
+      stream_options: { include_usage: true },
+    };
+    const lines = await postStream(endpoint(), body, authHeaders(), options.signal);
+    return readEvents(lines);
+  },
+};
@@ -0,0 +1,137 @@
+import { AIDeadlineExceededError } from "./errors";
+
+// Retry/fallback policy applied to every AI call. Each model in the chain is
+// tried with jittered exponential backoff; quota and transient errors move
+// on to the next model once its retries are used up. RetryInfo delays from
+// the API are honored, and nothing waits past the per-call deadline: an
+// attempt still running when it passes is aborted through the `signal`
+// handed to `call`.
+export const DEFAULT_POLICY = {
+  retries: 2,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  deadlineMs: 60000,
+};
+
+const parseErrorBody = (err) => {
+  try {
+    const msg = typeof err?.message === "string" ? err.message.trim() : "";
+    return msg.startsWith("{") ? JSON.parse(msg) : null;
+  } catch {
+    return null;
+  }
+};
+
+// Gemini reports quota errors with a RetryInfo detail such as
+// { "@type": "...RetryInfo", "retryDelay": "42.854797884s" }.
+export const parseRetryMs = (err) => {
+  const details = parseErrorBody(err)?.error?.details || [];
+  for (const d of details) {
+    if (d["@type"]?.includes("RetryInfo") && d.retryDelay) {
+      const m = /([0-9]+(?:\.[0-9]+)?)s/.exec(d.retryDelay);
+      if (m) return Math.ceil(parseFloat(m[1]) * 1000);
+    }
+  }
+  return 0;
+};
+
+export const isQuotaError = (err) => {
+  if (!err) return false;
+  if (err.status === 429) return true;
+
+  const msg = typeof err.message === "string" ? err.message : JSON.stringify(err);
+  if (msg.includes("RESOURCE_EXHAUSTED") || msg.includes("Quota exceeded")) {
+    return true;
+  }
+
+  const parsed = parseErrorBody(err);
+  return (
+    parsed?.error?.code === 429 || parsed?.error?.status === "RESOURCE_EXHAUSTED"
+  );
+};
+
+const TRANSIENT_STATUS = [500, 502, 503, 504];
+const TRANSIENT_CODES = ["ECONNRESET", "ETIMEDOUT", "ECONNREFUSED", "EAI_AGAIN"];
+
+export const isTransientError = (err) => {
+  if (!err) return false;
+  if (TRANSIENT_STATUS.includes(err.status)) return true;
+  if (TRANSIENT_CODES.includes(err.code ?? err.cause?.code)) return true;
+
+  const msg = typeof err.message === "string" ? err.message : "";
+  return (
+    msg.includes("UNAVAILABLE") ||
+    msg.includes("overloaded") ||
+    msg.includes("fetch failed")
+  );
+};
+
+export const isRetryableError = (err) => isQuotaError(err) || isTransientError(err);
+
+export const backoffDelay = (attempt, { baseDelayMs, maxDelayMs }) => {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + (Math.random() * ceiling) / 2);
+};
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Runs one attempt, rejecting with AIDeadlineExceededError (and aborting
+// the attempt's signal) if the deadline passes before it settles. Once it
+// settles the signal is left alone, so an opened stream keeps reading.
+const attemptUntil = (call, model, deadline, { deadlineMs }, lastError) => {
+  const controller = new AbortController();
+  let timer;
+  const expired = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new AIDeadlineExceededError(
+        `AI call exceeded its ${deadlineMs}ms deadline`,
+        { cause: lastError }
+      );
+      controller.abort(error);
+      reject(error);
+    }, deadline - Date.now());
+  });
+
+  return Promise.race([call(model, { signal: controller.signal }), expired]).finally(
+    () => clearTimeout(timer)
+  );
+};
+
+export async function withResilience(call, { models, ...overrides }) {
+  const policy = { ...DEFAULT_POLICY, ...overrides };
+  const deadline = Date.now() + policy.deadlineMs;
+  let lastError;
+
+  for (const model of models) {
+    for (let attempt = 0; attempt <= policy.retries; attempt++) {
+      if (Date.now() >= deadline) {
+        throw new AIDeadlineExceededError(
+          `AI call exceeded its ${policy.deadlineMs}ms deadline`,
+          { cause: lastError }
+        );
+      }
+
+      try {
+        return await attemptUntil(call, model, deadline, policy, lastError);
+      } catch (err) {
+        if (!isRetryableError(err)) throw err;
+        lastError = err;
+
+        if (attempt === policy.retries) break;
+
+        const waitMs = Math.max(parseRetryMs(err), backoffDelay(attempt, policy));
+        if (Date.now() + waitMs >= deadline) break;
+
+        console.warn(
+          `AI call to ${model} failed (attempt ${attempt + 1}/${policy.retries + 1}). Retrying in ${waitMs}ms.`,
+          err?.message ?? err
+        );
+        await sleep(waitMs);
+      }
+    }
+
+    console.warn(`Giving up on ${model}, trying next model in the fallback chain.`);
+  }
+
+  throw lastError;
+}
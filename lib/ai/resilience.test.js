@@ -0,0 +1,184 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { AIDeadlineExceededError } from "./errors";
+import {
+  backoffDelay,
+  isQuotaError,
+  isRetryableError,
+  parseRetryMs,
+  withResilience,
+} from "./resilience";
+
+const policy = { models: ["model-a"], retries: 0, deadlineMs: 50 };
+
+const httpError = (status, message = `HTTP ${status}`) =>
+  Object.assign(new Error(message), { status });
+
+// A Gemini quota error carrying a RetryInfo delay
+const retryInfoError = (retryDelay) =>
+  new Error(
+    JSON.stringify({
+      error: {
+        code: 429,
+        status: "RESOURCE_EXHAUSTED",
+        details: [{ "@type": "type.googleapis.com/google.rpc.RetryInfo", retryDelay }],
+      },
+    })
+  );
+
+describe("isQuotaError", () => {
+  it.each([
+    ["a 429 status", httpError(429)],
+    ["a RESOURCE_EXHAUSTED message", new Error("RESOURCE_EXHAUSTED: try later")],
+    ["a quota message", new Error("Quota exceeded for model")],
+    ["a Gemini error body", retryInfoError("10s")],
+  ])("detects %s", (_name, error) => {
+    expect(isQuotaError(error)).toBe(true);
+  });
+
+  it("ignores other errors", () => {
+    expect(isQuotaError(httpError(400, "Bad request"))).toBe(false);
+    expect(isQuotaError(null)).toBe(false);
+  });
+});
+
+describe("parseRetryMs", () => {
+  it("reads the RetryInfo delay, rounded up to the millisecond", () => {
+    expect(parseRetryMs(retryInfoError("42.854797884s"))).toBe(42855);
+  });
+
+  it("is 0 without a RetryInfo detail", () => {
+    expect(parseRetryMs(httpError(429))).toBe(0);
+    expect(parseRetryMs(new Error("{not json"))).toBe(0);
+  });
+});
+
+describe("isRetryableError", () => {
+  it("retries quota and transient errors only", () => {
+    expect(isRetryableError(httpError(429))).toBe(true);
+    expect(isRetryableError(httpError(503))).toBe(true);
+    const reset = Object.assign(new Error("fetch failed"), {
+      cause: { code: "ECONNRESET" },
+    });
+    expect(isRetryableError(reset)).toBe(true);
+    expect(isRetryableError(httpError(400))).toBe(false);
+    expect(isRetryableError(new Error("Invalid API key"))).toBe(false);
+  });
+});
+
+describe("backoffDelay", () => {
+  const delays = { baseDelayMs: 1000, maxDelayMs: 30000 };
+
+  it("jitters between half and all of the exponential ceiling", () => {
+    for (let i = 0; i < 20; i++) {
+      const delay = backoffDelay(2, delays);
+      expect(delay).toBeGreaterThanOrEqual(2000);
+      expect(delay).toBeLessThanOrEqual(4000);
+    }
+  });
+
+  it("never exceeds maxDelayMs", () => {
+    for (let i = 0; i < 20; i++) {
+      expect(backoffDelay(10, delays)).toBeLessThanOrEqual(delays.maxDelayMs);
+    }
+  });
+});
+
+describe("withResilience", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const chain = {
+    models: ["model-a", "model-b"],
+    retries: 1,
+    baseDelayMs: 1,
+    maxDelayMs: 1,
+    deadlineMs: 5000,
+  };
+
+  it("moves to the next model once a model's retries hit quota errors", async () => {
+    const calls = [];
+    const result = await withResilience(async (model) => {
+      calls.push(model);
+      if (model === "model-a") throw httpError(429);
+      return `answer from ${model}`;
+    }, chain);
+
+    expect(result).toBe("answer from model-b");
+    expect(calls).toEqual(["model-a", "model-a", "model-b"]);
+  });
+
+  it("throws the last error when every model fails", async () => {
+    await expect(
+      withResilience(async () => {
+        throw httpError(503);
+      }, chain)
+    ).rejects.toMatchObject({ status: 503 });
+  });
+
+  it("does not retry or fall back on other errors", async () => {
+    const call = vi.fn(async () => {
+      throw httpError(400, "Bad request");
+    });
+
+    await expect(withResilience(call, chain)).rejects.toThrow("Bad request");
+    expect(call).toHaveBeenCalledTimes(1);
+  });
+
+  it("waits the RetryInfo delay before retrying", async () => {
+    const times = [];
+    await withResilience(async () => {
+      times.push(Date.now());
+      if (times.length === 1) throw retryInfoError("0.2s");
+      return "ok";
+    }, chain);
+
+    expect(times[1] - times[0]).toBeGreaterThanOrEqual(190);
+  });
+
+  it("skips to the next model when RetryInfo asks for longer than the deadline", async () => {
+    const calls = [];
+    const startedAt = Date.now();
+    await withResilience(async (model) => {
+      calls.push(model);
+      if (model === "model-a") throw retryInfoError("60s");
+      return "ok";
+    }, chain);
+
+    expect(calls).toEqual(["model-a", "model-b"]);
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+  });
+
+  it("returns the result of a call that finishes in time", async () => {
+    await expect(withResilience(async (model) => model, policy)).resolves.toBe(
+      "model-a"
+    );
+  });
+
+  it("cuts off and aborts a call still running at the deadline", async () => {
+    let signal;
+    const hung = (_model, options) => {
+      signal = options.signal;
+      return new Promise(() => {});
+    };
+
+    await expect(withResilience(hung, policy)).rejects.toBeInstanceOf(
+      AIDeadlineExceededError
+    );
+    expect(signal.aborted).toBe(true);
+  });
+
+  it("leaves the signal alone once the call has settled", async () => {
+    let signal;
+    await withResilience(async (_model, options) => {
+      signal = options.signal;
+    }, policy);
+
+    await new Promise((r) => setTimeout(r, policy.deadlineMs * 2));
+    expect(signal.aborted).toBe(false);
+  });
+});
@@ -0,0 +1,206 @@
+import { z } from "zod";
+import { db } from "@/lib/prisma";
+import { AI_FEATURES, AI_FEATURE_LABELS } from "./features";
+import { AIQuotaExceededError } from "./errors";
+
+// ---------------------------------------------------------
+// Metering
+// ---------------------------------------------------------
+// One AiUsage row per generateText, streamText or generateJSON request
+// (repair attempts included). Failures to record are logged and swallowed
+// so metering can never break a generation.
+export async function recordUsage({
+  userId = null,
+  feature = null,
+  promptVersion = null,
+  model = null,
+  usage,
+  latencyMs,
+  success,
+  error,
+}) {
+  try {
+    await db.aiUsage.create({
+      data: {
+        userId,
+        feature: feature ?? "unknown",
+        promptVersion,
+        model,
+        promptTokens: usage?.promptTokens ?? null,
+        responseTokens: usage?.responseTokens ?? null,
+        latencyMs: Math.round(latencyMs),
+        success,
+        error: error ? String(error.message ?? error).slice(0, 500) : null,
+      },
+    });
+  } catch (err) {
+    console.warn("Failed to record AI usage:", err.message);
+  }
+}
+
+// ---------------------------------------------------------
+// Quotas
+// ---------------------------------------------------------
+// Successful calls per user, across all features ("total") and per feature.
+// A null limit means unlimited. Override with AI_QUOTAS (JSON, same shape).
+export const DEFAULT_QUOTAS = {
+  total: { daily: 50, monthly: 500 },
+  features: {
+    [AI_FEATURES.COVER_LETTER]: { daily: 10, monthly: 100 },
+    [AI_FEATURES.QUIZ]: { daily: 10, monthly: 100 },
+    [AI_FEATURES.IMPROVEMENT_TIP]: { daily: 10, monthly: 100 },
+    [AI_FEATURES.RESUME_IMPROVE]: { daily: 30, monthly: 300 },
+    [AI_FEATURES.INDUSTRY_INSIGHTS]: { daily: null, monthly: null },
+    [AI_FEATURES.RESUME_PARSE]: { daily: 10, monthly: 100 },
+    [AI_FEATURES.RESUME_TAILOR]: { daily: 10, monthly: 100 },
+  },
+};
+
+const limitSchema = z.number().int().nonnegative().nullable();
+const periodLimitsSchema = z
+  .object({ daily: limitSchema, monthly: limitSchema })
+  .partial()
+  .strict();
+
+const quotaConfigSchema = z
+  .object({
+    total: periodLimitsSchema,
+    features: z
+      .object(
+        Object.fromEntries(
+          Object.values(AI_FEATURES).map((f) => [f, periodLimitsSchema])
+        )
+      )
+      .partial()
+      .strict(),
+  })
+  .partial()
+  .strict();
+
+// Throws on invalid AI_QUOTAS; also called at startup from instrumentation.js.
+export function getQuotaConfig(raw = process.env.AI_QUOTAS) {
+  if (!raw) return DEFAULT_QUOTAS;
+
+  let json;
+  try {
+    json = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`AI_QUOTAS is not valid JSON: ${error.message}`);
+  }
+
+  const result = quotaConfigSchema.safeParse(json);
+  if (!result.success) {
+    const issues = result.error.issues
+      .map((issue) => `${issue.path.join(".")}: ${issue.message}`)
+      .join("; ");
+    throw new Error(`Invalid AI_QUOTAS: ${issues}`);
+  }
+  const parsed = result.data;
+
+  const features = { ...DEFAULT_QUOTAS.features };
+  for (const [feature, limits] of Object.entries(parsed.features ?? {})) {
+    features[feature] = { ...features[feature], ...limits };
+  }
+
+  return {
+    total: { ...DEFAULT_QUOTAS.total, ...parsed.total },
+    features,
+  };
+}
+
+export const periodStart = (period, now = new Date()) =>
+  period === "daily"
+    ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+const countUsage = (userId, period, feature) =>
+  db.aiUsage.count({
+    where: {
+      userId,
+      success: true,
+      createdAt: { gte: periodStart(period) },
+      ...(feature && { feature }),
+    },
+  });
+
+const PERIOD_WORDING = {
+  daily: { name: "daily", resets: "tomorrow" },
+  monthly: { name: "monthly", resets: "at the start of next month" },
+};
+
+// Returns the first exhausted limit as { feature, period, limit }, or null.
+export async function findExceededQuota(userId, feature) {
+  const quotas = getQuotaConfig();
+
+  for (const period of ["daily", "monthly"]) {
+    const featureLimit = quotas.features[feature]?.[period];
+    if (featureLimit != null && (await countUsage(userId, period, feature)) >= featureLimit) {
+      return { feature, period, limit: featureLimit };
+    }
+
+    const totalLimit = quotas.total[period];
+    if (totalLimit != null && (await countUsage(userId, period)) >= totalLimit) {
+      return { feature: null, period, limit: totalLimit };
+    }
+  }
+
+  return null;
+}
+
+export async function assertWithinQuota(userId, feature) {
+  const exceeded = await findExceededQuota(userId, feature);
+  if (!exceeded) return;
+
+  const { name, resets } = PERIOD_WORDING[exceeded.period];
+  const what = exceeded.feature
+    ? `${name} limit of ${exceeded.limit} for ${AI_FEATURE_LABELS[exceeded.feature].toLowerCase()}`
+    : `${name} limit of ${exceeded.limit} AI generations`;
+
+  throw new AIQuotaExceededError(
+    `Quota reached: you've used your ${what}. It resets ${resets}.`,
+    exceeded
+  );
+}
+
+// Per feature usage for the current day and month, with the limits.
+export async function getUsageSummary(userId) {
+  const quotas = getQuotaConfig();
+  const monthStart = periodStart("monthly");
+  const dayStart = periodStart("daily");
+
+  const rows = await db.aiUsage.findMany({
+    where: { userId, createdAt: { gte: monthStart } },
+    select: {
+      feature: true,
+      success: true,
+      promptTokens: true,
+      responseTokens: true,
+      createdAt: true,
+    },
+  });
+
+  const tally = (feature) => {
+    const matching = rows.filter(
+      (row) => row.success && (!feature || row.feature === feature)
+    );
+    return {
+      today: matching.filter((row) => row.createdAt >= dayStart).length,
+      month: matching.length,
+      tokens: matching.reduce(
+        (sum, row) => sum + (row.promptTokens ?? 0) + (row.responseTokens ?? 0),
+        0
+      ),
+    };
+  };
+
+  return {
+    total: { ...tally(), limits: quotas.total },
+    features: Object.values(AI_FEATURES).map((feature) => ({
+      feature,
+      label: AI_FEATURE_LABELS[feature],
+      ...tally(feature),
+      limits: quotas.features[feature],
+    })),
+    failed: rows.filter((row) => !row.success).length,
+  };
+}
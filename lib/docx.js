@@ -0,0 +1,250 @@
+import {
+  AlignmentType,
+  Document,
+  ExternalHyperlink,
+  HeadingLevel,
+  LevelFormat,
+  Packer,
+  Paragraph,
+  Tab,
+  TabStopPosition,
+  TabStopType,
+  TextRun,
+} from "docx";
+import { normalizeResumeData, resumeSections } from "@/app/lib/resume";
+
+// Word (.docx) export for resumes (from structured data) and cover letters
+// (from their markdown). Both resolve to a Buffer.
+
+export const DOCX_CONTENT_TYPE =
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+const FONT = "Calibri";
+
+const NUMBERING = {
+  config: [
+    {
+      reference: "bullets",
+      levels: [
+        {
+          level: 0,
+          format: LevelFormat.BULLET,
+          text: "•",
+          alignment: AlignmentType.LEFT,
+          style: { paragraph: { indent: { left: 360, hanging: 260 } } },
+        },
+      ],
+    },
+    {
+      reference: "numbers",
+      levels: [
+        {
+          level: 0,
+          format: LevelFormat.DECIMAL,
+          text: "%1.",
+          alignment: AlignmentType.LEFT,
+          style: { paragraph: { indent: { left: 360, hanging: 260 } } },
+        },
+      ],
+    },
+  ],
+};
+
+const createDocument = (children, { title }) =>
+  new Document({
+    title,
+    numbering: NUMBERING,
+    styles: {
+      default: { document: { run: { font: FONT, size: 22 } } },
+    },
+    sections: [
+      {
+        properties: {
+          page: { margin: { top: 1000, bottom: 1000, left: 1000, right: 1000 } },
+        },
+        children,
+      },
+    ],
+  });
+
+// ---------------------------------------------------------
+// Inline markdown
+// ---------------------------------------------------------
+const INLINE = /(\*\*[^*]+\*\*|__[^_]+__|\[[^\]]+\]\([^)\s]+\)|\*[^*\s][^*]*\*|_[^_\s][^_]*_)/;
+
+// Bold, italic and links; anything else is plain text.
+export function inlineRuns(text, style = {}) {
+  return text
+    .split(INLINE)
+    .filter(Boolean)
+    .map((part) => {
+      const link = part.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+      if (link) {
+        return new ExternalHyperlink({
+          link: link[2],
+          children: [new TextRun({ text: link[1], style: "Hyperlink", ...style })],
+        });
+      }
+      const bold = part.match(/^(?:\*\*|__)(.+)(?:\*\*|__)$/);
+      if (bold) return new TextRun({ text: bold[1], bold: true, ...style });
+      const italic = part.match(/^[*_](.+)[*_]$/);
+      if (italic) return new TextRun({ text: italic[1], italics: true, ...style });
+      return new TextRun({ text: part, ...style });
+    });
+}
+
+// ---------------------------------------------------------
+// Markdown documents (cover letters)
+// ---------------------------------------------------------
+const HEADINGS = [HeadingLevel.HEADING_1, HeadingLevel.HEADING_2, HeadingLevel.HEADING_3];
+
+// Handles what the app's markdown uses: headings, bullet and numbered
+// lists, paragraphs (consecutive lines are joined) and centered <div>s.
+export function markdownToParagraphs(markdown = "") {
+  const paragraphs = [];
+  let buffer = [];
+  let centered = false;
+
+  const flush = () => {
+    if (!buffer.length) return;
+    paragraphs.push(
+      new Paragraph({
+        children: inlineRuns(buffer.join(" ")),
+        alignment: centered ? AlignmentType.CENTER : undefined,
+        spacing: { after: 160 },
+      })
+    );
+    buffer = [];
+  };
+
+  for (const rawLine of markdown.split("\n")) {
+    if (/<div[^>]*align=["']?center/i.test(rawLine)) centered = true;
+    const line = rawLine.replace(/<\/?[a-z][^>]*>/gi, "").trim();
+
+    const heading = line.match(/^(#{1,3})\s+(.*)/);
+    const bullet = line.match(/^[-*•]\s+(.*)/);
+    const numbered = line.match(/^\d+[.)]\s+(.*)/);
+
+    if (!line) {
+      flush();
+    } else if (heading) {
+      flush();
+      paragraphs.push(
+        new Paragraph({
+          heading: HEADINGS[heading[1].length - 1],
+          alignment: centered ? AlignmentType.CENTER : undefined,
+          children: inlineRuns(heading[2]),
+        })
+      );
+    } else if (bullet || numbered) {
+      flush();
+      paragraphs.push(
+        new Paragraph({
+          numbering: { reference: bullet ? "bullets" : "numbers", level: 0 },
+          children: inlineRuns((bullet ?? numbered)[1]),
+        })
+      );
+    } else {
+      buffer.push(line);
+    }
+
+    if (/<\/div>/i.test(rawLine)) {
+      flush();
+      centered = false;
+    }
+  }
+  flush();
+
+  return paragraphs;
+}
+
+export const markdownToDocx = (markdown, { title = "" } = {}) =>
+  Packer.toBuffer(createDocument(markdownToParagraphs(markdown), { title }));
+
+// ---------------------------------------------------------
+// Resumes
+// ---------------------------------------------------------
+const ACCENT = "1F3864";
+
+const sectionHeading = (title) =>
+  new Paragraph({
+    heading: HeadingLevel.HEADING_2,
+    spacing: { before: 240, after: 80 },
+    border: { bottom: { style: "single", size: 6, color: ACCENT, space: 1 } },
+    children: [new TextRun({ text: title.toUpperCase(), color: ACCENT, bold: true })],
+  });
+
+const contactRuns = (contactInfo) => {
+  const parts = [
+    contactInfo.email && new ExternalHyperlink({
+      link: `mailto:${contactInfo.email}`,
+      children: [new TextRun({ text: contactInfo.email, style: "Hyperlink" })],
+    }),
+    contactInfo.mobile && new TextRun(contactInfo.mobile),
+    contactInfo.linkedin && new ExternalHyperlink({
+      link: contactInfo.linkedin,
+      children: [new TextRun({ text: "LinkedIn", style: "Hyperlink" })],
+    }),
+    contactInfo.twitter && new ExternalHyperlink({
+      link: contactInfo.twitter,
+      children: [new TextRun({ text: "Twitter", style: "Hyperlink" })],
+    }),
+  ].filter(Boolean);
+
+  return parts.flatMap((part, i) => (i ? [new TextRun(" | "), part] : [part]));
+};
+
+// Title with the dates on a right tab stop, organization in italics below,
+// then the description's bullets and paragraphs.
+const entryParagraphs = (entry) => {
+  const dates = [entry.startDate, entry.current ? "Present" : entry.endDate]
+    .filter(Boolean)
+    .join(" - ");
+
+  return [
+    new Paragraph({
+      spacing: { before: 160 },
+      tabStops: [{ type: TabStopType.RIGHT, position: TabStopPosition.MAX }],
+      children: [
+        new TextRun({ text: entry.title, bold: true }),
+        ...(dates ? [new TextRun({ children: [new Tab(), dates] })] : []),
+      ],
+    }),
+    ...(entry.organization
+      ? [new Paragraph({ children: [new TextRun({ text: entry.organization, italics: true })] })]
+      : []),
+    ...markdownToParagraphs(entry.description),
+  ];
+};
+
+export function resumeToDocx(resumeData, { title = "" } = {}) {
+  const data = normalizeResumeData(resumeData);
+  const children = [];
+
+  if (data.contactInfo.name) {
+    children.push(
+      new Paragraph({
+        heading: HeadingLevel.TITLE,
+        alignment: AlignmentType.CENTER,
+        children: [new TextRun({ text: data.contactInfo.name, bold: true })],
+      })
+    );
+  }
+  const contact = contactRuns(data.contactInfo);
+  if (contact.length) {
+    children.push(
+      new Paragraph({ alignment: AlignmentType.CENTER, children: contact })
+    );
+  }
+
+  for (const section of resumeSections(data)) {
+    children.push(
+      sectionHeading(section.title),
+      ...(section.entries
+        ? section.entries.flatMap(entryParagraphs)
+        : markdownToParagraphs(section.text))
+    );
+  }
+
+  return Packer.toBuffer(createDocument(children, { title }));
+}
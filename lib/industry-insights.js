@@ -0,0 +1,23 @@
+import { generateJSON } from "@/lib/ai/provider";
+import { AI_FEATURES } from "@/lib/ai/features";
+import { renderPrompt } from "@/lib/ai/prompts";
+
+// Insights are shared per industry and needed to finish onboarding, so they
+// are metered against the requesting user but not subject to quotas. Kept
+// out of the "use server" actions: callers resolve `userId` from auth()
+// first, so clients can't call this directly or bill other users.
+export const generateAIInsights = async (industry, { userId } = {}) => {
+  const { promptVersion, ...template } = renderPrompt(
+    AI_FEATURES.INDUSTRY_INSIGHTS,
+    { industry }
+  );
+
+  const insights = await generateJSON({
+    feature: AI_FEATURES.INDUSTRY_INSIGHTS,
+    userId,
+    promptVersion,
+    ...template,
+  });
+
+  return { ...insights, promptVersion };
+};
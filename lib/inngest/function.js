@@ -1,9 +1,8 @@
 import { db } from "@/lib/prisma";
 import { inngest } from "./client";
-import { GoogleGenAI } from "@google/genai";
-
-const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
-const model = ai.models;
+import { generateJSON } from "@/lib/ai/provider";
+import { AI_FEATURES } from "@/lib/ai/features";
+import { renderPrompt } from "@/lib/ai/prompts";
 
 export const generateIndustryInsights = inngest.createFunction(
   { name: "Generate Industry Insights" },
@@ -16,61 +15,32 @@ export const generateIndustryInsights = inngest.createFunction(
     });
 
     for (const { industry } of industries) {
-      const prompt = `
-          Analyze the current state of the ${industry} industry and provide insights in ONLY the following JSON format without any additional notes or explanations:
-          {
-            "salaryRanges": [
-              { "role": "string", "min": number, "max": number, "median": number, "location": "string" }
-            ],
-            "growthRate": number,
-            "demandLevel": "High" | "Medium" | "Low",
-            "topSkills": ["skill1", "skill2"],
-            "marketOutlook": "Positive" | "Neutral" | "Negative",
-            "keyTrends": ["trend1", "trend2"],
-            "recommendedSkills": ["skill1", "skill2"]
-          }
-          
-          IMPORTANT: Return ONLY the JSON. No additional text, notes, or markdown formatting.
-          Include at least 5 common roles for salary ranges.
-          Growth rate should be a percentage.
-          Include at least 5 skills and trends.
-        `;
+      const { promptVersion, ...template } = renderPrompt(
+        AI_FEATURES.INDUSTRY_INSIGHTS,
+        { industry }
+      );
 
-      const res = await step.ai.wrap(
+      const insights = await step.ai.wrap(
         "gemini",
         async (p) => {
-          return await model.generateContent({
-            model: "gemini-2.5-pro",
-            contents: p,
+          return await generateJSON({
+            feature: AI_FEATURES.INDUSTRY_INSIGHTS,
+            promptVersion,
+            schema: template.schema,
+            // Background job: allow long RetryInfo waits instead of failing.
+            policy: { retries: 4, deadlineMs: 10 * 60 * 1000 },
+            prompt: p,
           });
         },
-        prompt
+        template.prompt
       );
 
-      // Normalize response shapes
-      let text;
-      if (typeof res?.text === "string") {
-        text = res.text;
-      } else if (typeof res?.response?.text === "string") {
-        text = res.response.text;
-      } else if (
-        res?.response?.candidates?.[0]?.content?.parts &&
-        Array.isArray(res.response.candidates[0].content.parts)
-      ) {
-        text = res.response.candidates[0].content.parts.map((p) => p.text || "").join("");
-      } else {
-        console.warn("Unexpected response shape from GenAI SDK, printing raw response");
-        console.log(JSON.stringify(res, null, 2));
-        throw new Error("AI returned no text");
-      }
-      const cleanedText = text.replace(/```(?:json)?\n?/g, "").trim();
-      const insights = JSON.parse(cleanedText);
-
       await step.run(`Update ${industry} insights`, async () => {
         await db.industryInsight.update({
           where: { industry },
           data: {
             ...insights,
+            promptVersion,
             lastUpdated: new Date(),
             nextUpdate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
           },
@@ -0,0 +1,311 @@
+import PDFDocument from "pdfkit";
+import { normalizeResumeData, resumeSections } from "@/app/lib/resume";
+
+// Renders structured resume data to a text PDF (selectable and readable by
+// ATS parsers) with pdfkit. Only the standard PDF fonts are used, so no
+// font files ship with the app; they cover Latin-1, and characters outside
+// it (emoji and most non-Latin scripts) are dropped.
+
+const MM = 72 / 25.4;
+
+const FONTS = {
+  sans: { regular: "Helvetica", bold: "Helvetica-Bold", italic: "Helvetica-Oblique" },
+  serif: { regular: "Times-Roman", bold: "Times-Bold", italic: "Times-Italic" },
+  mono: { regular: "Courier", bold: "Courier-Bold", italic: "Courier-Oblique" },
+};
+
+// Sizes are relative to the chosen base font size; gaps are in points.
+const TEMPLATES = {
+  classic: {
+    nameScale: 2.2,
+    headingScale: 1.2,
+    align: "center",
+    accent: "#000000",
+    headingRule: true,
+    headingCase: "upper",
+    sectionGap: 12,
+    entryGap: 8,
+  },
+  modern: {
+    nameScale: 2.6,
+    headingScale: 1.3,
+    align: "left",
+    accent: "#1d4ed8",
+    headingRule: false,
+    headingCase: "title",
+    sectionGap: 14,
+    entryGap: 9,
+  },
+  compact: {
+    nameScale: 1.8,
+    headingScale: 1.1,
+    align: "left",
+    accent: "#000000",
+    headingRule: true,
+    headingCase: "upper",
+    sectionGap: 7,
+    entryGap: 4,
+    lineGap: 0,
+  },
+  "two-column": {
+    nameScale: 2.4,
+    headingScale: 1.2,
+    align: "left",
+    accent: "#0f766e",
+    headingRule: true,
+    headingCase: "upper",
+    sectionGap: 12,
+    entryGap: 8,
+    sidebarWidth: 0.3,
+    columnGap: 18,
+  },
+};
+
+const PAGE_SIZES = { A4: "A4", LETTER: "LETTER" };
+
+// Keeps Latin-1 plus the punctuation resumes commonly use.
+const sanitize = (text = "") =>
+  text
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[^\x20-\x7E\xA0-\xFF\n–—•…€]/gu, "")
+    .replace(/\*\*(.+?)\*\*|__(.+?)__/g, "$1$2")
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, "$1: $2")
+    .trim();
+
+const descriptionLines = (description = "") =>
+  sanitize(description)
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const bullet = line.match(/^[-*•]\s+(.*)/);
+      return bullet ? { bullet: true, text: bullet[1] } : { bullet: false, text: line };
+    });
+
+const dateRange = (entry) =>
+  [entry.startDate, entry.current ? "Present" : entry.endDate].filter(Boolean).join(" - ");
+
+// ---------------------------------------------------------
+// Drawing helpers
+// ---------------------------------------------------------
+// A column is { x, width }; text flows down from doc.y and continues on a
+// new page at the same x.
+function createWriter(doc, template, options) {
+  const fonts = FONTS[options.font];
+  const size = options.fontSize;
+  const lineGap = template.lineGap ?? 1.5;
+
+  const write = (column, text, { font = fonts.regular, scale = 1, color = "#000000", ...rest } = {}) =>
+    doc
+      .font(font)
+      .fontSize(size * scale)
+      .fillColor(color)
+      .text(text, column.x, doc.y, { width: column.width, lineGap, ...rest });
+
+  // Starts a new page unless `lines` more lines fit on this one, so
+  // elements drawn side by side (bullet and text, title and dates) stay on
+  // the same page.
+  const keepTogether = (lines = 1) => {
+    const height = lines * (doc.font(fonts.regular).fontSize(size).currentLineHeight() + lineGap);
+    if (doc.y + height > doc.page.maxY()) {
+      doc.addPage();
+    }
+  };
+
+  const heading = (column, title) => {
+    doc.y += template.sectionGap;
+    keepTogether(3);
+    write(column, template.headingCase === "upper" ? title.toUpperCase() : title, {
+      font: fonts.bold,
+      scale: template.headingScale,
+      color: template.accent,
+      characterSpacing: template.headingCase === "upper" ? 0.5 : 0,
+    });
+    if (template.headingRule) {
+      const y = doc.y + 1;
+      doc
+        .moveTo(column.x, y)
+        .lineTo(column.x + column.width, y)
+        .lineWidth(0.6)
+        .strokeColor(template.accent)
+        .stroke();
+    }
+    doc.y += 4;
+  };
+
+  const paragraph = (column, text) => {
+    for (const line of descriptionLines(text)) {
+      if (line.bullet) {
+        keepTogether();
+        const y = doc.y;
+        write(column, "•", { continued: false });
+        doc.y = y;
+        write({ x: column.x + size, width: column.width - size }, line.text);
+      } else {
+        write(column, line.text);
+      }
+    }
+  };
+
+  // Title and dates on one line when there is room, organization below.
+  const entry = (column, item, { stackDates = false } = {}) => {
+    const dates = dateRange(item);
+    keepTogether(3);
+    const top = doc.y;
+    const datesWidth = dates ? doc.font(fonts.regular).fontSize(size).widthOfString(dates) : 0;
+
+    write(
+      { x: column.x, width: column.width - (stackDates ? 0 : datesWidth + 8) },
+      sanitize(item.title),
+      { font: fonts.bold }
+    );
+    // Written after the title so text extraction reads title, then dates
+    if (dates && !stackDates) {
+      const below = doc.y;
+      doc.y = top;
+      write(column, dates, { align: "right" });
+      doc.y = Math.max(below, doc.y);
+    }
+    if (item.organization) {
+      write(column, sanitize(item.organization), { font: fonts.italic });
+    }
+    if (dates && stackDates) {
+      write(column, dates, { color: "#444444" });
+    }
+    paragraph(column, item.description);
+    doc.y += template.entryGap;
+  };
+
+  return { fonts, size, write, heading, paragraph, entry };
+}
+
+const contactParts = (contactInfo) =>
+  [contactInfo.email, contactInfo.mobile, contactInfo.linkedin, contactInfo.twitter]
+    .map((part) => sanitize(part))
+    .filter(Boolean);
+
+// ---------------------------------------------------------
+// Layouts
+// ---------------------------------------------------------
+function singleColumn(doc, data, template, writer) {
+  const column = {
+    x: doc.page.margins.left,
+    width: doc.page.width - doc.page.margins.left - doc.page.margins.right,
+  };
+  const { write, heading, paragraph, entry, fonts } = writer;
+
+  if (data.contactInfo.name) {
+    write(column, sanitize(data.contactInfo.name), {
+      font: fonts.bold,
+      scale: template.nameScale,
+      align: template.align,
+      color: template.accent,
+    });
+  }
+  const contact = contactParts(data.contactInfo);
+  if (contact.length) {
+    write(column, contact.join("  |  "), { align: template.align, color: "#444444" });
+  }
+
+  for (const section of resumeSections(data)) {
+    heading(column, section.title);
+    if (section.entries) {
+      section.entries.forEach((item) => entry(column, item));
+    } else {
+      paragraph(column, section.text);
+    }
+  }
+}
+
+const SIDEBAR_SECTIONS = ["skills", "education", "languages", "certifications"];
+
+// Sidebar (contact, skills, education, languages, certifications) on the
+// left of the first page; the main column (everything else) flows across
+// pages. Both keep the user's section order.
+function twoColumn(doc, data, template, writer) {
+  const { write, heading, paragraph, entry, fonts } = writer;
+  const left = doc.page.margins.left;
+  const contentWidth = doc.page.width - left - doc.page.margins.right;
+  const sidebarWidth = contentWidth * template.sidebarWidth;
+  const sidebar = { x: left, width: sidebarWidth };
+  const main = {
+    x: left + sidebarWidth + template.columnGap,
+    width: contentWidth - sidebarWidth - template.columnGap,
+  };
+  const top = doc.page.margins.top;
+
+  // Main column first: it may add pages, and the sidebar goes back to
+  // page one afterwards.
+  doc.y = top;
+  if (data.contactInfo.name) {
+    write(main, sanitize(data.contactInfo.name), {
+      font: fonts.bold,
+      scale: template.nameScale,
+      color: template.accent,
+    });
+  }
+  const sections = resumeSections(data);
+  for (const section of sections.filter(({ key }) => !SIDEBAR_SECTIONS.includes(key))) {
+    heading(main, section.title);
+    if (section.entries) {
+      section.entries.forEach((item) => entry(main, item));
+    } else {
+      paragraph(main, section.text);
+    }
+  }
+
+  doc.switchToPage(0);
+  doc.y = top;
+  const contact = contactParts(data.contactInfo);
+  if (contact.length) {
+    heading(sidebar, "Contact");
+    contact.forEach((part) => write(sidebar, part));
+  }
+  for (const section of sections.filter(({ key }) => SIDEBAR_SECTIONS.includes(key))) {
+    heading(sidebar, section.title);
+    if (section.entries) {
+      section.entries.forEach((item) => entry(sidebar, item, { stackDates: true }));
+    } else {
+      // One item per line in the narrow column
+      paragraph(sidebar, section.text.replace(/,\s*/g, "\n"));
+    }
+  }
+}
+
+// ---------------------------------------------------------
+// Entry point
+// ---------------------------------------------------------
+// `options` must already be validated (resumePdfOptionsSchema). Resolves
+// to the PDF as a Buffer.
+export function renderResumePdf(resumeData, options) {
+  const data = normalizeResumeData(resumeData);
+  const template = TEMPLATES[options.template];
+  const margin = options.margin * MM;
+
+  const doc = new PDFDocument({
+    size: PAGE_SIZES[options.pageSize],
+    margins: { top: margin, bottom: margin, left: margin, right: margin },
+    bufferPages: true,
+    info: {
+      Title: [sanitize(data.contactInfo.name), "Resume"].filter(Boolean).join(" - "),
+    },
+  });
+
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const writer = createWriter(doc, template, options);
+  if (template.sidebarWidth) {
+    twoColumn(doc, data, template, writer);
+  } else {
+    singleColumn(doc, data, template, writer);
+  }
+
+  doc.end();
+  return done;
+}
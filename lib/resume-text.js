@@ -0,0 +1,60 @@
+import { extractText, getDocumentProxy } from "unpdf";
+import mammoth from "mammoth";
+
+// Text extraction for uploaded resumes. Only PDF and DOCX are accepted;
+// legacy .doc files are binary and would need a converter.
+export const RESUME_UPLOAD_MAX_BYTES = 5 * 1024 * 1024;
+
+const RESUME_FILE_TYPES = {
+  "application/pdf": "pdf",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+    "docx",
+};
+
+export class ResumeFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ResumeFileError";
+  }
+}
+
+const fileKind = (file) =>
+  RESUME_FILE_TYPES[file.type] ??
+  file.name?.toLowerCase().match(/\.(pdf|docx)$/)?.[1] ??
+  null;
+
+// `file` is a File from request.formData(). Throws ResumeFileError for
+// anything the user can fix (wrong type, too big, no text layer).
+export async function extractResumeText(file) {
+  const kind = fileKind(file);
+  if (!kind) {
+    throw new ResumeFileError("Upload a PDF or Word (.docx) file.");
+  }
+  if (file.size > RESUME_UPLOAD_MAX_BYTES) {
+    throw new ResumeFileError("The file is too large (5 MB max).");
+  }
+
+  const buffer = Buffer.from(await file.arrayBuffer());
+  let text;
+  try {
+    if (kind === "pdf") {
+      const pdf = await getDocumentProxy(new Uint8Array(buffer));
+      ({ text } = await extractText(pdf, { mergePages: true }));
+    } else {
+      // mammoth separates paragraphs with a blank line
+      const { value } = await mammoth.extractRawText({ buffer });
+      text = value.replace(/\n\n/g, "\n");
+    }
+  } catch (error) {
+    console.error("Error reading resume file:", error);
+    throw new ResumeFileError("The file could not be read. Is it damaged?");
+  }
+
+  text = text.replace(/\r\n?/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+  if (!text) {
+    throw new ResumeFileError(
+      "No text found in the file. Scanned PDFs need to be converted with OCR first."
+    );
+  }
+  return text;
+}
@@ -7,6 +7,8 @@ const isProtectedRoute = createRouteMatcher([
   "/interview(.*)",
   "/ai-cover-letter(.*)",
   "/onboarding(.*)",
+  "/admin(.*)",
+  "/usage(.*)",
 ]);
 
 export default clerkMiddleware(async (auth, req) => {
@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "FeatureModelSetting" (
+    "feature" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "fallbackModels" TEXT[],
+    "temperature" DOUBLE PRECISION,
+    "maxOutputTokens" INTEGER,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "FeatureModelSetting_pkey" PRIMARY KEY ("feature")
+);
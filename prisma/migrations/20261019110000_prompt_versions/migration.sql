@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "AiUsage" ADD COLUMN     "promptVersion" TEXT;
+
+-- AlterTable
+ALTER TABLE "Assessment" ADD COLUMN     "promptVersion" TEXT,
+ADD COLUMN     "tipPromptVersion" TEXT;
+
+-- AlterTable
+ALTER TABLE "CoverLetter" ADD COLUMN     "promptVersion" TEXT;
+
+-- AlterTable
+ALTER TABLE "IndustryInsight" ADD COLUMN     "promptVersion" TEXT;
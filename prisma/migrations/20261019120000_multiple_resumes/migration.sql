@@ -0,0 +1,19 @@
+-- DropIndex
+DROP INDEX "Resume_userId_key";
+
+-- AlterTable
+ALTER TABLE "Resume" ADD COLUMN     "isDefault" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "name" TEXT NOT NULL DEFAULT 'My Resume',
+ADD COLUMN     "targetRole" TEXT;
+
+-- Existing resumes were the only one their user had
+UPDATE "Resume" SET "isDefault" = true;
+
+-- AlterTable
+ALTER TABLE "CoverLetter" ADD COLUMN     "resumeId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Resume_userId_idx" ON "Resume"("userId");
+
+-- AddForeignKey
+ALTER TABLE "CoverLetter" ADD CONSTRAINT "CoverLetter_resumeId_fkey" FOREIGN KEY ("resumeId") REFERENCES "Resume"("id") ON DELETE SET NULL ON UPDATE CASCADE;
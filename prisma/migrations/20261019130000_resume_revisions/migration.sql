@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "ResumeRevision" (
+    "id" TEXT NOT NULL,
+    "resumeId" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "label" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ResumeRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ResumeRevision_resumeId_createdAt_idx" ON "ResumeRevision"("resumeId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "ResumeRevision" ADD CONSTRAINT "ResumeRevision_resumeId_fkey" FOREIGN KEY ("resumeId") REFERENCES "Resume"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Start every existing resume's history with its current content
+INSERT INTO "ResumeRevision" ("id", "resumeId", "content", "createdAt")
+SELECT gen_random_uuid()::text, "id", "content", "updatedAt"
+FROM "Resume"
+WHERE "content" <> '';
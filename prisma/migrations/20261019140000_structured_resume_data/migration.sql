@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Resume" ADD COLUMN     "data" JSONB;
+
+-- AlterTable
+ALTER TABLE "ResumeRevision" ADD COLUMN     "data" JSONB;
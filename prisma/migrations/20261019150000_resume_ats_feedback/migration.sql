@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Resume" ALTER COLUMN "feedback" SET DATA TYPE JSONB USING to_jsonb("feedback"),
+ADD COLUMN     "atsCheckedAt" TIMESTAMP(3);
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Resume" ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "ResumeRevision" ADD COLUMN     "baseVersion" INTEGER,
+ADD COLUMN     "isDraft" BOOLEAN NOT NULL DEFAULT false;
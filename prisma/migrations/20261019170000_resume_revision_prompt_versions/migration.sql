@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ResumeRevision" ADD COLUMN     "promptVersions" TEXT[];
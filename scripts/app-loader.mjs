@@ -0,0 +1,45 @@
+// Lets plain Node run app modules outside Next.js: resolves the "@/" alias
+// from jsconfig.json and extensionless relative imports, and loads project
+// .js files as ES modules. Registered by the scripts in this directory.
+import { existsSync, statSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const candidates = (file) => [
+  file,
+  `${file}.js`,
+  `${file}.jsx`,
+  path.join(file, "index.js"),
+];
+
+const findFile = (file) =>
+  candidates(file).find((f) => existsSync(f) && statSync(f).isFile());
+
+export async function resolve(specifier, context, nextResolve) {
+  let file = null;
+  if (specifier.startsWith("@/")) {
+    file = path.join(root, specifier.slice(2));
+  } else if (specifier.startsWith(".") && context.parentURL?.startsWith("file:")) {
+    file = path.resolve(path.dirname(fileURLToPath(context.parentURL)), specifier);
+  }
+
+  const found = file && findFile(file);
+  if (found) {
+    return { url: pathToFileURL(found).href, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (
+    url.startsWith("file:") &&
+    url.endsWith(".js") &&
+    !url.includes("/node_modules/") &&
+    fileURLToPath(url).startsWith(root)
+  ) {
+    return nextLoad(url, { ...context, format: "module" });
+  }
+  return nextLoad(url, context);
+}
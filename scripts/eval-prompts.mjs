@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+// Offline prompt evaluation. Runs the golden inputs through two variants
+// (prompt versions, models or providers) and writes a comparison report.
+//
+//   npm run eval:prompts -- --candidate '{"prompts":{"coverLetter":1}}'
+//
+// Options:
+//   --baseline <json>   variant to compare against (default: current config)
+//   --candidate <json>  variant under test (required)
+//   --features <list>   comma-separated feature ids (default: all)
+//   --golden <dir>      golden inputs (default: evals/golden)
+//   --out <dir>         where reports go (default: evals/reports)
+//
+// A variant is JSON: { "label", "provider", "model", "prompts" }; see
+// lib/ai/eval/runner.js. Use AI_PROVIDER=fake (or "provider":"fake") to
+// evaluate against recorded fixtures without network access.
+import { register } from "node:module";
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+register("./app-loader.mjs", import.meta.url);
+
+try {
+  process.loadEnvFile();
+} catch {
+  // No .env file; rely on the environment.
+}
+
+const { values: args } = parseArgs({
+  options: {
+    baseline: { type: "string", default: "{}" },
+    candidate: { type: "string" },
+    features: { type: "string" },
+    golden: { type: "string", default: "evals/golden" },
+    out: { type: "string", default: "evals/reports" },
+  },
+});
+
+const parseVariant = (name, raw) => {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`--${name} is not valid JSON: ${error.message}`);
+  }
+};
+
+async function main() {
+  if (!args.candidate) {
+    throw new Error("--candidate is required, e.g. --candidate '{\"prompts\":{\"coverLetter\":1}}'");
+  }
+
+  const { EVAL_FEATURES } = await import("../lib/ai/eval/checks.js");
+  const { loadGoldenSet, buildCases } = await import("../lib/ai/eval/dataset.js");
+  const { runVariant, renderMarkdownReport, compareRuns } = await import(
+    "../lib/ai/eval/runner.js"
+  );
+
+  const features = args.features ? args.features.split(",") : EVAL_FEATURES;
+  const unknown = features.filter((f) => !EVAL_FEATURES.includes(f));
+  if (unknown.length) {
+    throw new Error(`No eval checks for: ${unknown.join(", ")} (have ${EVAL_FEATURES.join(", ")})`);
+  }
+
+  const cases = buildCases(await loadGoldenSet(args.golden), features);
+  if (!cases.length) throw new Error(`No golden inputs found in ${args.golden}`);
+
+  const log = (label) => (r) =>
+    console.log(
+      `[${label}] ${r.id}: ${r.error ? `error: ${r.error}` : Object.entries(r.checks).map(([id, c]) => `${id}=${c.pass ? "pass" : "FAIL"}`).join(" ")}`
+    );
+
+  const baseline = await runVariant(cases, parseVariant("baseline", args.baseline), {
+    onResult: log("baseline"),
+  });
+  const candidate = await runVariant(cases, parseVariant("candidate", args.candidate), {
+    onResult: log("candidate"),
+  });
+
+  const generatedAt = new Date().toISOString();
+  const name = `eval-${generatedAt.replace(/[:.]/g, "-")}`;
+  await mkdir(args.out, { recursive: true });
+
+  const markdown = renderMarkdownReport({ baseline, candidate, generatedAt });
+  await writeFile(path.join(args.out, `${name}.md`), markdown);
+  await writeFile(
+    path.join(args.out, `${name}.json`),
+    JSON.stringify(
+      { generatedAt, baseline, candidate, ...compareRuns(baseline, candidate) },
+      null,
+      2
+    ) + "\n"
+  );
+
+  console.log(`\n${markdown}`);
+  console.log(`Report written to ${path.join(args.out, name)}.{md,json}`);
+}
+
+main().then(
+  () => process.exit(0),
+  (error) => {
+    console.error(error.message);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// Backfills Resume.data (and ResumeRevision.data) for rows saved before
+// resumes were stored as structured data, by parsing their markdown.
+// The builder does the same lazily when such a resume is opened; this
+// script migrates everything at once.
+//
+//   npm run migrate:resumes -- --dry-run
+//
+// Content is left untouched; it is re-rendered from data on the next save.
+// Rows whose parsed data does not pass resumeSchema are still migrated and
+// listed, so they can be fixed in the builder.
+import { register } from "node:module";
+import { parseArgs } from "node:util";
+
+register("./app-loader.mjs", import.meta.url);
+
+try {
+  process.loadEnvFile();
+} catch {
+  // No .env file; rely on the environment.
+}
+
+const { values: args } = parseArgs({
+  options: { "dry-run": { type: "boolean", default: false } },
+});
+
+async function migrate(model, { db, parseResumeMarkdown, resumeSchema }) {
+  const rows = (
+    await db[model].findMany({ select: { id: true, data: true, content: true } })
+  ).filter((row) => row.data === null && row.content);
+
+  let invalid = 0;
+  for (const row of rows) {
+    const data = parseResumeMarkdown(row.content);
+
+    const result = resumeSchema.safeParse(data);
+    if (!result.success) {
+      invalid += 1;
+      console.warn(
+        `${model} ${row.id}: ${result.error.issues.map((i) => `${i.path.join(".")}: ${i.message}`).join("; ")}`
+      );
+    }
+
+    if (!args["dry-run"]) {
+      await db[model].update({ where: { id: row.id }, data: { data } });
+    }
+  }
+
+  console.log(
+    `${model}: ${rows.length} markdown-only row(s)${args["dry-run"] ? " found" : " migrated"}, ${invalid} need review`
+  );
+}
+
+async function main() {
+  const { db } = await import("../lib/prisma.js");
+  const { parseResumeMarkdown } = await import("../app/lib/resume.js");
+  const { resumeSchema } = await import("../app/lib/schema.js");
+
+  try {
+    for (const model of ["resume", "resumeRevision"]) {
+      await migrate(model, { db, parseResumeMarkdown, resumeSchema });
+    }
+  } finally {
+    await db.$disconnect();
+  }
+}
+
+main().then(
+  () => process.exit(0),
+  (error) => {
+    console.error(error.message);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,12 @@
+import path from "path";
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  resolve: {
+    alias: { "@": path.resolve(import.meta.dirname) },
+  },
+  test: {
+    include: ["**/*.test.js"],
+    exclude: ["node_modules/**", ".next/**"],
+  },
+});